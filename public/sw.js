@@ -1,15 +1,18 @@
 /* Falling Notes Piano - Service Worker */
-const VERSION = "v1.2.0";
+const VERSION = "v1.3.0";
 const CACHE_PREFIX = "fnp-static-";
 const STATIC_CACHE = `${CACHE_PREFIX}${VERSION}`;
 
 const ROOT_URL = "/";
 const HTML_URL = "/index.html";
+const CATALOGUE_INDEX_URL = "/songs/index.json";
+const CATALOGUE_PREFIX = "/songs/";
 const STATIC_ASSETS = [
   "/manifest.webmanifest",
   "/icons/icon-192.png",
   "/icons/icon-512.png",
-  "/icons/maskable-512.png"
+  "/icons/maskable-512.png",
+  CATALOGUE_INDEX_URL
 ];
 
 const HTML_MATCH_OPTIONS = { ignoreSearch: true, ignoreVary: true };
@@ -23,6 +26,7 @@ self.addEventListener("install", (event) => {
       const cache = await caches.open(STATIC_CACHE);
       await cacheStaticShell(cache);
       await cacheStaticAssets(cache, STATIC_ASSETS);
+      await cacheSongCatalogue(cache);
       await broadcastOfflineStatus();
     })()
   );
@@ -59,6 +63,11 @@ self.addEventListener("fetch", (event) => {
     return;
   }
 
+  if (url.origin === self.location.origin && url.pathname.startsWith(CATALOGUE_PREFIX)) {
+    event.respondWith(handleCatalogueRequest(event, req));
+    return;
+  }
+
   if (url.origin !== self.location.origin) {
     event.respondWith(handleExternalRequest(req));
     return;
@@ -185,6 +194,29 @@ async function handleExternalRequest(req) {
   return Response.error();
 }
 
+// 内蔵の曲カタログ：キャッシュを先に返し、裏で新しい版に差し替える
+async function handleCatalogueRequest(event, req) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(req, HTML_MATCH_OPTIONS);
+  const updatePromise = fetch(req)
+    .then(async (res) => {
+      if (res && res.ok) {
+        await cache.put(req, res.clone());
+      }
+      return res;
+    })
+    .catch((err) => {
+      log("fetch-catalogue", "network failed", req.url, err);
+      return null;
+    });
+  if (cached) {
+    event.waitUntil(updatePromise);
+    return cached;
+  }
+  const fresh = await updatePromise;
+  return fresh || Response.error();
+}
+
 async function handleGenericRequest(req) {
   const cache = await caches.open(STATIC_CACHE);
   const cached = await cache.match(req);
@@ -231,6 +263,24 @@ async function cacheStaticAssets(cache, urls) {
   );
 }
 
+// カタログの一覧（install 時にキャッシュ済み）に載っている曲データをまとめてキャッシュする
+async function cacheSongCatalogue(cache) {
+  try {
+    const res = await cache.match(CATALOGUE_INDEX_URL);
+    if (!res) {
+      return;
+    }
+    const { songs } = await res.json();
+    const files = (Array.isArray(songs) ? songs : [])
+      .map((song) => song && song.file)
+      .filter((file) => typeof file === "string")
+      .map((file) => CATALOGUE_PREFIX + file);
+    await cacheStaticAssets(cache, files);
+  } catch (err) {
+    log("install", "catalogue cache failed", err);
+  }
+}
+
 async function precacheUrls(urls) {
   if (!urls.length) {
     return { ok: false, cached: 0, skipped: [], errors: ["no-urls"] };
@@ -2,7 +2,45 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import * as Tone from "tone";
 import { Midi } from "@tonejs/midi";
-import { listSongs, saveSong, loadSongBytes, removeSong } from "./db";
+import {
+  listSongs, saveSong, loadSongBytes, removeSong, getSongMeta, saveBestScore, savePracticeSection,
+  saveSongSettings, loadGlobalSettings, saveGlobalSettings, updateSongInfo, markSongPlayed, restoreSongs,
+  loadTakes, saveTakes, ensureLearners, loadLearners, addLearner, loadCurriculumProgress, saveCurriculumProgress,
+  restoreCurriculumData,
+} from "./db";
+import { ARCHIVE_EXTENSION, exportLibrary, parseArchive, libraryWithHashes, planRestore } from "./backup";
+import {
+  SORT_OPTIONS, ALL_FOLDERS, NO_FOLDER, parseTags, collectFolders, collectTags, filterSongs, sortSongs, songInfoFromNotes,
+} from "./library";
+import { IMPORT_ACCEPT, MAX_MIDI_BYTES, importFiles } from "./batchImport";
+import { FORMAT_LABELS, songFormatOf, decodeSong, songNotes } from "./songFile";
+import { CATALOGUE_LEVELS, loadCatalogue, fetchCatalogueSong, searchCatalogue } from "./catalogue";
+import { downloadBlob, exportFileName, renderWav } from "./exporter";
+import {
+  ACCOMPANIMENTS, METERS, PROGRESSIONS, generateSong, generateExercise, newSeed, normalizeSeed, readGeneratorMeta, readExerciseMeta,
+} from "./generator";
+import { LEVELS, levelById, normalizeProgress, recentScores, exerciseSpec, recordExercise } from "./curriculum";
+import { createTakeRecorder, takeToMidi, addTake } from "./takes";
+import { createNoteInputHub, createVirtualMidiInput, bindMidiInput, connectMidiInputs } from "./noteInput";
+import { TOUCH_SOURCE, keyAtPoint, bindTouchKeyboard } from "./touchKeyboard";
+import { QWERTY_SOURCE, createQwertyPiano, isQwertyPianoCode, isTypingTarget } from "./qwertyPiano";
+import {
+  SHORTCUT_ACTIONS, DEFAULT_SHORTCUTS, SEEK_STEP_OPTIONS, comboFromEvent, formatCombo, normalizeShortcuts,
+  actionForCombo, assignShortcut, changedShortcuts,
+} from "./shortcuts";
+import { createWaitState, resetWaitState, findWaitingNote, matchWaitInput, nextWaitLanding } from "./waitMode";
+import { createScorer, JUDGE_PRESETS, JUDGMENTS, JUDGMENT_LABELS, isBetterScore } from "./scoring";
+import {
+  TRACK_PALETTE, summarizeTracks, defaultTrackState, restoreTrackState, isTrackVisible, isTrackAudible, trackColor, lightenHex,
+} from "./tracks";
+import { DEFAULT_SPLIT, OTHER_HAND_GAIN, assignHands, isLearnerHand } from "./hands";
+import { NO_PEDALS, extractPedals, applyPedals, hasPedals, pedalStateAt, SOFT_VELOCITY } from "./pedal";
+import { estimateFingering } from "./fingering";
+import { createNoteScheduler } from "./scheduler";
+import { DEFAULT_METRONOME_VOLUME, COUNT_IN_OPTIONS, createClickVoice, beatClicks, countInClicks } from "./metronome";
+import { DEFAULT_SPEED_PLAN, SPEED_STEPS, createSpeedTrainer, sectionKey, normalizeSpeedPlan } from "./speedTrainer";
+import { GLOBAL_SCHEMA, SONG_SCHEMA, readSettings, packSettings } from "./settings";
+import { createTimeline, timelineFromMidi, applyMeasureNumbers, writeTimelineToHeader, barBeatAt, formatBarBeat, snapToBar, stepBar, gridLinesBetween } from "./timeline";
 
 /**
  * Falling Notes Piano – 視認性UP & 教育特化版（安定化＋エラーハンドリング強化）
@@ -24,8 +62,10 @@ const VISUAL_MAX_SEC = 2.5; // 表示上の最大長（音は実長で鳴らす
 const STOP_TAIL = 1.0; // 自動停止の安全マージン（秒）
 
 const FLASH_MS = 120;
+const JUDGE_SHOW_MS = 600; // 判定表示の残り時間
+const PEDAL_LANE_W = 10;   // ペダルレーン 1 本の幅（px）
+const PEDAL_LABELS = { sustain: "Ped", sostenuto: "Sos", soft: "U.C." };
 const MIN_LIT_SEC = 0.12;
-const VISUAL_MERGE_GAP = 0.06;
 
 const WHITE_KEYS_PATTERN = [true,false,true,false,true,true,false,true,false,true,false,true];
 const isWhite = (m)=>WHITE_KEYS_PATTERN[m%12];
@@ -38,6 +78,8 @@ const timeToYTop = (tNow, noteStart, _totalVisual, height = NOTE_MIN_HEIGHT) =>
 const COLORS = {
   bg: "#0b1219",
   grid: "#13202b",
+  gridBar: "#25405a",
+  gridLabel: "rgba(148,163,184,0.55)",
   whiteKey: "#fafafa",
   blackKey: "#2b2f36",
   keyBorder: "#cfd4da",
@@ -46,6 +88,11 @@ const COLORS = {
   noteWhiteActive: "#7fd5ff",
   noteBlack: "#ff5577",
   noteBlackActive: "#ff8da3",
+  // 左右の手の配色（黒鍵は少し濃く）
+  handRight: "#3aa6ff",
+  handRightBlack: "#2a7fd4",
+  handLeft: "#34d399",
+  handLeftBlack: "#16a074",
   keyActiveWhite: "#9ad1ff",
   keyActiveBlack: "#ff8d8d",
   text: "#e7eef7",
@@ -55,6 +102,26 @@ const COLORS = {
   trailBlack: "rgb(255,160,122)",
   markerC: "#7dd3fc",
   markerC4: "#fbbf24",
+  keyWaiting: "#fbbf24",
+  keyInput: "#34d399",
+  pedal: { sustain: "#fbbf24", sostenuto: "#a78bfa", soft: "#38bdf8" },
+  qwertyLabel: "#0f172a",     // パソコンのキーボードの割り当て
+  qwertyChip: "rgba(196,181,253,0.9)",
+  qwertyChipBlack: "rgba(167,139,250,0.95)",
+  take: "#f472b6",            // テイク（録音した演奏）の重ね描き
+  takeFill: "rgba(244,114,182,0.22)",
+  lyric: "rgba(241,245,249,0.9)", // 曲データの歌詞（ノートの下端の右）
+  finger: "#0f172a",          // 指番号（楽譜の運指は濃く、推定は薄い丸）
+  fingerChip: "rgba(253,230,138,0.95)",
+  fingerChipEstimated: "rgba(226,232,240,0.8)",
+  judge: {
+    perfect: "#fbbf24",
+    good: "#34d399",
+    early: "#60a5fa",
+    late: "#f472b6",
+    missed: "#94a3b8",
+    wrong: "#f87171",
+  },
   fadeEdge: "rgba(0,0,0,0.45)",
   label: "#334155",
 };
@@ -83,6 +150,23 @@ function addRoundedRectPath(ctx, x, y, w, h) {
   ctx.closePath();
 }
 
+/** 指番号の丸（ノートの上・着地した鍵盤の上）。chips: { cx, cy, r, finger, estimated }[] */
+function drawFingerChips(ctx, chips) {
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (const { cx, cy, r, finger, estimated } of chips) {
+    ctx.fillStyle = estimated ? COLORS.fingerChipEstimated : COLORS.fingerChip;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = `bold ${Math.round(r * 1.4)}px ui-sans-serif, system-ui, sans-serif`;
+    ctx.fillStyle = COLORS.finger;
+    ctx.fillText(String(finger), cx, cy + 0.5);
+  }
+  ctx.restore();
+}
+
 
 // key proportions & skin
 const BLACK_W_RATIO = 0.66;   // 黒鍵の横幅（白鍵比）
@@ -157,34 +241,6 @@ function getNow() {
 }
 
 // ---------- utilities ----------
-function mergeConsecutiveNotes(notes, gap=VISUAL_MERGE_GAP){
-  if(!notes.length) return [];
-  const out = [];
-  const byPitch = new Map();
-  for(const n of notes){
-    if(!byPitch.has(n.midi)) byPitch.set(n.midi, []);
-    byPitch.get(n.midi).push(n);
-  }
-  for(const arr of byPitch.values()){
-    arr.sort((a,b)=>a.start-b.start);
-    let cur = {...arr[0]};
-    for(let i=1;i<arr.length;i++){
-      const nxt = arr[i];
-      const g = nxt.start - cur.end;
-      if(g <= gap && g >= -0.001){
-        cur.end = Math.max(cur.end, nxt.end);
-        cur.vel = Math.max(cur.vel, nxt.vel);
-      }else{
-        out.push(cur);
-        cur = {...nxt};
-      }
-    }
-    out.push(cur);
-  }
-  out.sort((a,b)=>a.start-b.start);
-  return out.map((n,i)=>({...n, i}));
-}
-
 async function createSynthChain(){
   const inst = new Tone.PolySynth(Tone.Synth, {
     oscillator: { type: "triangle" },
@@ -223,6 +279,13 @@ async function createPianoChain(bright=false){
   return { inst: sampler, chain };
 }
 
+// sound の設定値 → 音色チェーン（再生と WAV 書き出しで共通）
+function createSoundChain(sound){
+  return sound==="synth" ? createSynthChain()
+       : sound==="piano" ? createPianoChain(false)
+                         : createPianoChain(true);
+}
+
 // label helpers
 function nameAG(midi){
   const names = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
@@ -240,6 +303,10 @@ function nameDoReMi(midi){
 
 // range helpers
 const clampMidi = (m)=>clamp(m, A0_MIDI, C8_MIDI);
+
+// ショートカットで順に切り替える選択肢（画面の選択肢と同じ並び）
+const RANGE_PRESET_ORDER = ["auto", "48", "61", "76", "88"];
+const EFFECT_LEVEL_ORDER = ["focus", "standard", "fun-refined", "fun-elegant", "fun-colorful", "fun-original"];
 function centerPresetRange(centerMidi, keyCount){
   const span = clamp(Math.round(keyCount), MIN_VISIBLE_KEYS, MAX_VISIBLE_KEYS);
   const clampedCenter = clampMidi(centerMidi);
@@ -362,6 +429,34 @@ export default function App(){
 
   // data
   const [notes, setNotes] = useState([]);
+  const [tracks, setTracks] = useState([]); // [{ index, name, channel, instrument, noteCount }]
+  const [trackState, setTrackState] = useState({}); // tracks.js 参照
+  const trackStateRef = useRef({});
+
+  // --- 左右の手（片手練習） ---
+  const [handMode, setHandMode] = useState("both");     // both | left | right
+  const [otherHand, setOtherHand] = useState("auto");   // auto | quiet | mute
+  const [handSplit, setHandSplit] = useState(DEFAULT_SPLIT); // 単一トラック時の分割点
+  const handModeRef = useRef("both");
+  const otherHandRef = useRef("auto");
+
+  // --- ペダル（CC64/66/67） ---
+  const [pedals, setPedals] = useState(NO_PEDALS);
+  const [pedalEnabled, setPedalEnabled] = useState(true);
+  const [touchKeys, setTouchKeys] = useState(true); // 画面の鍵盤を弾けるようにする
+  const [qwertyPiano, setQwertyPiano] = useState(false); // パソコンのキーボードをピアノにする
+  const [qwertyState, setQwertyState] = useState({ octave: 0, velocity: 0.75 });
+  const [shortcuts, setShortcuts] = useState(DEFAULT_SHORTCUTS); // アクション id -> キー（shortcuts.js）
+  const [seekStep, setSeekStep] = useState(5); // 「少し戻る／進む」の秒数
+  const [shortcutHelpOpen, setShortcutHelpOpen] = useState(false);
+  const [shortcutCapture, setShortcutCapture] = useState(null); // 割り当てを変えているアクション id
+  const [shortcutNotice, setShortcutNotice] = useState("");
+  const pedalsRef = useRef(NO_PEDALS);
+  const pedalEnabledRef = useRef(true);
+
+  // --- テンポマップ・拍子（小節線と小節:拍 表示） ---
+  const timelineRef = useRef(createTimeline());
+  const [snapToBars, setSnapToBars] = useState(false);
   const [name, setName] = useState("");
   const [isPlaying, setIsPlaying] = useState(false);
   const [playhead, setPlayhead] = useState(0);
@@ -381,7 +476,10 @@ export default function App(){
   const [noteStyle, setNoteStyle] = useState("note-jp");
   const [effectLevel, setEffectLevel] = useState("fun-refined"); // focus | standard | fun-refined | fun-elegant | fun-colorful | fun-original
   const [loopEnabled, setLoopEnabled] = useState(false);
+  const [waitMode, setWaitMode] = useState(false); // 正しい鍵盤を押すまで着地位置で待つ
   const [labelMode, setLabelMode] = useState("none"); // none | AG | DoReMi
+  const [showFingering, setShowFingering] = useState(true); // 指番号（楽譜の運指、無ければ推定）
+  const showFingeringRef = useRef(true);
 
   // --- UI状態 ---
   const [menuOpen, setMenuOpen] = useState(false);
@@ -399,6 +497,22 @@ export default function App(){
   const [genBars, setGenBars] = useState(4);             // 小節数
   const [genDifficulty, setGenDifficulty] = useState(0); // 0..3
   const [genType, setGenType] = useState("random");      // random | twinkle | butterfly
+  const [genMeter, setGenMeter] = useState("4/4");       // 4/4 | 3/4 | 6/8
+  const [genProgression, setGenProgression] = useState("auto"); // auto | PROGRESSIONS の id
+  const [genAccompaniment, setGenAccompaniment] = useState("block"); // block | alberti | octaves | roots
+  const [genSeed, setGenSeed] = useState("");            // 直前に使ったシード（入力して同じ曲を作り直せる）
+
+  // --- 初見練習のカリキュラム（curriculum.js） ---
+  const [learners, setLearners] = useState([]);          // [{ id, name, createdAt }]
+  const [learnerId, setLearnerId] = useState(null);      // 選んでいる学習者（全体設定に保存）
+  const [curriculum, setCurriculum] = useState(null);    // 選んでいる学習者の進み具合
+  const [learnerDraft, setLearnerDraft] = useState(null); // 追加中の名前（null なら追加していない）
+  const exerciseRef = useRef(null); // 読み込んだ曲が課題なら { levelId, seed }（最初の 1 回だけ記録する）
+
+  // --- 内蔵の曲カタログ（catalogue.js） ---
+  const [catalogue, setCatalogue] = useState(null);         // 曲の一覧（読み込むまでは null）
+  const [catalogueQuery, setCatalogueQuery] = useState("");
+  const [catalogueLevel, setCatalogueLevel] = useState("all"); // all | 1..3
 
   // --- A-Bリピート機能 ---
   const [abRepeatEnabled, setAbRepeatEnabled] = useState(false);
@@ -408,14 +522,87 @@ export default function App(){
   const abRepeatBRef = useRef(null);
   const abRepeatEnabledRef = useRef(false);
 
+  // --- メトロノーム・カウントイン ---
+  const [metronomeEnabled, setMetronomeEnabled] = useState(false);
+  const [metronomeVolume, setMetronomeVolume] = useState(DEFAULT_METRONOME_VOLUME);
+  const [countInBars, setCountInBars] = useState(0);            // 0 | 1 | 2 小節
+  const [countInEachRepeat, setCountInEachRepeat] = useState(false); // A-B の各周回前にも
+  const metronomeRef = useRef({ enabled: false, volume: DEFAULT_METRONOME_VOLUME, countInBars: 0, countInEachRepeat: false });
+  const clickVoiceRef = useRef(null);
+  const loopPlanRef = useRef(null);          // { start, end, from, countIn|null }（再生ヘッド秒）
+  const repeatCountInRef = useRef(false);    // 予約側：折り返してから A に届くまで
+  const repeatCountInShownRef = useRef(false); // 表示側：同上（聞こえている時刻基準）
+  const countInRef = useRef(null);           // 再生前カウントイン { landAt, beatSec, total, numerator }
+
+  // --- 段階練習（A-B 区間を周回しながら速度を上げる） ---
+  const [speedPlan, setSpeedPlan] = useState(DEFAULT_SPEED_PLAN);
+  const [speedActive, setSpeedActive] = useState(false);
+  const [speedLog, setSpeedLog] = useState([]);
+  const [savedSections, setSavedSections] = useState({}); // ライブラリの曲の区間ごとの設定とログ
+  const speedTrainerRef = useRef(null);
+  const speedSectionRef = useRef(null); // 練習中の区間 { a, b }（再生ヘッド秒）
+
   // --- シーク操作中フラグ ---
   const [isSeeking, setIsSeeking] = useState(false);
   const isSeekingRef = useRef(false);
   const wasPlayingBeforeSeek = useRef(false);
 
+  // --- 鍵盤入力（Web MIDI / 仮想入力） ---
+  const noteInputRef = useRef(null);
+  if(!noteInputRef.current) noteInputRef.current = createNoteInputHub();
+  const virtualMidiRef = useRef(null);
+  const midiConnectionRef = useRef(null);
+  const [midiStatus, setMidiStatus] = useState("idle"); // idle | connecting | connected | unsupported | denied
+  const [midiDevices, setMidiDevices] = useState([]);
+  const waitModeRef = useRef(false);
+  const waitStateRef = useRef(createWaitState());
+  const waitingMidisRef = useRef(new Set()); // 待機中に押すべき鍵盤
+  const waitSinceRef = useRef(null); // { i, at }：現在の待機が始まった時刻（採点用）
+
+  // --- 採点 ---
+  const [scoringEnabled, setScoringEnabled] = useState(false);
+  const [judgeLevel, setJudgeLevel] = useState("normal"); // easy | normal | strict
+  const [scoreSummary, setScoreSummary] = useState(null); // 曲終了時のサマリ
+  const scoringEnabledRef = useRef(false);
+  const scorerRef = useRef(null);
+  if(!scorerRef.current) scorerRef.current = createScorer();
+  const lastJudgmentRef = useRef(null); // { judgment, at }
+  const currentSongIdRef = useRef(null); // ライブラリ由来の曲のみ id を持つ
+
+  // --- テイク（学習者の演奏の録音。takes.js） ---
+  const takeRecorderRef = useRef(null);
+  if(!takeRecorderRef.current) takeRecorderRef.current = createTakeRecorder();
+  const [takeRecording, setTakeRecording] = useState(false);
+  const [takes, setTakes] = useState([]);
+  const [activeTakeId, setActiveTakeId] = useState(null); // お手本に重ねて描くテイク
+  const [takeListen, setTakeListen] = useState("reference"); // reference | take | both：どちらを鳴らすか
+  const activeTake = takes.find(x => x.id === activeTakeId) ?? null;
+  const activeTakeRef = useRef(null);
+  const takeListenRef = useRef("reference");
+  const sourceBytesRef = useRef(null);    // 読み込んだファイルのバイト列（保存はこれをそのまま使う）
+  const sourceFormatRef = useRef("midi"); // その形式（songFile.js）
+
   // library UI
   const [libOpen, setLibOpen] = useState(false);
   const [libItems, setLibItems] = useState([]);
+  const [libQuery, setLibQuery] = useState("");
+  const [libSort, setLibSort] = useState("date");
+  const [libFolder, setLibFolder] = useState(ALL_FOLDERS);
+  const [libTag, setLibTag] = useState(null);
+  const [libFavoritesOnly, setLibFavoritesOnly] = useState(false);
+  const [libEditing, setLibEditing] = useState(null); // { id, name, folder, tags }（tags は入力中の文字列）
+  const [restorePreview, setRestorePreview] = useState(null); // { entries, settings, includeSettings, exportedAt }
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [wavExporting, setWavExporting] = useState(false);
+  const [importReport, setImportReport] = useState(null); // { running, total, results }（batchImport.js）
+  const [dragActive, setDragActive] = useState(false);
+  const dragDepthRef = useRef(0);
+  const libFolders = useMemo(()=>collectFolders(libItems), [libItems]);
+  const libTags = useMemo(()=>collectTags(libItems), [libItems]);
+  const libVisible = useMemo(
+    ()=>sortSongs(filterSongs(libItems, { query: libQuery, folder: libFolder, tag: libTag, favoritesOnly: libFavoritesOnly }), libSort),
+    [libItems, libQuery, libFolder, libTag, libFavoritesOnly, libSort]
+  );
 
   // offline / diagnostics
   const [isOfflineMode, setIsOfflineMode] = useState(
@@ -439,6 +626,7 @@ export default function App(){
 
   // 可視窓
   const noteStartsRef = useRef([]);
+  const notesRef = useRef([]);
   const lowerBound = (arr, x) => {
     let lo = 0, hi = arr.length;
     while (lo < hi) {
@@ -447,12 +635,63 @@ export default function App(){
     }
     return lo;
   };
-  useEffect(() => { noteStartsRef.current = notes.map(n => n.start); }, [notes]);
+  useEffect(() => {
+    notesRef.current = notes;
+    noteStartsRef.current = notes.map(n => n.start);
+    schedulerRef.current?.setNotes(notes, landingLead());
+  }, [notes]);
 
   useEffect(() => {
     loopEnabledRef.current = loopEnabled;
   }, [loopEnabled]);
 
+  useEffect(() => {
+    trackStateRef.current = trackState;
+    forceFrameRef.current = true;
+    if(!isPlayingRef.current) renderFrameRef.current?.(playheadRef.current);
+  }, [trackState]);
+
+  useEffect(() => {
+    handModeRef.current = handMode;
+    otherHandRef.current = otherHand;
+    resetPracticeProgress(playheadRef.current);
+    forceFrameRef.current = true;
+    if(!isPlayingRef.current) renderFrameRef.current?.(playheadRef.current);
+  }, [handMode, otherHand]);
+
+  // 単一トラックの曲は分割点が変わったら手を振り直す
+  useEffect(() => {
+    if(tracks.length >= 2) return;
+    setNotes(prev => prev.length ? estimateFingering(assignHands(prev, tracks, handSplit)) : prev);
+  }, [handSplit]);
+
+  useEffect(() => {
+    showFingeringRef.current = showFingering;
+    forceFrameRef.current = true;
+    if(!isPlayingRef.current) renderFrameRef.current?.(playheadRef.current);
+  }, [showFingering]);
+
+  useEffect(() => {
+    pedalEnabledRef.current = pedalEnabled;
+    forceFrameRef.current = true;
+    if(!isPlayingRef.current) renderFrameRef.current?.(playheadRef.current);
+  }, [pedalEnabled]);
+
+  useEffect(() => {
+    waitModeRef.current = waitMode;
+    resetWaitState(waitStateRef.current, playheadRef.current);
+    waitingMidisRef.current = new Set();
+    forceFrameRef.current = true;
+  }, [waitMode]);
+
+  useEffect(() => {
+    scoringEnabledRef.current = scoringEnabled;
+    scorerRef.current = createScorer({ windows: JUDGE_PRESETS[judgeLevel] ?? JUDGE_PRESETS.normal });
+    scorerRef.current.reset(playheadRef.current);
+    lastJudgmentRef.current = null;
+    forceFrameRef.current = true;
+  }, [scoringEnabled, judgeLevel]);
+
   useEffect(() => {
     abRepeatEnabledRef.current = abRepeatEnabled;
     abRepeatARef.current = abRepeatA;
@@ -472,13 +711,13 @@ useEffect(() => {
   // ゆるめの判定：iPad かつ古めの OS / 旧世代機っぽい場合
   const looksOldiPad =
     /iPad/i.test(ua) && (/(OS 1[2-4]_|\bCPU OS 1[2-4]_)/i.test(ua) || /A10|A10X|A9|A8/i.test(ua));
-  Tone.Transport.scheduleAheadTime = looksOldiPad ? 0.38 : 0.22;
+  Tone.getContext().lookAhead = looksOldiPad ? 0.38 : 0.22;
 }, []);
 
 
   // timing
   const playheadRef = useRef(0);
-  const t0Ref = useRef(0);
+  const schedulerRef = useRef(null); // 発音スケジューラ（再生中の時計）
   const rafIdRef = useRef(0);
   const rafActiveRef = useRef(false);
   const isPlayingRef = useRef(false);
@@ -569,6 +808,64 @@ useEffect(() => {
     bgIntensityRef.current = 0;
   }
 
+  // 待機・採点の進行状況をやり直す（停止・シーク・ループ・A-B 折り返し時）
+  function resetPracticeProgress(from) {
+    resetWaitState(waitStateRef.current, from);
+    waitingMidisRef.current = new Set();
+    waitSinceRef.current = null;
+    scorerRef.current.reset(from);
+    lastJudgmentRef.current = null;
+  }
+
+  // 打鍵を判定するか（採点表示を切っていても段階練習は周回の出来を見る）
+  function isJudging() {
+    return scoringEnabledRef.current || Boolean(speedTrainerRef.current);
+  }
+
+  // 学習者が弾く対象のノート（待機・採点の対象）
+  function isLearnerNote(n) {
+    return isTrackVisible(trackStateRef.current, n.track) && isLearnerHand(handModeRef.current, n);
+  }
+
+  // 発音時の音量倍率：片手練習ではもう一方の手を自動演奏／小さく／消音
+  function playbackGain(n) {
+    if(!isTrackAudible(trackStateRef.current, n.track)) return 0;
+    if(handModeRef.current === "both" || isLearnerHand(handModeRef.current, n)) return 1;
+    return OTHER_HAND_GAIN[otherHandRef.current] ?? 1;
+  }
+
+  // 発音の長さ（曲の秒）と強さ：ペダル有効時は延長した releaseEnd とソフトペダルを反映
+  function soundLength(n) {
+    const end = pedalEnabledRef.current ? (n.releaseEnd ?? n.end) : n.end;
+    return end - n.start;
+  }
+  function soundVelocity(n) {
+    const vel = n.vel ?? 0.9;
+    return pedalEnabledRef.current && n.soft ? vel * SOFT_VELOCITY : vel;
+  }
+
+  // 着地までの先行時間（再生ヘッド秒）：ノートは start + lead で鍵盤ラインに届く
+  function landingLead() {
+    const { H } = canvasSizeRef.current;
+    return Math.max(0, (H - KB_HEIGHT) / SPEED);
+  }
+
+  // 再生ヘッド → 鍵盤ラインに届いている曲の位置（小節:拍）
+  function barBeatLabel(playhead) {
+    return formatBarBeat(barBeatAt(timelineRef.current, Math.max(0, playhead - landingLead())));
+  }
+
+  // 小節スナップ：鍵盤ラインに小節頭が届く再生ヘッド位置へ寄せる（曲頭の落下中は 0 のまま）
+  function snapPlayhead(playhead) {
+    const lead = landingLead();
+    const bar = snapToBar(timelineRef.current, playhead - lead);
+    return bar <= 0 && playhead < lead ? 0 : bar + lead;
+  }
+
+  function currentPlayhead() {
+    return isPlayingRef.current && schedulerRef.current ? schedulerRef.current.position() : playheadRef.current;
+  }
+
   function determineFrameInterval(metrics) {
     if (!isPlayingRef.current) return FAST_FRAME_INTERVAL;
     if (!metrics) return FAST_FRAME_INTERVAL;
@@ -673,6 +970,10 @@ useEffect(() => {
 
   // size cache (DPR追加)
   const canvasSizeRef = useRef({ W:0, H:0, dpr:1 });
+  const renderFrameRef = useRef(null); // 購読コールバック等から最新の renderFrame を呼ぶため
+  const scheduledNoteRef = useRef(null); // スケジューラから最新の onScheduledNote を呼ぶため
+  const scheduledClickRef = useRef(null);
+  const scheduledTakeNoteRef = useRef(null);
 
   useEffect(() => {
     if (typeof window === "undefined") return;
@@ -799,9 +1100,7 @@ useEffect(() => {
       setInstReady(false);
       const prev = instrumentRef.current;
       try{
-        const next = sound==="synth" ? await createSynthChain()
-                   : sound==="piano" ? await createPianoChain(false)
-                                     : await createPianoChain(true);
+        const next = await createSoundChain(sound);
         const last = next.chain[next.chain.length - 1];
         last.connect(busRef.current);
         instrumentRef.current = next;
@@ -817,24 +1116,308 @@ useEffect(() => {
     })();
   },[sound, audioReady, isOfflineMode]);
 
-  // ショートカット（8は85%）
+  // ====== 鍵盤入力：仮想入力の接続と打鍵の受け付け ======
+  useEffect(()=>{
+    const hub = noteInputRef.current;
+    const virtual = createVirtualMidiInput();
+    virtualMidiRef.current = virtual;
+    const unbindVirtual = bindMidiInput(hub, virtual);
+    // 実機なしの検証用（開発ビルドのみ）：window.__fnpMidi.virtual.tap(60)
+    if(import.meta.env.DEV && typeof window !== "undefined") window.__fnpMidi = { virtual, hub };
+
+    const unsubscribe = hub.subscribe((evt)=>{
+      const t = currentPlayhead();
+      const recorder = takeRecorderRef.current;
+      if(recorder.recording && isPlayingRef.current){
+        const songSec = t - landingLead();
+        if(evt.type === "noteon") recorder.noteOn(evt.midi, evt.velocity, songSec);
+        else recorder.noteOff(evt.midi, songSec);
+      }
+      if(evt.type === "noteon"){
+        const lead = landingLead();
+        keyFlashRef.current.set(evt.midi, t + (FLASH_MS/1000)/rateRef.current);
+        if(isJudging() && isPlayingRef.current){
+          // 待機中の音は止まって待っていたので、正しい鍵盤なら時間どおりとして評価する
+          const waited = waitingMidisRef.current.has(evt.midi) && !!waitSinceRef.current;
+          const result = scorerRef.current.judgeInput({
+            notes: notesRef.current,
+            midi: evt.midi,
+            t,
+            lead,
+            rate: rateRef.current,
+            isRequired: isLearnerNote,
+            waited,
+          });
+          lastJudgmentRef.current = { judgment: result.judgment, at: getNow() };
+        }
+        if(waitModeRef.current){
+          const matched = matchWaitInput(waitStateRef.current, notesRef.current, evt.midi, t, lead, isLearnerNote);
+          // 着地前に押せた：見送っていた伴奏を拾い直す
+          if(matched && isPlayingRef.current) schedulerRef.current?.requeue();
+        }
+      }
+      forceFrameRef.current = true;
+      if(!isPlayingRef.current) renderFrameRef.current?.(t);
+    });
+    return ()=>{
+      unsubscribe();
+      unbindVirtual();
+      midiConnectionRef.current?.disconnect();
+      midiConnectionRef.current = null;
+      if(import.meta.env.DEV && typeof window !== "undefined") delete window.__fnpMidi;
+    };
+  },[]);
+
+  // ====== 画面の鍵盤（タッチ・マウス）：入力ハブに流し、その場で鳴らす ======
+  const touchKeyboardRef = useRef(null);
+  const touchKeysRef = useRef(true);
+  useEffect(()=>{ touchKeysRef.current = touchKeys; },[touchKeys]);
+
+  useEffect(()=>{
+    const canvas = canvasRef.current;
+    if(!canvas) return;
+    return bindTouchKeyboard(canvas, {
+      enabled: ()=>touchKeysRef.current,
+      hitTest: (x, y)=>touchKeyboardRef.current?.hitTest(x, y) ?? null,
+      onNoteOn: (midi, velocity)=>touchKeyboardRef.current?.noteOn(midi, velocity, TOUCH_SOURCE),
+      onNoteOff: (midi)=>touchKeyboardRef.current?.noteOff(midi, TOUCH_SOURCE),
+    });
+  },[focusMode]); // フォーカスモードの切替で canvas 要素が入れ替わる
+
+  // ====== パソコンのキーボードをピアノに（qwertyPiano.js） ======
+  const qwertyPianoRef = useRef(null);
+  const qwertyEnabledRef = useRef(false);
+  if(!qwertyPianoRef.current){
+    qwertyPianoRef.current = createQwertyPiano({
+      onNoteOn: (midi, velocity)=>touchKeyboardRef.current?.noteOn(midi, velocity, QWERTY_SOURCE),
+      onNoteOff: (midi)=>touchKeyboardRef.current?.noteOff(midi, QWERTY_SOURCE),
+      onChange: (next)=>{ setQwertyState(next); forceFrameRef.current = true; },
+    });
+  }
+
   useEffect(()=>{
-    const onKey=(e)=>{
-      const map = {"1":0.2,"2":0.3,"3":0.4,"4":0.5,"5":0.6,"6":0.7,"7":0.8,"8":0.85,"9":0.9,"0":1.0};
-      if(map[e.key]!=null) setRate(map[e.key]);
+    const piano = qwertyPianoRef.current;
+    qwertyEnabledRef.current = qwertyPiano;
+    if(!qwertyPiano){ piano.releaseAll(); return; }
+    const onDown = (e)=>{ piano.keyDown(e); };
+    const onUp = (e)=>{ piano.keyUp(e); };
+    const onBlur = ()=>piano.releaseAll();
+    window.addEventListener("keydown", onDown);
+    window.addEventListener("keyup", onUp);
+    window.addEventListener("blur", onBlur);
+    forceFrameRef.current = true;
+    return ()=>{
+      window.removeEventListener("keydown", onDown);
+      window.removeEventListener("keyup", onUp);
+      window.removeEventListener("blur", onBlur);
+      piano.releaseAll();
+      forceFrameRef.current = true;
     };
-    window.addEventListener("keydown", onKey);
-    return ()=>window.removeEventListener("keydown", onKey);
+  },[qwertyPiano]);
+
+  function touchHitTest(x, y){
+    const { W, H } = canvasSizeRef.current;
+    if(!W || !H) return null;
+    return keyAtPoint(x, y - (H - KB_HEIGHT), {
+      kbHeight: KB_HEIGHT,
+      blackHeight: KB_HEIGHT * BLACK_H_RATIO,
+      minMidi: viewMinMidi,
+      maxMidi: viewMaxMidi,
+      geom: computeKeyboardGeom(W, viewMinMidi, viewMaxMidi),
+    });
+  }
+
+  // 画面の鍵盤・パソコンのキーボード：その場で鳴らし、学習者の打鍵として入力ハブに流す
+  function localNoteOn(midi, velocity, source){
+    ensureAudioReady();
+    attackNote(midi, velocity);
+    noteInputRef.current.noteOn(midi, velocity, source);
+  }
+
+  function localNoteOff(midi, source){
+    releaseNote(midi);
+    noteInputRef.current.noteOff(midi, source);
+  }
+
+  async function connectMidi(){
+    midiConnectionRef.current?.disconnect();
+    setMidiStatus("connecting");
+    const conn = await connectMidiInputs(noteInputRef.current, { onDevicesChange: setMidiDevices });
+    midiConnectionRef.current = conn;
+    setMidiStatus(conn.ok ? "connected" : conn.reason);
+  }
+
+  // 開発者メニュー用：待機中の鍵盤を仮想入力で押す
+  function pressWaitingWithVirtual(){
+    const virtual = virtualMidiRef.current;
+    if(!virtual) return;
+    for(const midi of waitingMidisRef.current) virtual.tap(midi);
+  }
+
+  // ====== キーボードショートカット（割り当ては shortcuts.js、一覧は「?」） ======
+  // キャプチャ段階で受ける：割り当ての変更中に押したキーを、パソコンのピアノより先に止められるように
+  const shortcutKeyRef = useRef(null);
+  useEffect(()=>{
+    const onKey=(e)=>shortcutKeyRef.current?.(e);
+    window.addEventListener("keydown", onKey, true);
+    return ()=>window.removeEventListener("keydown", onKey, true);
   },[]);
 
-  // 速度変更時、位置維持
+  function seekByBar(delta){
+    const lead = landingLead();
+    seekTo(stepBar(timelineRef.current, playheadRef.current - lead, delta) + lead);
+  }
+
+  const cycleOption = (options, current, delta) =>
+    options[(Math.max(0, options.indexOf(current)) + delta + options.length) % options.length];
+
+  const shortcutHandlers = {
+    togglePlay: ()=>{ if(isPlayingRef.current) pause(); else play(); },
+    stop: ()=>stop(true),
+    seekBackward: ()=>seekTo(playheadRef.current - seekStep),
+    seekForward: ()=>seekTo(playheadRef.current + seekStep),
+    prevBar: ()=>seekByBar(-1),
+    nextBar: ()=>seekByBar(1),
+    setA: ()=>{ if(notes.length) setPointA(); },
+    setB: ()=>{ if(notes.length && abRepeatA != null) setPointB(); },
+    toggleAB: ()=>{ if(abRepeatA != null && abRepeatB != null) setAbRepeatEnabled(v => !v); },
+    toggleLoop: ()=>setLoopEnabled(v => !v),
+    rangePrev: ()=>setRangePreset(v => cycleOption(RANGE_PRESET_ORDER, v, -1)),
+    rangeNext: ()=>setRangePreset(v => cycleOption(RANGE_PRESET_ORDER, v, 1)),
+    effectNext: ()=>setEffectLevel(v => cycleOption(EFFECT_LEVEL_ORDER, v, 1)),
+    focusMode: ()=>setFocusMode(v => !v),
+    help: ()=>setShortcutHelpOpen(v => !v),
+  };
+
+  function handleShortcutKey(e){
+    if(shortcutCapture){
+      captureShortcutKey(e);
+      return;
+    }
+    if(isTypingTarget(e.target)) return;
+    const piano = qwertyEnabledRef.current && !e.ctrlKey && !e.metaKey && !e.altKey && isQwertyPianoCode(e.code);
+    if(piano) return; // ピアノとして弾いたキー
+    const combo = comboFromEvent(e);
+    if(shortcutHelpOpen && combo === "Escape"){
+      setShortcutHelpOpen(false);
+      return;
+    }
+    const id = actionForCombo(shortcuts, combo);
+    if(!id) return;
+    const action = SHORTCUT_ACTIONS.find(a => a.id === id);
+    e.preventDefault();
+    if(e.target?.tagName === "BUTTON") e.target.blur(); // Space でボタンまで押されないように
+    if(e.repeat && !action.repeat) return;
+    if(action.rate != null) setRate(action.rate);
+    else shortcutHandlers[id]?.();
+  }
+
+  // 割り当ての変更：次に押したキーを割り当てる（Esc で取りやめ、Backspace / Delete で割り当てなし）
+  function captureShortcutKey(e){
+    const combo = comboFromEvent(e);
+    if(!combo) return;
+    e.preventDefault();
+    e.stopPropagation(); // ピアノとして鳴らさない（キャプチャ段階なので後ろの keydown には届かない）
+    const id = shortcutCapture;
+    setShortcutCapture(null);
+    if(combo === "Escape") return;
+    const next = assignShortcut(shortcuts, id, combo === "Backspace" || combo === "Delete" ? null : combo);
+    setShortcuts(next.bindings);
+    const displaced = SHORTCUT_ACTIONS.find(a => a.id === next.displaced);
+    setShortcutNotice(displaced ? `「${displaced.label}」の割り当てを外しました（同じキーのため）` : "");
+  }
+
+  function resetShortcuts(){
+    setShortcuts(DEFAULT_SHORTCUTS);
+    setShortcutCapture(null);
+    setShortcutNotice("");
+  }
+
+  // 速度変更時、位置維持（Transport の bpm だけを変える）
   useEffect(()=>{
-    const now = Tone.now();
-    t0Ref.current = now - (playheadRef.current / rate);
+    schedulerRef.current?.setRate(rate);
     rateRef.current = rate;
     prevTRef.current = playheadRef.current;
   },[rate]);
 
+  // ====== 発音スケジューラ：ノートはオーディオクロック上に先行予約し、描画はそれに追従する ======
+  useEffect(()=>{
+    const scheduler = createNoteScheduler(
+      (i, time)=>scheduledNoteRef.current?.(i, time),
+      (click, time)=>scheduledClickRef.current?.(click, time),
+      (k, time)=>scheduledTakeNoteRef.current?.(k, time),
+    );
+    scheduler.setRate(rateRef.current);
+    scheduler.seek(playheadRef.current);
+    scheduler.setNotes(notesRef.current, landingLead());
+    schedulerRef.current = scheduler;
+    applyLoopRange();
+    rebuildTakeLane();
+    // 折り返しの瞬間に鳴っている音を切る（ペダルで伸ばした音が B 点を越えないように）
+    const offLoop = scheduler.onLoop((time)=>{
+      instrumentRef.current?.inst?.releaseAll?.(time);
+      repeatCountInRef.current = Boolean(loopPlanRef.current?.countIn);
+    });
+    return ()=>{
+      offLoop();
+      scheduler.dispose();
+      schedulerRef.current = null;
+      clickVoiceRef.current?.dispose();
+      clickVoiceRef.current = null;
+    };
+  },[]);
+
+  // A-B リピート（A..B）/ 曲ループ（0..曲の終わり）を Transport のループに反映
+  // 周回前カウントインは A の手前に区間を足して、その区間ではノートの代わりにカウントを鳴らす
+  function applyLoopRange(){
+    const scheduler = schedulerRef.current;
+    if(!scheduler) return;
+    const a = abRepeatARef.current, b = abRepeatBRef.current;
+    let plan = null;
+    if(abRepeatEnabledRef.current && a != null && b != null){
+      const { countInBars, countInEachRepeat } = metronomeRef.current;
+      const countIn = countInEachRepeat && countInBars > 0
+        ? countInClicks(timelineRef.current, Math.max(0, a - landingLead()), countInBars)
+        : null;
+      plan = { start: countIn ? Math.max(0, a - countIn.length) : a, end: b, from: a, countIn };
+    }else{
+      const limitVisual = endTimeRef.current;
+      const limit = Math.max(durationRef.current, isFinite(limitVisual) ? limitVisual : 0) + STOP_TAIL;
+      if(loopEnabledRef.current && notesRef.current.length && isFinite(limitVisual)){
+        plan = { start: 0, end: limit, from: 0, countIn: null };
+      }
+    }
+    loopPlanRef.current = plan;
+    scheduler.setLoop(plan);
+    rebuildClicks();
+  }
+
+  // メトロノーム（曲の拍）と A-B 周回前カウントインのクリックを並べ直す
+  function rebuildClicks(){
+    const scheduler = schedulerRef.current;
+    if(!scheduler) return;
+    const clicks = metronomeRef.current.enabled && notesRef.current.length
+      ? beatClicks(timelineRef.current, landingLead())
+      : [];
+    const plan = loopPlanRef.current;
+    if(plan?.countIn){
+      for(const c of plan.countIn.clicks){
+        const at = plan.from - c.before;
+        if(at >= plan.start - 1e-6) clicks.push({ at, accent: c.accent, countIn: true });
+      }
+    }
+    scheduler.setClicks(clicks);
+  }
+
+  useEffect(()=>{
+    metronomeRef.current = { enabled: metronomeEnabled, volume: metronomeVolume, countInBars, countInEachRepeat };
+    clickVoiceRef.current?.setVolume(metronomeVolume);
+  },[metronomeEnabled, metronomeVolume, countInBars, countInEachRepeat]);
+
+  useEffect(()=>{
+    applyLoopRange();
+  },[abRepeatEnabled, abRepeatA, abRepeatB, loopEnabled, visualEnd, duration, notes, metronomeEnabled, countInBars, countInEachRepeat]);
+
   // ResizeObserverによる確実な監視
   useEffect(() => {
     const stage = canvasStageRef.current;
@@ -896,6 +1479,13 @@ useEffect(() => {
     // サイズ情報の保存
     canvasSizeRef.current = { W: cssW, H: cssH, dpr: dpr };
 
+    // 高さが変わると着地までの先行時間も変わるので、予約を並べ直す
+    if (!prev || prev.H !== cssH) {
+      schedulerRef.current?.setNotes(notes, landingLead());
+      rebuildClicks();
+      rebuildTakeLane();
+    }
+
     // 既存処理の呼び出し
     recomputeVisualEnd(cssH, notes);
     renderFrame(playheadRef.current);
@@ -929,40 +1519,56 @@ useEffect(() => {
     endTimeRef.current = maxT; // refに即時反映
   }
 
-  // ====== MIDIロード共通 ======
-  async function loadMidiFromBytes(arrayBuffer) {
+  // ====== 曲ロード共通（MIDI / MusicXML → ノート） ======
+  async function loadSongFromBytes(arrayBuffer, fileName = "Untitled.mid", format = "midi") {
     try {
-      const m = new Midi(arrayBuffer);
-      const flat = [];
-      m.tracks.forEach(tr=>{
-        const ignore = (tr.channel===9) || tr.instrument?.percussion;
-        tr.notes.forEach(n=>{
-          if(ignore) return;
-          if(n.midi<A0_MIDI || n.midi>C8_MIDI) return;
-          const dur = n.duration ?? 0;
-          flat.push({ i: flat.length, midi:n.midi, start:n.time, end:n.time+dur, vel:n.velocity });
-        });
-      });
-      flat.sort((a,b)=>a.start-b.start);
-      const merged = mergeConsecutiveNotes(flat);
-
-      const dur = merged.reduce((mx,n)=>Math.max(mx,n.end),0);
-      setNotes(merged);
+      const { midi: m, measures } = await decodeSong(new Uint8Array(arrayBuffer), format);
+      const generated = readGeneratorMeta(m);
+      if(generated) applyGeneratorMeta(generated);
+      exerciseRef.current = readExerciseMeta(m);
+      const merged = songNotes(m);
+      const trackList = summarizeTracks(m, merged);
+      const nextTrackState = defaultTrackState(trackList);
+      const songEnd = merged.reduce((mx,n)=>Math.max(mx,n.end),0);
+      const songPedals = extractPedals(m, songEnd);
+      const songTimeline = applyMeasureNumbers(timelineFromMidi(m, songEnd), measures);
+      const handed = estimateFingering(applyPedals(assignHands(merged, trackList, handSplit), songPedals));
+
+      const dur = songEnd;
+      currentSongIdRef.current = null;
+      takeRecorderRef.current.stop(0);
+      setTakeRecording(false);
+      setTakes([]);
+      setActiveTakeId(null);
+      sourceBytesRef.current = new Uint8Array(arrayBuffer.slice(0));
+      sourceFormatRef.current = format;
+      stopSpeedPractice();
+      setSpeedLog([]);
+      setSavedSections({});
+      pedalsRef.current = songPedals;
+      setPedals(songPedals);
+      timelineRef.current = songTimeline;
+      trackStateRef.current = nextTrackState;
+      setTracks(trackList);
+      setTrackState(nextTrackState);
+      setNotes(handed);
       setDuration(dur);
       durationRef.current = dur; // refにも保持
-      setName("Generated.mid");
+      setName(fileName);
 
-      applyRangePreset(rangePreset, merged);
+      applyRangePreset(rangePreset, handed);
 
       resetVisualState();
 
       stop(true);
       const H = canvasSizeRef.current.H || canvasRef.current?.getBoundingClientRect().height || 0;
-      recomputeVisualEnd(H, merged);
+      recomputeVisualEnd(H, handed);
       renderFrame(0);
+      return { notes: handed, duration: dur };
     } catch (err) {
-      console.error("loadMidiFromBytes failed:", err);
-      alert("ライブラリ/MIDIの読み込みに失敗しました。");
+      console.error("loadSongFromBytes failed:", err);
+      alert(format === "midi" ? "ライブラリ/MIDIの読み込みに失敗しました。" : `${FORMAT_LABELS[format]}の読み込みに失敗しました。${err?.message ? `（${err.message}）` : ""}`);
+      return null;
     }
   }
 
@@ -971,177 +1577,191 @@ useEffect(() => {
     return u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
   }
 
-  const pdPatterns = [
-    {
-      name: "きらきら星",
-      notes: [60, 60, 67, 67, 65, 65, 67, 0, 65, 65, 64, 64, 62, 62, 60, 0],
-      durations: [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 0.5],
-    },
-    {
-      name: "ちょうちょう",
-      notes: [60, 62, 64, 65, 64, 62, 60, 0, 62, 64, 62, 64, 62, 0, 60, 0],
-      durations: [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 0.5, 1, 0.5],
-    },
-  ];
-
-  const KEY_TO_SEMITONE = { C:0, D:2, E:4, F:5, G:7, A:9, B:11 };
-  function buildScaleIntervals(scale){
-    return scale==="minor" ? [0,2,3,5,7,8,10,12] : [0,2,4,5,7,9,11,12]; // 自然的短音階/長音階
+  // シードを入れ直せば同じ曲ができる（generator.js）。空欄なら新しいシードで作る
+  async function generateAndLoad(seedText = "") {
+    try {
+      const seed = normalizeSeed(seedText) ?? newSeed();
+      const { midi, fileName } = generateSong({
+        key: genKey, scale: genScale, tempo: genTempo, bars: genBars, difficulty: genDifficulty, type: genType,
+        meter: genMeter, progression: genProgression, accompaniment: genAccompaniment,
+      }, seed);
+      setGenSeed(seed);
+      await loadSongFromBytes(toArrayBufferFromU8(midi.toArray()), fileName);
+    } catch (e) {
+      console.error(e);
+      alert("生成に失敗しました。");
+    }
   }
 
-  function randomChoice(arr){ return arr[Math.floor(Math.random()*arr.length)]; }
-  function clampToRange(m){ return clampMidi(m); }
+  // 生成した曲のファイルを開いたら、生成の設定とシードを戻す（同じ曲を作り直せるように）
+  function applyGeneratorMeta(generated){
+    const { params, seed } = generated;
+    if(params.key) setGenKey(params.key);
+    if(params.scale) setGenScale(params.scale);
+    if(Number.isFinite(params.tempo)) setGenTempo(params.tempo);
+    if(Number.isFinite(params.bars)) setGenBars(params.bars);
+    if(Number.isFinite(params.difficulty)) setGenDifficulty(params.difficulty);
+    if(params.type) setGenType(params.type);
+    if(params.meter) setGenMeter(params.meter);
+    if(params.progression) setGenProgression(params.progression);
+    if(params.accompaniment) setGenAccompaniment(params.accompaniment);
+    setGenSeed(seed);
+  }
 
-  async function generateAndLoad() {
-    try {
-      const tempo = clamp(genTempo, 50, 160);
-      const requestedBars = clamp(genBars, 2, 32);
-      const difficulty = clamp(genDifficulty, 0, 3);
-
-      const midi = new Midi();
-      midi.header.setTempo(tempo);
-
-      if(difficulty === 0){
-        const patternSelection =
-          genType === "twinkle"
-            ? pdPatterns.find(p => p.name === "きらきら星")
-            : genType === "butterfly"
-            ? pdPatterns.find(p => p.name === "ちょうちょう")
-            : randomChoice(pdPatterns);
-
-        const selectedPattern = patternSelection || pdPatterns[0];
-        const secondsPerBeat = 60 / tempo;
-        const beatsPerBar = 4;
-        const targetBeats = beatsPerBar * 4; // 4 bars fixed for beginner mode
-
-        const rightTrack = midi.addTrack();
-        rightTrack.name = `${selectedPattern.name} Melody`;
-
-        let beatCursor = 0;
-        let idx = 0;
-        const notesLength = selectedPattern.notes.length;
-        while (beatCursor < targetBeats - 1e-6 && notesLength > 0){
-          const patIndex = idx % notesLength;
-          const pitch = selectedPattern.notes[patIndex];
-          const rawDuration = selectedPattern.durations?.[patIndex] ?? 0.5;
-          const safeDuration = Math.max(rawDuration, 0.25);
-          const remainingBeats = targetBeats - beatCursor;
-          const beatDuration = Math.min(safeDuration, remainingBeats);
-
-          if(pitch !== 0 && beatDuration > 1e-6){
-            rightTrack.addNote({
-              midi: pitch,
-              time: beatCursor * secondsPerBeat,
-              duration: beatDuration * secondsPerBeat,
-              velocity: 0.8,
-            });
-          }
+  // ====== 内蔵の曲カタログ（catalogue.js）：Service Worker のキャッシュからオフラインでも開ける ======
+  useEffect(()=>{
+    let cancelled = false;
+    loadCatalogue()
+      .then(list => { if(!cancelled) setCatalogue(list); })
+      .catch(err => {
+        console.warn("[catalogue] load failed", err);
+        if(!cancelled) setCatalogue([]);
+      });
+    return ()=>{ cancelled = true; };
+  },[]);
 
-          beatCursor += beatDuration;
-          idx += 1;
-        }
+  async function openCatalogueSong(entry){
+    try{
+      const bytes = await fetchCatalogueSong(entry);
+      await loadSongFromBytes(toArrayBufferFromU8(bytes), `${entry.title}.song.json`, "songdata");
+    }catch(err){
+      console.error(err);
+      alert("曲を開けませんでした。");
+    }
+  }
 
-        const leftTrack = midi.addTrack();
-        leftTrack.name = `${selectedPattern.name} Bass`;
-        const bassNotes = [48, 53, 55, 48]; // C3 - F3 - G3 - C3
-        bassNotes.forEach((bassMidi, bar) => {
-          leftTrack.addNote({
-            midi: bassMidi,
-            time: bar * beatsPerBar * secondsPerBeat,
-            duration: beatsPerBar * secondsPerBeat,
-            velocity: 0.7,
-          });
-        });
+  // ====== 初見練習のカリキュラム（curriculum.js）：学習者ごとの進み具合で次の課題を作る ======
+  const activeLearner = learners.find(l => l.id === learnerId) ?? learners[0] ?? null;
 
-        const bytes = midi.toArray();
-        await loadMidiFromBytes(toArrayBufferFromU8(bytes));
-        setName(`${selectedPattern.name}_beginner.mid`);
-        return;
+  useEffect(()=>{
+    let cancelled = false;
+    (async()=>{
+      try{
+        const list = await ensureLearners("わたし");
+        if(!cancelled) setLearners(list);
+      }catch(err){
+        console.warn("[curriculum] learners load failed", err);
       }
+    })();
+    return ()=>{ cancelled = true; };
+  },[]);
 
-      const tr = midi.addTrack();
-      const bars = requestedBars;
-      const effDifficulty = clamp(difficulty, 1, 3);
-      const rootSemitone = KEY_TO_SEMITONE[genKey] ?? 0;
-      const scale = buildScaleIntervals(genScale);
-      const rootOct = 60; // C4を基準、選んだキーにシフト
-
-      // リズム：難易度で密度を切替
-      // diff=1: 1/2音符中心, diff=2: 1/4中心, diff=3: 1/8混在
-      const rhythmPool =
-        effDifficulty===1 ? [1.0, 0.5, 0.5, 1.0] :
-        effDifficulty===2 ? [0.5, 0.5, 0.25, 0.25, 1.0] :
-                         [0.25, 0.25, 0.5, 0.25, 0.125, 0.375];
-
-      // メロディ方針：スケール内を小さな歩幅でランダムウォーク（跳躍抑制）、小節末は着地
-      const totalBeats = bars * 4; // 4/4のみ（MVP）
-      let tBeat = 0;
-      let degreeIdx = 0; // スケール内の位置
-      let currentMidi = clampToRange(rootOct + rootSemitone + scale[degreeIdx]);
-
-      while(tBeat < totalBeats - 1e-6){
-        let dur = randomChoice(rhythmPool);
-        if(tBeat + dur > totalBeats) dur = totalBeats - tBeat;
-
-        // 小節終端は主音or和声音へ寄せる
-        const atBarEnd = Math.abs((tBeat % 4) + dur - 4) < 1e-6;
-        const targetDegrees = genScale==="major" ? [0,4,7,12] : [0,3,7,12]; // I和声音
-        if(atBarEnd){
-          const tg = randomChoice(targetDegrees);
-          currentMidi = clampToRange(rootOct + rootSemitone + tg);
-        }else{
-          // ランダムウォーク：-2..+2度の範囲で移動（跳躍抑制）
-          const step = randomChoice([-2,-1,0,1,1,2]); // 上行を少し優先
-          degreeIdx = clamp(degreeIdx + step, 0, scale.length-1);
-          currentMidi = clampToRange(rootOct + rootSemitone + scale[degreeIdx]);
-          // たまにオクターブ上げ下げ（難易度3のみ）
-          if(effDifficulty===3 && Math.random()<0.15){
-            const up = Math.random()<0.5 ? -12 : 12;
-            currentMidi = clampToRange(currentMidi + up);
-          }
-        }
-
-        // 休符：難易度1で少なめ、3でやや多め
-        const restProb = effDifficulty===1 ? 0.05 : effDifficulty===2 ? 0.1 : 0.15;
-        const isRest = Math.random() < restProb;
-
-        if(!isRest){
-          const timeSec = (tBeat / (tempo/60));
-          const durSec  = Math.max(0.12, dur / (tempo/60));
-          tr.addNote({
-            midi: currentMidi,
-            time: timeSec,
-            duration: durSec,
-            velocity: 0.8 + Math.random()*0.15
-          });
-        }
-        tBeat += dur;
-      }
+  useEffect(()=>{
+    if(!activeLearner) return;
+    let cancelled = false;
+    setCurriculum(null);
+    loadCurriculumProgress(activeLearner.id)
+      .then(saved => { if(!cancelled) setCurriculum(normalizeProgress(saved)); })
+      .catch(err => console.warn("[curriculum] progress load failed", err));
+    return ()=>{ cancelled = true; };
+  },[activeLearner?.id]);
+
+  async function commitLearnerDraft(){
+    const learnerName = learnerDraft?.trim();
+    if(!learnerName) return;
+    try{
+      const { learner, learners: list } = await addLearner(learnerName);
+      setLearners(list);
+      setLearnerId(learner.id);
+      setLearnerDraft(null);
+    }catch(err){
+      console.error(err);
+      alert("学習者を追加できませんでした。");
+    }
+  }
 
-      const bytes = midi.toArray();
-      await loadMidiFromBytes(toArrayBufferFromU8(bytes));
-      setName(`${genKey}${genScale==="major"?"":"m"}_${tempo}bpm_${bars}bars.mid`);
-    } catch (e) {
+  async function loadNextExercise(){
+    if(!curriculum) return;
+    try{
+      const { spec, seed } = exerciseSpec(curriculum);
+      const { midi, fileName } = generateExercise(spec, seed);
+      const loaded = await loadSongFromBytes(toArrayBufferFromU8(midi.toArray()), fileName);
+      if(loaded) setScoringEnabled(true); // 結果を進み具合に記録するため採点をオンにする
+    }catch(e){
       console.error(e);
-      alert("生成に失敗しました。");
+      alert("課題の生成に失敗しました。");
     }
   }
 
+  /** 課題を最後まで弾いたら、正確さを学習者の進み具合に記録する（レベルが変われば { change, level }） */
+  function recordExerciseScore(summary){
+    const exercise = exerciseRef.current;
+    if(!exercise || !curriculum || !activeLearner) return null;
+    exerciseRef.current = null; // 弾き直しは初見ではないので記録しない
+    const { progress, change } = recordExercise(curriculum, {
+      levelId: exercise.levelId, seed: exercise.seed, accuracy: summary.accuracy,
+    });
+    setCurriculum(progress);
+    saveCurriculumProgress(activeLearner.id, progress).catch(err => console.warn("[curriculum] save failed", err));
+    return { change, level: levelById(progress.levelId), learnerName: activeLearner.name };
+  }
+
   // ファイル選択
+  // 1 つの MIDI / MusicXML はそのまま開き、複数・zip はライブラリへ一括取り込み
   async function onFile(e){
-    const f = e.target.files?.[0]; if(!f) return;
-    if(!/\.midi?$/i.test(f.name)){ alert("MIDIファイル（.mid / .midi）を選んでください。"); return; }
-    if(f.size > 10 * 1024 * 1024){ alert("ファイルサイズが大きすぎます（10MB以下）"); return; }
+    const files = [...(e.target.files ?? [])];
+    e.target.value = "";
+    await openFiles(files);
+  }
+
+  async function openFiles(files){
+    if(!files.length) return;
+    if(files.length > 1 || !songFormatOf(files[0].name)){
+      await runBatchImport(files);
+      return;
+    }
+    const f = files[0];
+    if(f.size > MAX_MIDI_BYTES){ alert("ファイルサイズが大きすぎます（10MB以下）"); return; }
     try{
       const buf = await f.arrayBuffer();
-      await loadMidiFromBytes(buf);
-      setName(f.name);
+      await loadSongFromBytes(buf, f.name, songFormatOf(f.name));
     }catch(err){
       console.error(err);
       alert("MIDIの読み込みに失敗しました。");
     }
   }
 
+  async function runBatchImport(files){
+    if(importReport?.running) return;
+    setImportReport({ running: true, total: files.length, results: [] });
+    try{
+      const results = await importFiles(files, (_done, partial)=>{
+        setImportReport(r => r && { ...r, results: [...partial] });
+      });
+      setImportReport({ running: false, total: files.length, results });
+      if(libOpen) setLibItems(await listSongs());
+    }catch(err){
+      console.error(err);
+      setImportReport(r => ({ running: false, total: files.length, results: r?.results ?? [], error: err?.message || String(err) }));
+    }
+  }
+
+  // 画面全体へのドラッグ＆ドロップ（子要素の出入りで点滅しないよう深さを数える）
+  const hasDraggedFiles = (e) => [...(e.dataTransfer?.types ?? [])].includes("Files");
+  function onDragEnter(e){
+    if(!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setDragActive(true);
+  }
+  function onDragOver(e){
+    if(!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  }
+  function onDragLeave(e){
+    if(!hasDraggedFiles(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if(!dragDepthRef.current) setDragActive(false);
+  }
+  function onDrop(e){
+    if(!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setDragActive(false);
+    openFiles([...e.dataTransfer.files]);
+  }
+
   function applyRangePreset(preset, src){
     let effective = preset;
     if(effective === "24") effective = "48";
@@ -1201,8 +1821,10 @@ useEffect(() => {
     const H = canvasSizeRef.current.H || canvasRef.current?.getBoundingClientRect().height || 0;
     recomputeVisualEnd(H, notes);
 
-    const now = Tone.now();
-    t0Ref.current = now - (playheadRef.current / rateRef.current);
+    applyLoopRange();
+    repeatCountInRef.current = false;
+    repeatCountInShownRef.current = false;
+    startWithCountIn(playheadRef.current);
     prevTRef.current = playheadRef.current;
     syncUiPlayhead(playheadRef.current, { force: true, timestamp: getNow() });
 
@@ -1214,9 +1836,11 @@ useEffect(() => {
   function pause(){
     cancelRAF();
     requestFrameBoost();
-    const tFreeze = isPlayingRef.current
-      ? (Tone.now() - t0Ref.current) * rateRef.current
+    const tFreeze = isPlayingRef.current && schedulerRef.current
+      ? schedulerRef.current.pause()
       : playheadRef.current;
+    countInRef.current = null;
+    takeRecorderRef.current.releaseAll(tFreeze - landingLead());
 
     isPlayingRef.current = false;
     setIsPlaying(false);
@@ -1240,9 +1864,14 @@ useEffect(() => {
     syncUiPlayhead(target, { force: true, timestamp: getNow() });
     playheadRef.current = target;
     prevTRef.current = target;
-    t0Ref.current = Tone.now() - (target / rateRef.current);
+    schedulerRef.current?.pause();
+    schedulerRef.current?.seek(target);
+    countInRef.current = null;
+    repeatCountInRef.current = false;
+    repeatCountInShownRef.current = false;
 
     resetVisualState();
+    resetPracticeProgress(target);
 
     masterRef.current?.gain?.rampTo?.(0, 0.03);
     instrumentRef.current?.inst?.releaseAll?.();
@@ -1253,14 +1882,16 @@ useEffect(() => {
   // ====== シーク機能 ======
   function seekTo(targetSec){
     const clamped = clamp(targetSec, 0, Math.max(durationRef.current, isFinite(endTimeRef.current) ? endTimeRef.current : 0));
-    const now = Tone.now();
-    
     playheadRef.current = clamped;
     prevTRef.current = clamped;
-    t0Ref.current = now - (clamped / rateRef.current);
+    schedulerRef.current?.seek(clamped);
+    countInRef.current = null;
+    repeatCountInRef.current = false;
+    repeatCountInShownRef.current = false;
     syncUiPlayhead(clamped, { force: true, timestamp: getNow() });
     
     resetVisualState();
+    resetPracticeProgress(clamped);
     instrumentRef.current?.inst?.releaseAll?.();
     renderFrame(clamped);
     requestFrameBoost();
@@ -1277,7 +1908,7 @@ useEffect(() => {
 
   function handleSeekChange(e){
     const value = parseFloat(e.target.value);
-    seekTo(value);
+    seekTo(snapToBars ? snapPlayhead(value) : value);
   }
 
   function handleSeekEnd(){
@@ -1290,7 +1921,7 @@ useEffect(() => {
 
   // A-Bリピート用の関数
   function setPointA(){
-    const current = playheadRef.current;
+    const current = snapToBars ? snapPlayhead(playheadRef.current) : playheadRef.current;
     setAbRepeatA(current);
     if(abRepeatB != null && current >= abRepeatB){
       setAbRepeatB(null);
@@ -1298,7 +1929,7 @@ useEffect(() => {
   }
 
   function setPointB(){
-    const current = playheadRef.current;
+    const current = snapToBars ? snapPlayhead(playheadRef.current) : playheadRef.current;
     if(abRepeatA != null && current > abRepeatA){
       setAbRepeatB(current);
     } else {
@@ -1312,56 +1943,579 @@ useEffect(() => {
     setAbRepeatEnabled(false);
   }
 
+  // ====== 設定の保存と復元（形式・移行は settings.js） ======
+  const globalSettingsLoadedRef = useRef(false);
+  const globalSetters = {
+    rate: setRate, effectLevel: setEffectLevel, noteStyle: setNoteStyle, labelMode: setLabelMode,
+    rangePreset: setRangePreset, sound: setSound, loopEnabled: setLoopEnabled, waitMode: setWaitMode,
+    scoringEnabled: setScoringEnabled, judgeLevel: setJudgeLevel, pedalEnabled: setPedalEnabled,
+    metronomeEnabled: setMetronomeEnabled, metronomeVolume: setMetronomeVolume, countInBars: setCountInBars,
+    countInEachRepeat: setCountInEachRepeat, snapToBars: setSnapToBars, handMode: setHandMode, otherHand: setOtherHand,
+    librarySort: setLibSort, touchKeys: setTouchKeys, qwertyPiano: setQwertyPiano,
+    shortcuts: (v)=>setShortcuts(normalizeShortcuts(v)), seekStep: setSeekStep, learnerId: setLearnerId,
+    fingering: setShowFingering,
+  };
+  const globalSettingsJson = JSON.stringify(packSettings({
+    rate, effectLevel, noteStyle, labelMode, rangePreset, sound, loopEnabled, waitMode, scoringEnabled, judgeLevel,
+    pedalEnabled, metronomeEnabled, metronomeVolume, countInBars, countInEachRepeat, snapToBars, handMode, otherHand,
+    librarySort: libSort, touchKeys, qwertyPiano, shortcuts: changedShortcuts(shortcuts), seekStep, learnerId,
+    fingering: showFingering,
+  }, GLOBAL_SCHEMA));
+
+  // 曲ごとの設定：A/B 点は canvas の高さ（lead）に依らない曲の秒で持つ
+  function collectSongSettings(){
+    const lead = landingLead();
+    return {
+      rate, rangePreset, handMode, otherHand, handSplit, trackState, speedPlan,
+      abA: abRepeatA == null ? null : Math.max(0, abRepeatA - lead),
+      abB: abRepeatB == null ? null : Math.max(0, abRepeatB - lead),
+      abEnabled: abRepeatEnabled,
+    };
+  }
+  const songSettingsJson = JSON.stringify(packSettings(collectSongSettings(), SONG_SCHEMA));
+
+  // 曲にしかない値（分割点・段階練習）は、保存されていなければ既定に戻す（前の曲の値を持ち込まない）
+  function applySongSettings(saved){
+    const lead = landingLead();
+    if(saved.rate != null) setRate(saved.rate);
+    if(saved.rangePreset != null) setRangePreset(saved.rangePreset);
+    if(saved.handMode != null) setHandMode(saved.handMode);
+    if(saved.otherHand != null) setOtherHand(saved.otherHand);
+    setHandSplit(saved.handSplit ?? DEFAULT_SPLIT);
+    // トラックは loadSongFromBytes がこの曲の既定に戻してあるので、その上に保存分を重ねる
+    if(saved.trackState){
+      const next = restoreTrackState(trackStateRef.current, saved.trackState);
+      trackStateRef.current = next;
+      setTrackState(next);
+    }
+    setSpeedPlan(saved.speedPlan ? normalizeSpeedPlan(saved.speedPlan) : DEFAULT_SPEED_PLAN);
+    const a = saved.abA != null ? saved.abA + lead : null;
+    const b = saved.abB != null ? saved.abB + lead : null;
+    setAbRepeatA(a);
+    setAbRepeatB(a != null && b != null && b > a ? b : null);
+    setAbRepeatEnabled(Boolean(saved.abEnabled && a != null && b != null && b > a));
+  }
+
+  // 起動時に全体設定を復元
+  useEffect(()=>{
+    let cancelled = false;
+    (async()=>{
+      try{
+        const saved = readSettings(await loadGlobalSettings(), GLOBAL_SCHEMA);
+        if(cancelled) return;
+        for(const [key, value] of Object.entries(saved)) globalSetters[key]?.(value);
+      }catch(err){
+        console.warn("[settings] load failed", err);
+      }finally{
+        if(!cancelled) globalSettingsLoadedRef.current = true;
+      }
+    })();
+    return ()=>{ cancelled = true; };
+  },[]);
+
+  // 変更は少し待ってまとめて保存（復元が終わるまでは既定値で上書きしない）
+  useEffect(()=>{
+    if(!globalSettingsLoadedRef.current) return;
+    const id = setTimeout(()=>{
+      saveGlobalSettings(JSON.parse(globalSettingsJson)).catch(err => console.warn("[settings] save failed", err));
+    }, 400);
+    return ()=>clearTimeout(id);
+  },[globalSettingsJson]);
+
+  useEffect(()=>{
+    const songId = currentSongIdRef.current;
+    if(!songId) return;
+    const id = setTimeout(()=>{
+      if(currentSongIdRef.current !== songId) return;
+      saveSongSettings(songId, JSON.parse(songSettingsJson)).catch(err => console.warn("[settings] song save failed", err));
+    }, 400);
+    return ()=>clearTimeout(id);
+  },[songSettingsJson]);
+
+  // ====== 段階練習 ======
+  // 速度を即座に反映（周回の切れ目・再生開始の直前に変えるので effect を待たない）
+  function applyRate(next){
+    rateRef.current = next;
+    schedulerRef.current?.setRate(next);
+    setRate(next);
+  }
+
+  function startSpeedPractice(){
+    const a = abRepeatARef.current, b = abRepeatBRef.current;
+    if(a == null || b == null){ alert("先にA点とB点を設定してください"); return; }
+    const lead = landingLead();
+    const saved = savedSections[sectionKey(a - lead, b - lead)];
+    const trainer = createSpeedTrainer(speedPlan, saved?.log ?? []);
+    speedTrainerRef.current = trainer;
+    speedSectionRef.current = { a, b };
+    setSpeedLog([...trainer.log]);
+    setSpeedActive(true);
+    abRepeatEnabledRef.current = true;
+    setAbRepeatEnabled(true);
+    applyRate(trainer.rate);
+    seekTo(a);
+    persistSpeedSection();
+    if(!isPlayingRef.current) play();
+  }
+
+  function stopSpeedPractice(){
+    speedTrainerRef.current = null;
+    speedSectionRef.current = null;
+    setSpeedActive(false);
+  }
+
+  // 1 周の終わり：B より手前のノートだけで出来を判定し、次の周の速度を決める
+  function completeSpeedCycle(plan){
+    const trainer = speedTrainerRef.current;
+    const lead = landingLead();
+    const inSection = notesRef.current.slice(0, lowerBound(noteStartsRef.current, plan.end - lead));
+    scorerRef.current.sweepMisses({ notes: inSection, t: Infinity, lead, rate: rateRef.current, isRequired: isLearnerNote });
+    const entry = trainer.completeCycle(scorerRef.current.summary());
+    setSpeedLog([...trainer.log]);
+    if(entry.nextRate !== rateRef.current) applyRate(entry.nextRate);
+    persistSpeedSection();
+  }
+
+  // ライブラリの曲なら区間（曲の秒）ごとに設定とログを保存
+  function persistSpeedSection(){
+    const songId = currentSongIdRef.current;
+    const trainer = speedTrainerRef.current;
+    const section = speedSectionRef.current;
+    if(!songId || !trainer || !section) return;
+    const lead = landingLead();
+    const a = section.a - lead, b = section.b - lead;
+    savePracticeSection(songId, { key: sectionKey(a, b), a, b, plan: trainer.plan, log: trainer.log })
+      .then(meta => { if(meta) setSavedSections(meta.practice ?? {}); })
+      .catch(err => console.warn("[practice] save failed", err));
+  }
+
+  // 保存した区間を呼び出す（A/B と設定・ログ）
+  function recallSection(section){
+    stopSpeedPractice();
+    const lead = landingLead();
+    setAbRepeatA(section.a + lead);
+    setAbRepeatB(section.b + lead);
+    setSpeedPlan(normalizeSpeedPlan(section.plan));
+    setSpeedLog(section.log ?? []);
+  }
+
+  // 区間を変えた・A-B を切ったら段階練習は終わり
+  useEffect(()=>{
+    const section = speedSectionRef.current;
+    if(!speedTrainerRef.current || !section) return;
+    if(!abRepeatEnabled || abRepeatA !== section.a || abRepeatB !== section.b) stopSpeedPractice();
+  },[abRepeatEnabled, abRepeatA, abRepeatB]);
+
+  // ====== トラック（表示/ミュート/ソロ/色） ======
+  function updateTrack(index, patch){
+    setTrackState(prev => ({ ...prev, [index]: { ...prev[index], ...patch } }));
+    // 表示を切り替えると待機・採点の対象が変わるので、現在位置からやり直す
+    if("visible" in patch) resetPracticeProgress(currentPlayhead());
+  }
+
   // ====== 音を鳴らす（安全化） ======
-  function triggerNote(midi, durSec, vel){
+  // time はオーディオ時刻（スケジューラの予約時刻）。省略時は即時
+  function triggerNote(midi, durSec, vel, time){
     const inst = instrumentRef.current?.inst;
     if(!inst) return;
     try {
       const note = Tone.Frequency(midi, "midi").toNote();
       const velocity = clamp(vel ?? 0.9, 0.1, 1);
-      inst.triggerAttackRelease?.(note, durSec, undefined, velocity);
+      inst.triggerAttackRelease?.(note, durSec, time, velocity);
     } catch (error) {
       console.warn("triggerNote failed:", error);
       // 音で失敗してもアプリは止めない
     }
   }
 
-  // ====== 保存/ライブラリ ======
-  async function handleSave(){
-    if(!notes.length){ alert("保存できる曲がありません。MIDIを読み込むか作曲してください。"); return; }
-    const nm = prompt("保存名を入力", name || "Untitled");
-    if(nm == null) return;
-
-    const midi = new Midi();
-    const tr = midi.addTrack();
-    for(const n of notes){
-      tr.addNote({ midi:n.midi, time:n.start, duration: Math.max(0.05, n.end-n.start), velocity: n.vel ?? 0.9 });
+  // 押している間鳴らす（画面の鍵盤）
+  function attackNote(midi, vel){
+    const inst = instrumentRef.current?.inst;
+    if(!inst) return;
+    try {
+      inst.triggerAttack?.(Tone.Frequency(midi, "midi").toNote(), undefined, clamp(vel ?? 0.9, 0.1, 1));
+    } catch (error) {
+      console.warn("attackNote failed:", error);
     }
-    const bytes = midi.toArray();
-    await saveSong(nm, bytes);
-    alert("保存しました。");
   }
-  async function openLibrary(){
-    const items = await listSongs();
-    setLibItems(items);
-    setLibOpen(true);
-  }
-  async function loadFromLibrary(id){
-    try{
-      const u8 = await loadSongBytes(id);
-      if(!u8){ alert("ライブラリからの読み込みに失敗しました。"); return; }
-      await loadMidiFromBytes(toArrayBufferFromU8(u8));
-      setLibOpen(false);
-    }catch(e){
-      console.error(e);
-      alert("ライブラリからの読み込みに失敗しました。");
+
+  function releaseNote(midi){
+    try {
+      instrumentRef.current?.inst?.triggerRelease?.(Tone.Frequency(midi, "midi").toNote());
+    } catch (error) {
+      console.warn("releaseNote failed:", error);
+    }
+  }
+
+  // ====== メトロノーム・カウントイン ======
+  function ensureClickVoice(){
+    if(!clickVoiceRef.current && masterRef.current){
+      clickVoiceRef.current = createClickVoice(masterRef.current, metronomeRef.current.volume);
+    }
+    return clickVoiceRef.current;
+  }
+
+  // 再生前カウントイン：from の拍子・テンポで数えてから Transport を動かす
+  function startWithCountIn(from){
+    const scheduler = schedulerRef.current;
+    if(!scheduler) return;
+    const bars = metronomeRef.current.countInBars;
+    if(!bars){
+      countInRef.current = null;
+      scheduler.start(from);
+      return;
+    }
+    const rate = rateRef.current;
+    // 曲頭の落下中から始めるときは、曲の 0 秒が鍵盤ラインに届く位置へ向けて数える。
+    // 落下の間に収まらない分だけ再生の開始を遅らせる
+    const lead = landingLead();
+    const land = Math.max(from, lead);
+    const countIn = countInClicks(timelineRef.current, Math.max(0, from - lead), bars);
+    const startAt = scheduler.start(from, Math.max(0, countIn.length - (land - from)) / rate);
+    const landAt = startAt + (land - from) / rate;
+    const voice = ensureClickVoice();
+    for(const c of countIn.clicks){
+      const at = land - c.before;
+      if(at >= from) scheduler.cueOnce(at, (time) => ensureClickVoice()?.click(time, c.accent));
+      else voice?.click(startAt - (from - at) / rate, c.accent);
+    }
+    countInRef.current = {
+      landAt, beatSec: countIn.beatSec / rate, total: countIn.clicks.length, numerator: countIn.numerator,
+    };
+  }
+
+  // A-B の周回前カウントイン中か（折り返してから A に届くまで）。at は予約中のイベントの再生ヘッド秒
+  function inRepeatCountIn(at){
+    const plan = loopPlanRef.current;
+    if(!repeatCountInRef.current || !plan?.countIn) return false;
+    if(at >= plan.from - 1e-6){
+      repeatCountInRef.current = false;
+      return false;
+    }
+    return at >= plan.start - 1e-6;
+  }
+
+  // 画面に出すカウント（1..拍子）。カウント中でなければ null
+  function countInBeat(t){
+    const pre = countInRef.current;
+    if(pre){
+      const now = Tone.immediate();
+      if(now < pre.landAt){
+        const k = Math.floor((now - (pre.landAt - pre.total * pre.beatSec)) / pre.beatSec);
+        return k >= 0 ? (k % pre.numerator) + 1 : null;
+      }
+      countInRef.current = null;
+    }
+    const plan = loopPlanRef.current;
+    if(!repeatCountInShownRef.current || !plan?.countIn) return null;
+    if(t >= plan.from){
+      repeatCountInShownRef.current = false;
+      return null;
+    }
+    const k = Math.floor((t - (plan.from - plan.countIn.length)) / plan.countIn.beatSec);
+    return k >= 0 ? (k % plan.countIn.numerator) + 1 : null;
+  }
+
+  function onScheduledClick(click, time){
+    // 周回前カウントイン中はカウントだけ、それ以外はメトロノームだけを鳴らす
+    if(Boolean(click.countIn) !== inRepeatCountIn(click.at)) return;
+    ensureClickVoice()?.click(time, click.accent);
+  }
+
+  // ====== 予約時刻に鳴らす（スケジューラから先行して呼ばれる） ======
+  // false を返したノートは鳴らしていない扱いになり、待機が解けて再開したときにもう一度呼ばれる
+  function onScheduledNote(i, time){
+    const n = notesRef.current[i];
+    if(!n) return;
+    const lead = landingLead();
+    // A-B 周回前カウントインの区間（A より手前）は鳴らさない
+    if(inRepeatCountIn(n.start + lead)) return;
+    if(waitModeRef.current){
+      // 学習者が弾くノートは自動発音しない。伴奏も次に止まる位置から先は再開まで見送る
+      if(isLearnerNote(n)) return;
+      const barrier = nextWaitLanding(waitStateRef.current, notesRef.current, lead, isLearnerNote);
+      if(n.start + lead >= barrier - 1e-6) return false;
+    }
+    if(takeListenRef.current === "take" && activeTakeRef.current) return; // テイクだけを聞く
+    const gain = playbackGain(n);
+    if(gain <= 0) return;
+    const durPlay = Math.max(0.05, soundLength(n) / rateRef.current);
+    triggerNote(n.midi, durPlay, soundVelocity(n) * gain, time);
+  }
+
+  function onScheduledTakeNote(k, time){
+    const n = activeTakeRef.current?.notes[k];
+    if(!n || n.start < 0) return;
+    triggerNote(n.midi, Math.max(0.05, (n.end - n.start) / rateRef.current), n.vel, time);
+  }
+
+  // ====== テイク（録音・重ね描き・再生・書き出し） ======
+  function rebuildTakeLane(){
+    const take = activeTakeRef.current;
+    const listen = takeListenRef.current !== "reference";
+    schedulerRef.current?.setTakeNotes(take && listen ? take.notes : [], landingLead());
+  }
+
+  useEffect(()=>{
+    activeTakeRef.current = activeTake;
+    takeListenRef.current = takeListen;
+    rebuildTakeLane();
+  },[activeTake, takeListen]);
+
+  function startTakeRecording(){
+    takeRecorderRef.current.start(rateRef.current);
+    setTakeRecording(true);
+  }
+
+  function stopTakeRecording(){
+    const take = takeRecorderRef.current.stop(currentPlayhead() - landingLead());
+    setTakeRecording(false);
+    if(!take) return;
+    const next = addTake(takes, take);
+    setTakes(next);
+    setActiveTakeId(take.id);
+    persistTakes(next);
+  }
+
+  function removeTake(id){
+    const next = takes.filter(x => x.id !== id);
+    setTakes(next);
+    if(activeTakeId === id) setActiveTakeId(null);
+    persistTakes(next);
+  }
+
+  // ライブラリの曲だけ保存する（それ以外はこのセッションの間だけ）
+  function persistTakes(next){
+    const songId = currentSongIdRef.current;
+    if(!songId) return;
+    saveTakes(songId, next).catch(err => console.warn("[takes] save failed", err));
+  }
+
+  function exportTakeMidi(take){
+    const midi = takeToMidi(take, timelineRef.current, "Take");
+    const stamp = new Date(take.createdAt).toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+    downloadBlob(new Blob([midi.toArray()], { type: "audio/midi" }), exportFileName(`${exportFileName(name, "")}_take_${stamp}`, ".mid"));
+  }
+
+  // ====== 保存/ライブラリ ======
+  // 既定の保存は読み込んだファイルそのもの（トラック・テンポ・CC・連続音もそのまま残る）。
+  // 画面上のノート（連続音の結合・手の割り当て後）から作り直すのは「編集を反映して保存」のみ
+  async function handleSave(){
+    const bytes = sourceBytesRef.current;
+    if(!notes.length || !bytes){ alert("保存できる曲がありません。MIDIを読み込むか作曲してください。"); return; }
+    await saveToLibrary(bytes, "original", sourceFormatRef.current);
+  }
+
+  async function handleSaveEdited(){
+    if(!notes.length){ alert("保存できる曲がありません。MIDIを読み込むか作曲してください。"); return; }
+    await saveToLibrary(buildEditedMidi().toArray(), "edited", "midi");
+  }
+
+  async function saveToLibrary(bytes, source, format){
+    const nm = prompt("保存名を入力", name || "Untitled");
+    if(nm == null) return;
+    const info = { source, format, trackCount: tracks.length, ...songInfoFromNotes(notes) };
+    const meta = await saveSong(nm, bytes, JSON.parse(songSettingsJson), info);
+    currentSongIdRef.current = meta.id;
+    if(takes.length) persistTakes(takes);
+    setName(meta.name);
+    alert("保存しました。");
+  }
+
+  function buildEditedMidi(){
+    const midi = new Midi();
+    // ノートの秒 → tick の換算に使うので、テンポ・拍子を先に書く
+    writeTimelineToHeader(midi.header, timelineRef.current);
+    const byTrack = new Map();
+    for(const n of notes){
+      const key = n.track ?? 0;
+      if(!byTrack.has(key)){
+        const tr = midi.addTrack();
+        tr.name = n.trackName || "";
+        if(n.channel != null) tr.channel = n.channel;
+        byTrack.set(key, tr);
+      }
+      byTrack.get(key).addNote({ midi:n.midi, time:n.start, duration: Math.max(0.05, n.end-n.start), velocity: n.vel ?? 0.9 });
+    }
+    // ペダル区間は先頭トラックへ CC として書き戻す
+    const pedalTrack = midi.tracks[0];
+    for(const [kind, number] of [["sustain", 64], ["sostenuto", 66], ["soft", 67]]){
+      for(const iv of pedals[kind]){
+        pedalTrack?.addCC({ number, time: iv.start, value: 1 });
+        pedalTrack?.addCC({ number, time: iv.end, value: 0 });
+      }
+    }
+    return midi;
+  }
+
+  // ====== 書き出し（exporter.js） ======
+  // MIDI は読み込んだ MIDI ならそのまま、楽譜（MusicXML）由来なら画面上のノートから作る
+  function handleExportMidi(){
+    if(!notes.length) return;
+    const original = sourceFormatRef.current === "midi" ? sourceBytesRef.current : null;
+    const bytes = original ?? buildEditedMidi().toArray();
+    downloadBlob(new Blob([bytes], { type: "audio/midi" }), exportFileName(name, ".mid"));
+  }
+
+  // WAV は今の音色・ミュート・片手設定・ペダルのまま、等速で曲全体を描画する
+  async function handleExportWav(){
+    if(!notes.length || wavExporting) return;
+    if(isPlayingRef.current) pause();
+    setWavExporting(true);
+    try{
+      const events = [];
+      for(const n of notes){
+        const gain = playbackGain(n);
+        if(gain <= 0) continue;
+        events.push({ midi: n.midi, start: n.start, length: soundLength(n), velocity: soundVelocity(n) * gain });
+      }
+      const end = events.reduce((mx, e)=>Math.max(mx, e.start + e.length), durationRef.current || 0);
+      const blob = await renderWav(events, end, ()=>createSoundChain(sound));
+      downloadBlob(blob, exportFileName(name, ".wav"));
+    }catch(err){
+      console.error(err);
+      alert("WAVの書き出しに失敗しました。");
+    }finally{
+      setWavExporting(false);
+    }
+  }
+
+  async function openLibrary(){
+    const items = await listSongs();
+    setLibItems(items);
+    setLibEditing(null);
+    setLibOpen(true);
+  }
+  async function loadFromLibrary(id){
+    try{
+      const u8 = await loadSongBytes(id);
+      if(!u8){ alert("ライブラリからの読み込みに失敗しました。"); return; }
+      const meta = await getSongMeta(id);
+      const loaded = await loadSongFromBytes(toArrayBufferFromU8(u8), meta?.name || "(無題)", meta?.format ?? "midi");
+      if(!loaded) return;
+      applySongSettings(readSettings(meta?.settings, SONG_SCHEMA));
+      currentSongIdRef.current = id;
+      setSavedSections(meta?.practice ?? {});
+      setTakes(await loadTakes(id));
+      setLibOpen(false);
+      // 旧データには難易度・長さ等が無いので、開いたときに補う
+      markSongPlayed(id, songInfoFromNotes(loaded.notes))
+        .catch(err => console.warn("[library] markSongPlayed failed", err));
+    }catch(e){
+      console.error(e);
+      alert("ライブラリからの読み込みに失敗しました。");
     }
   }
   async function removeFromLibrary(id){
+    const item = libItems.find(x => x.id === id);
+    if(!confirm(`「${item?.name || "(無題)"}」を削除しますか？`)) return;
     await removeSong(id);
     const items = await listSongs();
     setLibItems(items);
   }
+  async function updateLibraryItem(id, patch){
+    const updated = await updateSongInfo(id, patch);
+    if(!updated) return;
+    setLibItems(items => items.map(x => x.id === id ? updated : x));
+    if(currentSongIdRef.current === id && patch.name) setName(updated.name);
+  }
+  // ====== バックアップ／復元（形式は backup.js） ======
+  async function handleExportLibrary(){
+    setBackupBusy(true);
+    try{
+      const blob = await exportLibrary();
+      const stamp = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+      downloadBlob(blob, `falling-notes-${stamp}${ARCHIVE_EXTENSION}`);
+    }catch(err){
+      console.error(err);
+      alert("バックアップの書き出しに失敗しました。");
+    }finally{
+      setBackupBusy(false);
+    }
+  }
+
+  async function onRestoreFile(e){
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if(!f) return;
+    setBackupBusy(true);
+    try{
+      const archive = await parseArchive(await f.text());
+      const entries = planRestore(archive.songs, await libraryWithHashes());
+      setRestorePreview({
+        entries, settings: archive.settings, includeSettings: false, exportedAt: archive.exportedAt,
+        curriculum: archive.curriculum, includeCurriculum: Boolean(archive.curriculum),
+      });
+    }catch(err){
+      console.error(err);
+      alert(err.message || "バックアップの読み込みに失敗しました。");
+    }finally{
+      setBackupBusy(false);
+    }
+  }
+
+  function setRestoreAction(hash, action){
+    setRestorePreview(p => p && { ...p, entries: p.entries.map(x => x.hash === hash ? { ...x, action } : x) });
+  }
+
+  async function applyRestore(){
+    const preview = restorePreview;
+    if(!preview) return;
+    setBackupBusy(true);
+    try{
+      const writes = preview.entries
+        .filter(x => x.action !== "skip")
+        .map(x => ({ meta: x.meta, bytes: x.bytes, takes: x.takes, replaceId: x.action === "replace" ? x.existing.id : undefined }));
+      const added = await restoreSongs(writes);
+      if(preview.includeSettings && preview.settings){
+        const values = readSettings(preview.settings, GLOBAL_SCHEMA);
+        for(const [key, value] of Object.entries(values)) globalSetters[key]?.(value);
+      }
+      if(preview.includeCurriculum && preview.curriculum){
+        await restoreCurriculumData(preview.curriculum);
+        setLearners(await loadLearners());
+        if(activeLearner) setCurriculum(normalizeProgress(await loadCurriculumProgress(activeLearner.id)));
+      }
+      setLibItems(await listSongs());
+      setRestorePreview(null);
+      alert(`復元しました（追加 ${added} 曲・置き換え ${writes.length - added} 曲）。`);
+    }catch(err){
+      console.error(err);
+      alert("復元に失敗しました。");
+    }finally{
+      setBackupBusy(false);
+    }
+  }
+
+  async function commitLibraryEdit(){
+    if(!libEditing) return;
+    const { id, name: nm, folder, tags } = libEditing;
+    await updateLibraryItem(id, { name: nm, folder, tags: parseTags(tags) });
+    setLibEditing(null);
+  }
+
+  // ====== 採点：曲の終わりでサマリを出し、自己ベストを保存 ======
+  function finishScoring(tEnd){
+    const scorer = scorerRef.current;
+    scorer.sweepMisses({ notes, t: tEnd + 60, lead: landingLead(), rate: rateRef.current, isRequired: isLearnerNote });
+    const summary = scorer.summary();
+    if(!summary.judged) return;
+    const songId = currentSongIdRef.current;
+    const exercise = recordExerciseScore(summary);
+    setScoreSummary({ ...summary, songName: name, previousBest: null, isBest: false, exercise });
+    if(!songId) return;
+    (async()=>{
+      try{
+        const meta = await getSongMeta(songId);
+        const previousBest = meta?.best ?? null;
+        const isBest = isBetterScore(summary, previousBest);
+        if(isBest) await saveBestScore(songId, summary);
+        setScoreSummary(cur => cur && { ...cur, previousBest, isBest });
+      }catch(err){
+        console.warn("[score] best save failed", err);
+      }
+    })();
+  }
 
   // -------- drawing --------
   function draw(){
@@ -1380,54 +2534,74 @@ useEffect(() => {
     lastFrameTimeRef.current = perfNow;
     if(isDevEnvironment) recordFrame(perfNow, true);
 
-    const now = Tone.now();
-    let t = isPlayingRef.current ? (now - t0Ref.current)*rateRef.current : playheadRef.current;
-
-    // A-Bリピート判定
-    if(isPlayingRef.current && abRepeatEnabledRef.current && abRepeatARef.current != null && abRepeatBRef.current != null){
-      if(t >= abRepeatBRef.current){
-        resetVisualState();
-        instrumentRef.current?.inst?.releaseAll?.();
-        t = abRepeatARef.current;
-        playheadRef.current = t;
-        prevTRef.current = t;
-        t0Ref.current = now - (t / rateRef.current);
-        syncUiPlayhead(t, { force: true, timestamp: perfNow });
-        requestFrameBoost();
+    const scheduler = schedulerRef.current;
+    let t = isPlayingRef.current && scheduler ? scheduler.position() : playheadRef.current;
+
+    // A-Bリピート / 曲ループ：Transport が折り返したら表示と進行状況をやり直す
+    if(isPlayingRef.current && scheduler?.takeWrap()){
+      const plan = loopPlanRef.current;
+      repeatCountInShownRef.current = Boolean(plan?.countIn);
+      if(speedTrainerRef.current && plan) completeSpeedCycle(plan);
+      resetVisualState();
+      resetPracticeProgress(plan?.from ?? scheduler.loopRange?.start ?? 0);
+      prevTRef.current = t;
+      syncUiPlayhead(t, { force: true, timestamp: perfNow });
+      requestFrameBoost();
+    }
+
+    // 待機モード：着地したノートが押されるまで Transport を止める
+    if(isPlayingRef.current && scheduler){
+      const lead = landingLead();
+      const waiting = waitModeRef.current
+        ? findWaitingNote(waitStateRef.current, notes, t, lead, isLearnerNote)
+        : null;
+      if(waiting){
+        t = waiting.note.start + lead;
+        if(scheduler.running) scheduler.pause(t);
+        waitingMidisRef.current = new Set(waiting.chord.map(n => n.midi));
+        if(waitSinceRef.current?.i !== waiting.note.i){
+          waitSinceRef.current = { i: waiting.note.i, at: perfNow };
+        }
+      }else{
+        if(waitingMidisRef.current.size){
+          waitingMidisRef.current = new Set();
+          waitSinceRef.current = null;
+        }
+        // 押されたら（または待機モードを切ったら）止めた位置から再開
+        if(!scheduler.running) scheduler.start(t);
       }
     }
 
     const limitVisual = endTimeRef.current;
     const limit = Math.max(durationRef.current, isFinite(limitVisual) ? limitVisual : 0) + STOP_TAIL;
     const epsilon = 1/60;
-
-    if(isPlayingRef.current && limit>0 && t >= limit - epsilon){
-      if(loopEnabledRef.current && notes.length){
-        resetVisualState();
-        instrumentRef.current?.inst?.releaseAll?.();
-        t = 0;
-        playheadRef.current = 0;
-        prevTRef.current = 0;
-        t0Ref.current = now;
-        syncUiPlayhead(0, { force: true, timestamp: perfNow });
-        requestFrameBoost();
-      }else{
-        t = limit;
-        isPlayingRef.current = false;
-        setIsPlaying(false);
-        syncUiPlayhead(limit, { force: true, timestamp: perfNow });
-        playheadRef.current = limit;
-        masterRef.current?.gain?.rampTo?.(0, 0.03);
-        instrumentRef.current?.inst?.releaseAll?.();
-        renderFrame(limit);
-        cancelRAF();
-        return;
-      }
+    // ループが曲の終わりまで届くなら、止めずに Transport の折り返しを待つ
+    const loopsPastEnd = (loopPlanRef.current?.end ?? -Infinity) >= limit - epsilon;
+
+    if(isPlayingRef.current && limit>0 && t >= limit - epsilon && !loopsPastEnd){
+      t = limit;
+      if(scoringEnabledRef.current) finishScoring(limit);
+      isPlayingRef.current = false;
+      setIsPlaying(false);
+      scheduler?.pause(limit);
+      syncUiPlayhead(limit, { force: true, timestamp: perfNow });
+      playheadRef.current = limit;
+      masterRef.current?.gain?.rampTo?.(0, 0.03);
+      instrumentRef.current?.inst?.releaseAll?.();
+      renderFrame(limit);
+      cancelRAF();
+      return;
     }
 
     if(isPlayingRef.current){
       playheadRef.current = t;
       syncUiPlayhead(t, { timestamp: perfNow });
+      if(isJudging()){
+        const missed = scorerRef.current.sweepMisses({
+          notes, t, lead: landingLead(), rate: rateRef.current, isRequired: isLearnerNote,
+        });
+        if(missed.length) lastJudgmentRef.current = { judgment: "missed", at: perfNow };
+      }
     }
 
     const metrics = renderFrame(t);
@@ -1486,6 +2660,12 @@ useEffect(() => {
     return { centerFor, widthFor };
   }
 
+  renderFrameRef.current = renderFrame;
+  scheduledNoteRef.current = onScheduledNote;
+  scheduledClickRef.current = onScheduledClick;
+  scheduledTakeNoteRef.current = onScheduledTakeNote;
+  touchKeyboardRef.current = { hitTest: touchHitTest, noteOn: localNoteOn, noteOff: localNoteOff };
+  shortcutKeyRef.current = handleShortcutKey;
   function renderFrame(t){
     const c = canvasRef.current; if(!c) return;
     const ctx = c.getContext("2d");
@@ -1503,14 +2683,19 @@ useEffect(() => {
     ctx.fillStyle = `rgb(${r|0},${g|0},${b|0})`;
     ctx.fillRect(0,0,W,H);
 
-    // グリッド
-    ctx.strokeStyle = COLORS.grid; ctx.lineWidth = 1;
+    // グリッド（拍線・小節線）：テンポマップと拍子に沿って引く
     const totalVisual = H - KB_HEIGHT;
-    const secTop = Math.floor(t - 2);
-    const secBottom = Math.ceil(t + totalVisual / SPEED + 2);
-    for(let s=secTop; s<=secBottom; s++){
-      const y = timeToY(t, s);
+    ctx.lineWidth = 1;
+    ctx.font = "10px ui-sans-serif, system-ui";
+    for(const line of gridLinesBetween(timelineRef.current, t - totalVisual / SPEED - 1, t + 1)){
+      const y = timeToY(t, line.time);
+      if(y < 0 || y > totalVisual) continue;
+      ctx.strokeStyle = line.downbeat ? COLORS.gridBar : COLORS.grid;
       ctx.beginPath(); ctx.moveTo(0,y); ctx.lineTo(W,y); ctx.stroke();
+      if(line.downbeat){
+        ctx.fillStyle = COLORS.gridLabel;
+        ctx.fillText(String(line.bar), 4, y - 3);
+      }
     }
 
     const keylineY = H - KB_HEIGHT;
@@ -1535,6 +2720,8 @@ useEffect(() => {
 
     const noteBatches = new Map();
     const overlayShapes = [];
+    const lyricLabels = [];
+    const fingerLabels = [];
     const metrics = { drawnNotes: 0, nearKeyline: 0 };
     const isLabelStyle = noteStyle === "note-jp" || noteStyle === "note-en";
     const isShapeStyle = noteStyle === "star" || noteStyle === "heart";
@@ -1568,20 +2755,14 @@ useEffect(() => {
       const baseX = cx - keyW / 2;
       const width = Math.max(1, keyW - 2);
 
-      // 発音判定（try/catchで保護）
+      // 着地判定（発音はスケジューラが予約済み。ここでは光らせるだけ）
       const crossed = (yBottomPrev < keylineY) && (yBottom >= keylineY);
       const justLanded = isPlayingRef.current && crossed && !landedAtRef.current.has(n.i);
       if(justLanded){
-        try{
-          const durPlay = Math.max(0.05, durSec / rateRef.current);
-          triggerNote(n.midi, durPlay, n.vel);
-          landedAtRef.current.set(n.i, t);
-          keyFlashRef.current.set(n.midi, t + (FLASH_MS/1000)/rateRef.current);
-        }catch(err){
-          console.warn("Note trigger failed:", err);
-        }
+        landedAtRef.current.set(n.i, t);
+        keyFlashRef.current.set(n.midi, t + (FLASH_MS/1000)/rateRef.current);
 
-        // ビジュアル（音が失敗しても実行）
+        // ビジュアル
         if(effectLevel!=="focus"){
           const xCenter = cx;
           const pc = isWhite(n.midi) ? COLORS.particleWhite : COLORS.particleBlack;
@@ -1626,7 +2807,8 @@ useEffect(() => {
         }
       }
 
-      // 可視レンジ外
+      // 非表示トラック・可視レンジ外
+      if(!isTrackVisible(trackStateRef.current, n.track)) { trailsRef.current.delete(n.i); continue; }
       const inView = (n.midi >= viewMinMidi-1 && n.midi <= viewMaxMidi+1);
       if(!inView) { trailsRef.current.delete(n.i); continue; }
       if(yTop>H || yBottom<0){ trailsRef.current.delete(n.i); continue; }
@@ -1643,11 +2825,27 @@ useEffect(() => {
       const isLit = landedAt!=null && t <= litUntil + 0.02;
 
       const isW = isWhite(n.midi);
-      const fill = isW ? (isLit?COLORS.noteWhiteActive:COLORS.noteWhite) : (isLit?COLORS.noteBlackActive:COLORS.noteBlack);
+      const customColor = trackColor(trackStateRef.current, n.track);
+      const handBase = n.hand === "L" ? (isW ? COLORS.handLeft : COLORS.handLeftBlack)
+                     : n.hand === "R" ? (isW ? COLORS.handRight : COLORS.handRightBlack)
+                     : null;
+      const baseColor = customColor ?? handBase;
+      let fill = baseColor ? (isLit ? lightenHex(baseColor) : baseColor)
+        : isW ? (isLit?COLORS.noteWhiteActive:COLORS.noteWhite) : (isLit?COLORS.noteBlackActive:COLORS.noteBlack);
+      // 片手練習中はもう一方の手を薄く
+      if(!isLearnerHand(handModeRef.current, n)) fill = lightenHex(baseColor ?? fill, 0.0, 0.35);
       const batchKey = fill;
       if(!noteBatches.has(batchKey)) noteBatches.set(batchKey, []);
       noteBatches.get(batchKey).push({ x, y: yTop, w: width, h });
 
+      if(n.lyric) lyricLabels.push({ x: x + width + 3, y: yBottom - 3, text: n.lyric });
+      // 指番号はノートの下端（短いノートは上に出す）。音名ラベルは中央なので重ならない
+      if(n.finger && showFingeringRef.current){
+        const r = Math.max(6, Math.min(9, width * 0.3));
+        const cy = h >= r * 4 ? yBottom - r - 3 : yTop - r - 2;
+        fingerLabels.push({ cx, cy, r, finger: n.finger, estimated: !!n.fingerEstimated });
+      }
+
       if(shouldDrawOverlay){
         const cy = yTop + h / 2;
         overlayShapes.push({ cx, cy, size: Math.min(width, h*0.4)/2, midi: n.midi, width, height: h });
@@ -1680,6 +2878,41 @@ useEffect(() => {
       }
     }
 
+    // テイク（録音中の演奏・選んだテイク）をお手本に重ねて枠で描く
+    const takeLayers = [activeTakeRef.current?.notes, takeRecorderRef.current.recording ? takeRecorderRef.current.notes : null];
+    ctx.save();
+    ctx.strokeStyle = COLORS.take;
+    ctx.fillStyle = COLORS.takeFill;
+    ctx.lineWidth = 2;
+    for(const layer of takeLayers){
+      if(!layer?.length) continue;
+      ctx.beginPath();
+      for(const n of layer){
+        if(n.end < winStart || n.start > winEnd) continue;
+        if(n.midi < viewMinMidi - 1 || n.midi > viewMaxMidi + 1) continue;
+        const h = Math.max(NOTE_MIN_HEIGHT / SPEED, Math.min(VISUAL_MAX_SEC, n.end - n.start)) * SPEED; // お手本と同じく上限で切る
+        const yTop = timeToYTop(t, n.start, totalVisual, h);
+        if(yTop > keylineY || yTop + h < 0) continue;
+        const keyW = geom.widthFor(n.midi);
+        addRoundedRectPath(ctx, geom.centerFor(n.midi) - keyW / 2 + 3, yTop, Math.max(1, keyW - 6), h);
+      }
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    if(lyricLabels.length){
+      ctx.save();
+      ctx.font = "bold 13px ui-sans-serif, system-ui, sans-serif";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = COLORS.lyric;
+      for(const label of lyricLabels) ctx.fillText(label.text, label.x, label.y);
+      ctx.restore();
+    }
+
+    if(fingerLabels.length) drawFingerChips(ctx, fingerLabels);
+
     if(shouldDrawOverlay && overlayShapes.length){
       ctx.save();
       
@@ -1723,6 +2956,8 @@ useEffect(() => {
       ctx.restore();
     }
 
+    drawPedalLane(ctx, t, W, keylineY);
+
     if(effectLevel!=="focus") drawAuras(ctx, aurasRef.current, dt, keylineY);
     drawRipples(ctx, ripplesRef.current, dt);
     drawParticles(ctx, particlesRef.current, dt);
@@ -1737,11 +2972,95 @@ useEffect(() => {
 
     // HUD
     ctx.fillStyle = COLORS.text; ctx.font = "12px ui-sans-serif, system-ui";
-    ctx.fillText(`${fmt(t)} / ${fmt(Math.max(durationRef.current, isFinite(endTimeRef.current)?endTimeRef.current:0))}  (${Math.round(rateRef.current*100)}%)`, 10, 16);
+    ctx.fillText(`${fmt(t)} / ${fmt(Math.max(durationRef.current, isFinite(endTimeRef.current)?endTimeRef.current:0))}  ${barBeatLabel(t)}  (${Math.round(rateRef.current*100)}%)`, 10, 16);
+    const trainer = speedTrainerRef.current;
+    if(trainer){
+      const goal = trainer.reachedTarget ? "目標到達" : `目標 ${Math.round(trainer.plan.targetRate*100)}%`;
+      ctx.fillText(`段階練習 ${Math.round(trainer.rate*100)}% → ${goal}  (${trainer.streak}/${trainer.plan.passes})`, 10, 32);
+    }
+
+    if(scoringEnabledRef.current){
+      const live = scorerRef.current.summary();
+      ctx.save();
+      ctx.textAlign = "right";
+      ctx.fillStyle = COLORS.text;
+      ctx.font = "bold 14px ui-sans-serif, system-ui";
+      ctx.fillText(`${live.combo} combo`, W - 12, 20);
+      ctx.font = "12px ui-sans-serif, system-ui";
+      ctx.fillText(`正確さ ${Math.round(live.accuracy * 100)}%`, W - 12, 38);
+      ctx.restore();
+
+      const last = lastJudgmentRef.current;
+      const age = last ? getNow() - last.at : Infinity;
+      if(age < JUDGE_SHOW_MS){
+        ctx.save();
+        ctx.globalAlpha = 1 - age / JUDGE_SHOW_MS;
+        ctx.fillStyle = COLORS.judge[last.judgment] ?? COLORS.text;
+        ctx.font = "bold 22px ui-sans-serif, system-ui";
+        ctx.textAlign = "center";
+        ctx.fillText(JUDGMENT_LABELS[last.judgment], W / 2, keylineY - 44 - age * 0.03);
+        ctx.restore();
+      }
+    }
+
+    if(isPlayingRef.current && waitingMidisRef.current.size){
+      ctx.save();
+      ctx.fillStyle = COLORS.keyWaiting;
+      ctx.font = "bold 14px ui-sans-serif, system-ui";
+      ctx.textAlign = "center";
+      ctx.fillText("鍵盤を押すと進みます", W / 2, keylineY - 16);
+      ctx.restore();
+    }
+
+    // カウントイン中は拍を大きく表示
+    const count = isPlayingRef.current ? countInBeat(t) : null;
+    if(count != null){
+      ctx.save();
+      ctx.fillStyle = COLORS.text;
+      ctx.globalAlpha = 0.85;
+      ctx.font = "bold 72px ui-sans-serif, system-ui";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(count), W / 2, keylineY / 2);
+      ctx.restore();
+    }
 
     prevTRef.current = t;
     return metrics;
   }
+  // ペダルレーン：ノートと同じ速さで落ちてくる区間を右端に描き、着地位置で踏み込み状態を示す
+  function drawPedalLane(ctx, t, W, keylineY){
+    const pd = pedalsRef.current;
+    if(!pedalEnabledRef.current || !hasPedals(pd)) return;
+    const kinds = ["sustain", "sostenuto", "soft"].filter(k => pd[k].length);
+    const gap = 3;
+    const songTime = t - landingLead();
+    const down = pedalStateAt(pd, songTime);
+
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.font = "bold 9px ui-sans-serif, system-ui";
+    kinds.forEach((kind, k) => {
+      const x = W - 6 - (kinds.length - k) * (PEDAL_LANE_W + gap);
+      ctx.fillStyle = "rgba(255,255,255,0.05)";
+      ctx.fillRect(x, 0, PEDAL_LANE_W, keylineY);
+
+      ctx.fillStyle = COLORS.pedal[kind];
+      ctx.globalAlpha = 0.7;
+      for(const iv of pd[kind]){
+        const yBottom = Math.min(keylineY, timeToY(t, iv.start));
+        const yTop = Math.max(0, timeToY(t, iv.end));
+        if(yBottom <= 0 || yTop >= keylineY) continue;
+        ctx.fillRect(x + 1, yTop, PEDAL_LANE_W - 2, yBottom - yTop);
+      }
+
+      ctx.globalAlpha = down[kind] ? 1 : 0.35;
+      ctx.fillText(PEDAL_LABELS[kind], x + PEDAL_LANE_W / 2, keylineY - 6);
+      ctx.globalAlpha = 1;
+    });
+    ctx.restore();
+  }
+
   function drawStar(ctx, cx, cy, r, spikes=5){
     const step = Math.PI / spikes;
     ctx.beginPath();
@@ -2023,12 +3342,17 @@ useEffect(() => {
 
     // 8. アクティブ表示
     const active = new Set();
+    const activeFingers = new Map(); // midi -> 着地したノート（指番号用）
     for(const [id, landedAt] of landedAtRef.current){
       const n = allNotes[id];
       if(!n) continue;
       if(n.midi < minMidi || n.midi > maxMidi) continue;
+      if(!isTrackVisible(trackStateRef.current, n.track)) continue;
       const litUntil = landedAt + Math.max(MIN_LIT_SEC, (n.end-n.start)/rateRef.current);
-      if(t <= litUntil + 0.02) active.add(n.midi);
+      if(t <= litUntil + 0.02){
+        active.add(n.midi);
+        if(n.finger) activeFingers.set(n.midi, n);
+      }
     }
 
     for(const midi of active){
@@ -2059,6 +3383,71 @@ useEffect(() => {
       ctx.globalAlpha = 1;
     }
 
+    // 8b. 学習者が押している鍵盤（入力）
+    const held = noteInputRef.current.held;
+    if(held.size){
+      ctx.fillStyle = COLORS.keyInput;
+      ctx.globalAlpha = 0.45;
+      for(const midi of held.keys()){
+        const layout = keyLayout.get(midi);
+        if(layout) ctx.fillRect(layout.x, layout.y, layout.w, layout.h);
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // 8c. 待機モードで押すべき鍵盤（点滅）
+    if(waitingMidisRef.current.size){
+      ctx.fillStyle = COLORS.keyWaiting;
+      ctx.globalAlpha = 0.35 + 0.25 * Math.sin(getNow() / 120);
+      for(const midi of waitingMidisRef.current){
+        const layout = keyLayout.get(midi);
+        if(layout) ctx.fillRect(layout.x, layout.y, layout.w, layout.h);
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // 8d. パソコンのキーボードの割り当て（弾けるキーの文字と、今のオクターブ・強さ）
+    if(qwertyEnabledRef.current){
+      ctx.save();
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.font = "bold 11px ui-sans-serif, system-ui";
+      for(const { midi, label } of qwertyPianoRef.current.labels()){
+        const layout = keyLayout.get(midi);
+        if(!layout) continue;
+        const cx = layout.x + layout.w / 2;
+        const cy = layout.isWhite ? layout.y + layout.h * 0.8 : layout.y + layout.h - 12;
+        const size = Math.min(18, layout.w - 4);
+        if(size < 8) continue;
+        ctx.fillStyle = layout.isWhite ? COLORS.qwertyChip : COLORS.qwertyChipBlack;
+        ctx.beginPath();
+        addRoundedRectPath(ctx, cx - size / 2, cy - size / 2, size, size);
+        ctx.fill();
+        ctx.fillStyle = COLORS.qwertyLabel;
+        ctx.fillText(label, cx, cy);
+      }
+      const { octave, velocity } = qwertyPianoRef.current.state;
+      ctx.textAlign = "right";
+      ctx.textBaseline = "alphabetic";
+      ctx.fillStyle = COLORS.qwertyChip;
+      ctx.fillText(`Z/X オクターブ ${octave > 0 ? "+" : ""}${octave} ・ C/V 強さ ${Math.round(velocity * 100)}%`, x + w - 8, y - 8);
+      ctx.restore();
+    }
+
+    // 8e. 着地した音の指番号（パソコンのキーボードの文字より上に出す）
+    if(showFingeringRef.current && activeFingers.size){
+      const chips = [];
+      for(const [midi, n] of activeFingers){
+        const layout = keyLayout.get(midi);
+        if(!layout) continue;
+        const r = Math.min(10, (layout.w - 2) / 2);
+        if(r < 5) continue;
+        const cy = layout.isWhite ? layout.y + layout.h * 0.55 : layout.y + layout.h * 0.45;
+        chips.push({ cx: layout.x + layout.w / 2, cy, r, finger: n.finger, estimated: !!n.fingerEstimated });
+      }
+      drawFingerChips(ctx, chips);
+    }
+
     // 9. Cマーカー
     ctx.save();
     for(let m = minMidi; m <= maxMidi; m++){
@@ -2126,7 +3515,10 @@ useEffect(() => {
 
   const fmt = (sec)=>{ const s=Math.max(0, sec|0); const m=(s/60)|0; const r=(s%60).toString().padStart(2,"0"); return `${m}:${r}`; };
   const speedOptions = [0.2,0.3,0.4,0.5,0.6,0.7,0.8,0.85,0.9,1.0];
+  // 段階練習で 65% などの中間の速度になったときも選択肢に出す
+  const rateOptions = speedOptions.includes(rate) ? speedOptions : [...speedOptions, rate].sort((a,b)=>a-b);
   const fmtDate = (ts)=>new Date(ts).toLocaleString();
+  const rangeLabel = (lo, hi)=>[lo, hi].map(m => { const { name, octave } = nameAG(m); return `${name}${octave}`; }).join("–");
   const { totalDuration, progressPercent } = useMemo(() => {
     const visual = Number.isFinite(visualEnd) ? visualEnd : 0;
     const total = Math.max(duration, visual);
@@ -2137,6 +3529,12 @@ useEffect(() => {
     return { totalDuration: total, progressPercent: Math.round(ratio * 100) };
   }, [duration, visualEnd, playhead]);
 
+  const trackHands = useMemo(() => {
+    const map = new Map();
+    for (const n of notes) if (!map.has(n.track)) map.set(n.track, n.hand);
+    return map;
+  }, [notes]);
+
   const offlineDisabledTooltip = isOfflineMode ? "オフラインでは生成と外部音源が利用できません" : undefined;
   const onlineStatusLabel = isOfflineMode ? "🔴オフライン" : "🟢オンライン";
   const onlineStatusClass = isOfflineMode
@@ -2145,12 +3543,18 @@ useEffect(() => {
 
 
   return (
-    <div className="grid h-screen grid-rows-[60px_1fr] bg-slate-900 text-slate-100 overflow-hidden">
+    <div
+      className="grid h-screen grid-rows-[60px_1fr] bg-slate-900 text-slate-100 overflow-hidden"
+      onDragEnter={onDragEnter}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+    >
       {/* フォーカスモード: キャンバスのみ表示 */}
       {focusMode ? (
         <div className="col-span-full row-span-full relative">
           <div ref={canvasStageRef} className="absolute inset-0">
-            <canvas ref={canvasRef} className="w-full h-full block" />
+            <canvas ref={canvasRef} className="w-full h-full block touch-none select-none" />
           </div>
           {/* フォーカスモード解除ボタン */}
           <button
@@ -2223,7 +3627,7 @@ useEffect(() => {
               onChange={e => setRate(parseFloat(e.target.value))}
               title="再生速度"
             >
-              {speedOptions.map(v => (
+              {rateOptions.map(v => (
                 <option key={v} value={v}>
                   {Math.round(v * 100)}%
                 </option>
@@ -2296,14 +3700,17 @@ useEffect(() => {
           <main className="row-start-2 relative min-h-0 min-w-0 flex flex-col">
             {/* Canvas測定用のステージコンテナ */}
             <div ref={canvasStageRef} className="flex-1 min-h-0 min-w-0 relative">
-              <canvas ref={canvasRef} className="absolute inset-0 w-full h-full block" />
+              <canvas ref={canvasRef} className="absolute inset-0 w-full h-full block touch-none select-none" />
             </div>
 
             {/* シークバー & A-Bコントロールエリア */}
             <div className="bg-slate-900/95 backdrop-blur border-t border-slate-800 px-3 py-2 space-y-2 shrink-0">
               {/* 進捗表示 */}
               <div className="flex items-center justify-between text-sm text-slate-100">
-                <span className="font-mono">{fmt(playhead)} / {fmt(totalDuration)}</span>
+                <span className="font-mono">
+                  {fmt(playhead)} / {fmt(totalDuration)}
+                  <span className="ml-3 text-slate-300" title="小節:拍">♩ {barBeatLabel(playhead)}</span>
+                </span>
                 <span className="text-slate-200">{progressPercent}%</span>
               </div>
 
@@ -2376,11 +3783,19 @@ useEffect(() => {
                 >
                   クリア
                 </button>
+                <label className="flex items-center gap-1 cursor-pointer" title="シークとA/B点を小節の頭に合わせる">
+                  <input
+                    type="checkbox"
+                    checked={snapToBars}
+                    onChange={e => setSnapToBars(e.target.checked)}
+                  />
+                  <span>小節スナップ</span>
+                </label>
                 {abRepeatA != null && (
-                  <span className="text-blue-300">A: {fmt(abRepeatA)}</span>
+                  <span className="text-blue-300">A: {fmt(abRepeatA)} ({barBeatLabel(abRepeatA)})</span>
                 )}
                 {abRepeatB != null && (
-                  <span className="text-red-300 ml-2">B: {fmt(abRepeatB)}</span>
+                  <span className="text-red-300 ml-2">B: {fmt(abRepeatB)} ({barBeatLabel(abRepeatB)})</span>
                 )}
               </div>
             </div>
@@ -2420,14 +3835,16 @@ useEffect(() => {
                   <div className="space-y-2">
                     <h3 className="text-base font-semibold text-slate-100">ファイル</h3>
                     <label className="block w-full px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg cursor-pointer text-center transition">
-                      MIDI読み込み
+                      曲を読み込む
                       <input
                         type="file"
-                        accept=".mid,.midi"
+                        accept={IMPORT_ACCEPT}
+                        multiple
                         className="hidden"
                         onChange={onFile}
                       />
                     </label>
+                    <div className="text-xs text-slate-400">MIDI・MusicXML（.musicxml / .mxl）・曲データ（.song.json）に対応。複数のファイルや zip はライブラリに取り込みます（ドラッグ＆ドロップも可）</div>
                     <button
                       className="w-full px-4 py-3 bg-emerald-700 hover:bg-emerald-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition"
                       onClick={handleSave}
@@ -2435,6 +3852,31 @@ useEffect(() => {
                     >
                       保存
                     </button>
+                    <button
+                      className="w-full px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition"
+                      onClick={handleSaveEdited}
+                      disabled={!notes.length}
+                      title="連続音の結合など、画面上のノートから MIDI を作り直して保存します"
+                    >
+                      編集を反映して保存
+                    </button>
+                    <div className="grid grid-cols-2 gap-2">
+                      <button
+                        className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition"
+                        onClick={handleExportMidi}
+                        disabled={!notes.length}
+                      >
+                        MIDIを書き出す
+                      </button>
+                      <button
+                        className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition"
+                        onClick={handleExportWav}
+                        disabled={!notes.length || wavExporting}
+                        title="今の音色で曲全体を録音して WAV で保存します"
+                      >
+                        {wavExporting ? "WAVを作成中…" : "WAVを書き出す"}
+                      </button>
+                    </div>
                     <button
                       className="w-full px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg transition"
                       onClick={openLibrary}
@@ -2443,6 +3885,53 @@ useEffect(() => {
                     </button>
                   </div>
 
+                  {/* 内蔵の曲カタログ */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">内蔵曲</h3>
+                    <div className="flex gap-2">
+                      <input
+                        className="flex-1 min-w-0 bg-slate-700 rounded-lg px-3 py-2 text-base"
+                        value={catalogueQuery}
+                        placeholder="曲名・作曲者・タグで検索"
+                        onChange={e => setCatalogueQuery(e.target.value)}
+                      />
+                      <select
+                        className="bg-slate-700 rounded-lg px-2 py-2 text-base"
+                        value={catalogueLevel}
+                        onChange={e => setCatalogueLevel(e.target.value === "all" ? "all" : Number(e.target.value))}
+                      >
+                        <option value="all">全レベル</option>
+                        {CATALOGUE_LEVELS.map(level => <option key={level} value={level}>{"★".repeat(level)}</option>)}
+                      </select>
+                    </div>
+                    {catalogue == null ? (
+                      <div className="text-sm text-slate-400">読み込み中…</div>
+                    ) : (() => {
+                      const found = searchCatalogue(catalogue, catalogueQuery, catalogueLevel);
+                      if(!found.length) return <div className="text-sm text-slate-400">{catalogue.length ? "見つかりません" : "カタログを読み込めませんでした"}</div>;
+                      return (
+                        <ul className="max-h-56 overflow-y-auto space-y-1">
+                          {found.map(entry => (
+                            <li key={entry.id}>
+                              <button
+                                className="w-full text-left px-3 py-2 bg-slate-800/60 hover:bg-slate-700 rounded-lg transition"
+                                onClick={() => openCatalogueSong(entry)}
+                              >
+                                <div className="flex items-baseline justify-between gap-2">
+                                  <span className="text-base text-slate-100 truncate">{entry.title}</span>
+                                  <span className="text-xs text-amber-300 shrink-0">{"★".repeat(entry.level)}</span>
+                                </div>
+                                <div className="text-xs text-slate-400 truncate">
+                                  {[entry.composer, entry.key, entry.meter, entry.hands === "right" ? "右手だけ" : "両手", entry.lyrics && "歌詞つき"].filter(Boolean).join(" · ")}
+                                </div>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      );
+                    })()}
+                  </div>
+
                   {/* 楽曲生成 */}
                   <div className="space-y-2">
                     <h3 className="text-base font-semibold text-slate-100">楽曲生成</h3>
@@ -2492,7 +3981,7 @@ useEffect(() => {
                         value={genDifficulty}
                         onChange={e => setGenDifficulty(parseInt(e.target.value))}
                       >
-                        <option value={0}>🎯 初心者（4小節・白鍵のみ）</option>
+                        <option value={0}>🎯 初心者（4小節の童謡。Key C なら白鍵のみ）</option>
                         <option value={1}>やさしい</option>
                         <option value={2}>ふつう</option>
                         <option value={3}>むずかしい</option>
@@ -2513,13 +4002,145 @@ useEffect(() => {
                       </select>
                     </div>
 
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="space-y-1">
+                        <span className="text-base text-slate-200">拍子</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                          value={genMeter}
+                          onChange={e => setGenMeter(e.target.value)}
+                          disabled={genDifficulty === 0}
+                        >
+                          {Object.keys(METERS).map(m => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-base text-slate-200">伴奏（左手）</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                          value={genAccompaniment}
+                          onChange={e => setGenAccompaniment(e.target.value)}
+                          disabled={genDifficulty === 0}
+                        >
+                          {ACCOMPANIMENTS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                        </select>
+                      </label>
+                    </div>
+
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">和音進行</span>
+                      <select
+                        className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                        value={PROGRESSIONS[genScale].some(p => p.id === genProgression) ? genProgression : "auto"}
+                        onChange={e => setGenProgression(e.target.value)}
+                        disabled={genDifficulty === 0}
+                      >
+                        <option value="auto">🎲 おまかせ</option>
+                        {PROGRESSIONS[genScale].map(p => <option key={p.id} value={p.id}>{p.id.replace(/-/g, " – ")}</option>)}
+                      </select>
+                    </div>
+
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">シード（同じシードと設定なら同じ曲）</span>
+                      <div className="flex gap-2">
+                        <input
+                          className="flex-1 min-w-0 bg-slate-700 rounded-lg px-3 py-2 text-base font-mono"
+                          value={genSeed}
+                          placeholder="空欄なら自動"
+                          maxLength={32}
+                          onChange={e => setGenSeed(e.target.value)}
+                        />
+                        <button
+                          className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition"
+                          onClick={() => generateAndLoad(genSeed)}
+                          disabled={isOfflineMode || !normalizeSeed(genSeed)}
+                          title="このシードで作り直す"
+                        >
+                          再生成
+                        </button>
+                      </div>
+                    </div>
+
                     <button
                       className="w-full px-4 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition"
-                      onClick={generateAndLoad}
+                      onClick={() => generateAndLoad()}
                       disabled={isOfflineMode}
                       title={offlineDisabledTooltip}
                     >
-                      生成 → ロード
+                      生成 → ロード（新しいシード）
+                    </button>
+                  </div>
+
+                  {/* 初見練習のカリキュラム */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">カリキュラム（初見練習）</h3>
+
+                    {learnerDraft == null ? (
+                      <div className="flex items-center gap-2 text-base">
+                        <span className="w-16 text-slate-200">学習者</span>
+                        <select
+                          className="flex-1 min-w-0 bg-slate-700 rounded-lg px-3 py-2"
+                          value={activeLearner?.id ?? ""}
+                          onChange={e => setLearnerId(e.target.value)}
+                        >
+                          {learners.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                        </select>
+                        <button className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition" onClick={() => setLearnerDraft("")}>
+                          追加
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2 text-base">
+                        <input
+                          className="flex-1 min-w-0 bg-slate-700 rounded-lg px-3 py-2"
+                          value={learnerDraft}
+                          placeholder="名前"
+                          maxLength={20}
+                          autoFocus
+                          onChange={e => setLearnerDraft(e.target.value)}
+                          onKeyDown={e => { if(e.key === "Enter") commitLearnerDraft(); if(e.key === "Escape") setLearnerDraft(null); }}
+                        />
+                        <button
+                          className="px-3 py-2 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 rounded-lg transition"
+                          onClick={commitLearnerDraft}
+                          disabled={!learnerDraft.trim()}
+                        >
+                          保存
+                        </button>
+                        <button className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition" onClick={() => setLearnerDraft(null)}>
+                          取消
+                        </button>
+                      </div>
+                    )}
+
+                    {curriculum && (() => {
+                      const level = levelById(curriculum.levelId);
+                      const scores = recentScores(curriculum);
+                      return (
+                        <div className="rounded-lg bg-slate-800/60 px-3 py-2 space-y-1">
+                          <div className="text-base text-slate-100">
+                            レベル {LEVELS.indexOf(level) + 1} / {LEVELS.length}：{level.title}
+                          </div>
+                          <div className="text-sm text-slate-300">{level.description}</div>
+                          <div className="text-sm text-slate-300">
+                            {scores.length
+                              ? <>直近の正確さ：{scores.map(a => `${Math.round(a * 100)}%`).join(" / ")}</>
+                              : "このレベルの記録はまだありません"}
+                          </div>
+                        </div>
+                      );
+                    })()}
+                    <p className="text-sm text-slate-400">
+                      課題は毎回新しく作ります。最初に最後まで弾いた結果で、速さとレベルが変わります（直近 3 回の平均が 90% 以上で次へ）。
+                    </p>
+
+                    <button
+                      className="w-full px-4 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition"
+                      onClick={loadNextExercise}
+                      disabled={isOfflineMode || !curriculum}
+                      title={offlineDisabledTooltip}
+                    >
+                      次の課題 → ロード
                     </button>
                   </div>
                 </div>
@@ -2557,7 +4178,7 @@ useEffect(() => {
                         value={rate}
                         onChange={e => setRate(parseFloat(e.target.value))}
                       >
-                        {speedOptions.map(v => (
+                        {rateOptions.map(v => (
                           <option key={v} value={v}>{Math.round(v * 100)}%</option>
                         ))}
                       </select>
@@ -2650,8 +4271,126 @@ useEffect(() => {
                         <option value="AG">すべて（CDE）</option>
                       </select>
                     </div>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={showFingering}
+                        onChange={e => setShowFingering(e.target.checked)}
+                      />
+                      <span className="text-base">指番号（1〜5）を表示（楽譜に無い音は推定）</span>
+                    </label>
                   </div>
 
+                  {/* 両手/片手練習 */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">片手練習</h3>
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">練習する手</span>
+                      <select
+                        className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base"
+                        value={handMode}
+                        onChange={e => setHandMode(e.target.value)}
+                      >
+                        <option value="both">両手</option>
+                        <option value="left">左手のみ</option>
+                        <option value="right">右手のみ</option>
+                      </select>
+                    </div>
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">もう一方の手</span>
+                      <select
+                        className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                        value={otherHand}
+                        onChange={e => setOtherHand(e.target.value)}
+                        disabled={handMode === "both"}
+                      >
+                        <option value="auto">自動演奏</option>
+                        <option value="quiet">小さく鳴らす</option>
+                        <option value="mute">鳴らさない</option>
+                      </select>
+                    </div>
+                    {tracks.length < 2 && (
+                      <div className="space-y-1">
+                        <span className="text-base text-slate-200">
+                          左右の境目：{nameAG(handSplit).name}{nameAG(handSplit).octave} より下を左手
+                        </span>
+                        <input
+                          type="range"
+                          min={36}
+                          max={84}
+                          step={1}
+                          className="w-full"
+                          value={handSplit}
+                          onChange={e => setHandSplit(parseInt(e.target.value))}
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {/* トラック */}
+                  {tracks.length > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="text-base font-semibold text-slate-100">トラック</h3>
+                      {tracks.map((t, idx) => {
+                        const st = trackState[t.index] ?? {};
+                        return (
+                          <div key={t.index} className="flex items-center gap-2 bg-slate-700/60 rounded px-2 py-1.5">
+                            <input
+                              type="color"
+                              className="w-7 h-7 shrink-0 bg-transparent"
+                              value={st.color ?? TRACK_PALETTE[idx % TRACK_PALETTE.length]}
+                              onChange={e => updateTrack(t.index, { color: e.target.value })}
+                              title="ノートの色"
+                            />
+                            <div className="flex-1 min-w-0">
+                              <div className="text-sm font-medium truncate">
+                                {tracks.length >= 2 && trackHands.get(t.index) && (
+                                  <span className="mr-1 text-[11px] px-1 rounded bg-slate-600">
+                                    {trackHands.get(t.index) === "L" ? "左" : "右"}
+                                  </span>
+                                )}
+                                {t.name}
+                              </div>
+                              <div className="text-[11px] opacity-70 truncate">
+                                ch{(t.channel ?? 0) + 1}{t.instrument ? `・${t.instrument}` : ""}・{t.noteCount}音
+                              </div>
+                            </div>
+                            {st.color && (
+                              <button
+                                className="px-1.5 py-1 rounded text-xs bg-slate-600 hover:bg-slate-500"
+                                onClick={() => updateTrack(t.index, { color: null })}
+                                title="色を戻す"
+                              >
+                                ↺
+                              </button>
+                            )}
+                            <button
+                              className={`px-2 py-1 rounded text-xs ${st.visible === false ? "bg-slate-600 opacity-60" : "bg-slate-500"}`}
+                              onClick={() => updateTrack(t.index, { visible: st.visible === false })}
+                              title="表示/非表示"
+                            >
+                              👁
+                            </button>
+                            <button
+                              className={`px-2 py-1 rounded text-xs font-bold ${st.muted ? "bg-rose-600" : "bg-slate-600"}`}
+                              onClick={() => updateTrack(t.index, { muted: !st.muted })}
+                              title="ミュート"
+                            >
+                              M
+                            </button>
+                            <button
+                              className={`px-2 py-1 rounded text-xs font-bold ${st.solo ? "bg-amber-500 text-slate-900" : "bg-slate-600"}`}
+                              onClick={() => updateTrack(t.index, { solo: !st.solo })}
+                              title="ソロ"
+                            >
+                              S
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
                   {/* 再生設定 */}
                   <div className="space-y-2">
                     <h3 className="text-base font-semibold text-slate-100">再生</h3>
@@ -2663,6 +4402,330 @@ useEffect(() => {
                       />
                       <span className="text-base">ループ再生</span>
                     </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={waitMode}
+                        onChange={e => setWaitMode(e.target.checked)}
+                      />
+                      <span className="text-base">待機モード（正しい鍵盤を押すまで止まる）</span>
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={scoringEnabled}
+                        onChange={e => setScoringEnabled(e.target.checked)}
+                      />
+                      <span className="text-base">採点（打鍵のタイミング判定）</span>
+                    </label>
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">判定の厳しさ</span>
+                      <select
+                        className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                        value={judgeLevel}
+                        onChange={e => setJudgeLevel(e.target.value)}
+                        disabled={!scoringEnabled}
+                      >
+                        <option value="easy">やさしい（±80ms）</option>
+                        <option value="normal">ふつう（±50ms）</option>
+                        <option value="strict">きびしい（±35ms）</option>
+                      </select>
+                    </div>
+                  </div>
+
+                  {/* 段階練習 */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">段階練習（A-B）</h3>
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="space-y-1">
+                        <span className="text-sm text-slate-200">開始速度</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-2 py-2 text-base"
+                          value={speedPlan.startRate}
+                          onChange={e => setSpeedPlan(p => ({ ...p, startRate: parseFloat(e.target.value) }))}
+                          disabled={speedActive}
+                        >
+                          {speedOptions.map(v => <option key={v} value={v}>{Math.round(v * 100)}%</option>)}
+                        </select>
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-sm text-slate-200">目標速度</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-2 py-2 text-base"
+                          value={speedPlan.targetRate}
+                          onChange={e => setSpeedPlan(p => ({ ...p, targetRate: parseFloat(e.target.value) }))}
+                          disabled={speedActive}
+                        >
+                          {speedOptions.map(v => <option key={v} value={v}>{Math.round(v * 100)}%</option>)}
+                        </select>
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-sm text-slate-200">上げ幅</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-2 py-2 text-base"
+                          value={speedPlan.step}
+                          onChange={e => setSpeedPlan(p => ({ ...p, step: parseFloat(e.target.value) }))}
+                          disabled={speedActive}
+                        >
+                          {SPEED_STEPS.map(v => <option key={v} value={v}>+{Math.round(v * 100)}%</option>)}
+                        </select>
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-sm text-slate-200">上げる条件</span>
+                        <select
+                          className="w-full bg-slate-700 rounded-lg px-2 py-2 text-base"
+                          value={`${speedPlan.requireClean ? "clean" : "any"}:${speedPlan.passes}`}
+                          onChange={e => {
+                            const [kind, passes] = e.target.value.split(":");
+                            setSpeedPlan(p => ({ ...p, requireClean: kind === "clean", passes: parseInt(passes) }));
+                          }}
+                          disabled={speedActive}
+                        >
+                          {[1, 2, 3].map(n => <option key={`c${n}`} value={`clean:${n}`}>ミスなし {n}回</option>)}
+                          {[2, 3, 5].map(n => <option key={`a${n}`} value={`any:${n}`}>{n}周ごと</option>)}
+                        </select>
+                      </label>
+                    </div>
+                    {speedActive ? (
+                      <button
+                        className="w-full px-4 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 min-h-[44px]"
+                        onClick={stopSpeedPractice}
+                      >
+                        段階練習を終える
+                      </button>
+                    ) : (
+                      <button
+                        className="w-full px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed min-h-[44px]"
+                        onClick={startSpeedPractice}
+                        disabled={!notes.length || abRepeatA == null || abRepeatB == null}
+                      >
+                        A-B区間で始める
+                      </button>
+                    )}
+                    {!currentSongIdRef.current && notes.length > 0 && (
+                      <div className="text-sm text-slate-300">ライブラリに保存した曲では、区間ごとの設定と記録が残ります</div>
+                    )}
+                    {speedLog.length > 0 && (
+                      <div className="max-h-48 overflow-y-auto rounded-lg bg-slate-900/60">
+                        <table className="w-full text-sm">
+                          <thead className="text-slate-300">
+                            <tr>
+                              <th className="px-2 py-1 text-left">周</th>
+                              <th className="px-2 py-1 text-left">速度</th>
+                              <th className="px-2 py-1 text-left">結果</th>
+                              <th className="px-2 py-1 text-left">正確さ</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[...speedLog].reverse().map(entry => (
+                              <tr key={`${entry.cycle}-${entry.at}`} className="border-t border-slate-800">
+                                <td className="px-2 py-1">{entry.cycle}</td>
+                                <td className="px-2 py-1">
+                                  {Math.round(entry.rate * 100)}%
+                                  {entry.nextRate !== entry.rate && <span className="text-emerald-300"> → {Math.round(entry.nextRate * 100)}%</span>}
+                                </td>
+                                <td className="px-2 py-1">
+                                  {entry.clean
+                                    ? <span className="text-emerald-300">ミスなし</span>
+                                    : <span className="text-amber-300">ミス {entry.missed}・ミスタッチ {entry.wrong}</span>}
+                                </td>
+                                <td className="px-2 py-1">{Math.round(entry.accuracy * 100)}%</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                    {Object.keys(savedSections).length > 0 && (
+                      <div className="space-y-1">
+                        <span className="text-sm text-slate-200">保存した区間</span>
+                        {Object.values(savedSections).map(section => (
+                          <button
+                            key={section.key}
+                            className="w-full flex items-center justify-between px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-sm"
+                            onClick={() => recallSection(section)}
+                          >
+                            <span>{fmt(section.a)} – {fmt(section.b)}</span>
+                            <span className="text-slate-300">
+                              {Math.round((section.log?.[section.log.length - 1]?.nextRate ?? section.plan.startRate) * 100)}% / {section.log?.length ?? 0}周
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* テイク */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">テイク（演奏の録音）</h3>
+                    <button
+                      className={`w-full px-4 py-2 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed ${takeRecording ? "bg-rose-600 hover:bg-rose-500" : "bg-slate-700 hover:bg-slate-600"}`}
+                      onClick={takeRecording ? stopTakeRecording : startTakeRecording}
+                      disabled={!notes.length}
+                    >
+                      {takeRecording ? "● 録音を止めて保存" : "録音する（再生中の打鍵を記録）"}
+                    </button>
+                    <label className="flex items-center gap-2">
+                      <span className="text-sm text-slate-200 w-16">再生音</span>
+                      <select
+                        className="flex-1 bg-slate-700 rounded-lg px-2 py-2 text-base"
+                        value={takeListen}
+                        onChange={e => setTakeListen(e.target.value)}
+                      >
+                        <option value="reference">お手本</option>
+                        <option value="take">テイク</option>
+                        <option value="both">お手本とテイク</option>
+                      </select>
+                    </label>
+                    {!currentSongIdRef.current && notes.length > 0 && (
+                      <div className="text-sm text-slate-300">ライブラリに保存した曲では、テイクも保存されます</div>
+                    )}
+                    {takes.length > 0 && (
+                      <div className="space-y-1">
+                        {takes.map(take => (
+                          <div
+                            key={take.id}
+                            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${take.id === activeTakeId ? "bg-pink-900/60" : "bg-slate-700"}`}
+                          >
+                            <button
+                              className="flex-1 min-w-0 text-left"
+                              onClick={() => setActiveTakeId(take.id === activeTakeId ? null : take.id)}
+                              title="お手本に重ねて表示"
+                            >
+                              <div className="truncate">{fmtDate(take.createdAt)}</div>
+                              <div className="text-xs text-slate-300">{take.notes.length} 音・{Math.round(take.rate * 100)}%</div>
+                            </button>
+                            <button className="px-2 py-1 rounded bg-slate-600 hover:bg-slate-500" onClick={() => exportTakeMidi(take)}>.mid</button>
+                            <button className="px-2 py-1 rounded bg-rose-800 hover:bg-rose-700" onClick={() => removeTake(take.id)}>削除</button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* メトロノーム */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">メトロノーム</h3>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={metronomeEnabled}
+                        onChange={e => setMetronomeEnabled(e.target.checked)}
+                      />
+                      <span className="text-base">クリックを鳴らす（曲のテンポ・拍子に合わせる）</span>
+                    </label>
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">音量：{Math.round(metronomeVolume * 100)}%</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        className="w-full"
+                        value={metronomeVolume}
+                        onChange={e => setMetronomeVolume(parseFloat(e.target.value))}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <span className="text-base text-slate-200">カウントイン</span>
+                      <select
+                        className="w-full bg-slate-700 rounded-lg px-3 py-2 text-base"
+                        value={countInBars}
+                        onChange={e => setCountInBars(parseInt(e.target.value))}
+                      >
+                        {COUNT_IN_OPTIONS.map(bars => (
+                          <option key={bars} value={bars}>{bars ? `${bars}小節` : "なし"}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={countInEachRepeat}
+                        onChange={e => setCountInEachRepeat(e.target.checked)}
+                        disabled={!countInBars}
+                      />
+                      <span className={`text-base ${countInBars ? "" : "opacity-50"}`}>A-Bリピートの各周回の前にも数える</span>
+                    </label>
+                  </div>
+
+                  {/* ペダル */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">ペダル</h3>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={pedalEnabled}
+                        onChange={e => setPedalEnabled(e.target.checked)}
+                      />
+                      <span className="text-base">ペダルを再生に反映し、レーンを表示</span>
+                    </label>
+                    <div className="text-sm text-slate-200">
+                      {hasPedals(pedals)
+                        ? `サステイン ${pedals.sustain.length}・ソステヌート ${pedals.sostenuto.length}・ソフト ${pedals.soft.length} 区間`
+                        : "この曲にペダル情報はありません"}
+                    </div>
+                  </div>
+
+                  {/* キーボード操作 */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">キーボード操作</h3>
+                    <label className="flex items-center gap-2">
+                      <span className="text-sm text-slate-200 flex-1">← / → で移動する秒数</span>
+                      <select
+                        className="bg-slate-700 rounded-lg px-2 py-2 text-base"
+                        value={seekStep}
+                        onChange={e => setSeekStep(Number(e.target.value))}
+                      >
+                        {SEEK_STEP_OPTIONS.map(sec => <option key={sec} value={sec}>{sec} 秒</option>)}
+                      </select>
+                    </label>
+                    <button
+                      className="w-full px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-base transition"
+                      onClick={() => setShortcutHelpOpen(true)}
+                    >
+                      ショートカット一覧・割り当ての変更（?）
+                    </button>
+                  </div>
+
+                  {/* MIDI入力 */}
+                  <div className="space-y-2">
+                    <h3 className="text-base font-semibold text-slate-100">MIDI入力</h3>
+                    <button
+                      className="w-full px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-base transition"
+                      onClick={connectMidi}
+                      disabled={midiStatus === "connecting"}
+                    >
+                      {midiStatus === "connected" ? "MIDI機器を再検出" : "MIDI機器に接続"}
+                    </button>
+                    <div className="text-sm text-slate-200">
+                      {midiStatus === "idle" && "未接続"}
+                      {midiStatus === "connecting" && "接続中…"}
+                      {midiStatus === "connected" && (midiDevices.length ? midiDevices.map(d => d.name).join(" / ") : "機器が見つかりません")}
+                      {midiStatus === "unsupported" && "このブラウザはWeb MIDIに対応していません"}
+                      {midiStatus === "denied" && "MIDIへのアクセスが許可されませんでした"}
+                    </div>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={touchKeys}
+                        onChange={e => setTouchKeys(e.target.checked)}
+                      />
+                      <span className="text-base">画面の鍵盤をタッチ・クリックで弾く</span>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={qwertyPiano}
+                        onChange={e => setQwertyPiano(e.target.checked)}
+                      />
+                      <span className="text-base">パソコンのキーボードで弾く</span>
+                    </label>
+                    {qwertyPiano && (
+                      <div className="text-sm text-slate-200">
+                        A〜' が白鍵、W E T Y U O P が黒鍵。Z/X でオクターブ（今 {qwertyState.octave > 0 ? "+" : ""}{qwertyState.octave}）、C/V で強さ（今 {Math.round(qwertyState.velocity * 100)}%）
+                      </div>
+                    )}
                   </div>
 
                   {/* オフライン設定 */}
@@ -2718,6 +4781,12 @@ useEffect(() => {
                           >
                             キャッシュ全削除
                           </button>
+                          <button
+                            className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600"
+                            onClick={pressWaitingWithVirtual}
+                          >
+                            仮想入力で待機中の鍵盤を押す
+                          </button>
                         </div>
 
                         {cacheError && (
@@ -2758,25 +4827,369 @@ useEffect(() => {
                 ✕
               </button>
             </div>
+            <div className="space-y-2 mb-3">
+              <input
+                type="search"
+                className="w-full bg-slate-700 rounded-lg px-3 py-2"
+                placeholder="曲名・フォルダ・タグで検索"
+                value={libQuery}
+                onChange={e => setLibQuery(e.target.value)}
+              />
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <select className="bg-slate-700 rounded px-2 py-1" value={libFolder} onChange={e => setLibFolder(e.target.value)}>
+                  <option value={ALL_FOLDERS}>すべてのフォルダ</option>
+                  <option value={NO_FOLDER}>フォルダなし</option>
+                  {libFolders.map(f => <option key={f} value={f}>{f}</option>)}
+                </select>
+                <select className="bg-slate-700 rounded px-2 py-1" value={libSort} onChange={e => setLibSort(e.target.value)}>
+                  {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}順</option>)}
+                </select>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={libFavoritesOnly} onChange={e => setLibFavoritesOnly(e.target.checked)} />
+                  お気に入りのみ
+                </label>
+              </div>
+              {libTags.length > 0 && (
+                <div className="flex flex-wrap gap-1 text-sm">
+                  {libTags.map(t => (
+                    <button
+                      key={t}
+                      className={`px-2 py-0.5 rounded-full ${libTag === t ? "bg-indigo-600" : "bg-slate-700 hover:bg-slate-600"}`}
+                      onClick={() => setLibTag(libTag === t ? null : t)}
+                    >
+                      #{t}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
             <div className="space-y-2 overflow-auto flex-1">
               {libItems.length === 0 && <div className="opacity-70 text-base">保存された曲はありません。</div>}
-              {libItems.map(item => (
+              {libItems.length > 0 && libVisible.length === 0 && <div className="opacity-70 text-base">条件に合う曲はありません。</div>}
+              {libVisible.map(item => libEditing?.id === item.id ? (
+                <div key={item.id} className="bg-slate-700/60 rounded px-3 py-2 space-y-2 text-sm">
+                  <label className="flex items-center gap-2">
+                    <span className="w-16 shrink-0">名前</span>
+                    <input className="flex-1 bg-slate-800 rounded px-2 py-1" value={libEditing.name}
+                      onChange={e => setLibEditing({ ...libEditing, name: e.target.value })} />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <span className="w-16 shrink-0">フォルダ</span>
+                    <input className="flex-1 bg-slate-800 rounded px-2 py-1" list="lib-folders" placeholder="例：レッスン3・発表会"
+                      value={libEditing.folder} onChange={e => setLibEditing({ ...libEditing, folder: e.target.value })} />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <span className="w-16 shrink-0">タグ</span>
+                    <input className="flex-1 bg-slate-800 rounded px-2 py-1" placeholder="カンマ・空白区切り"
+                      value={libEditing.tags} onChange={e => setLibEditing({ ...libEditing, tags: e.target.value })} />
+                  </label>
+                  <div className="flex justify-end gap-2">
+                    <button className="px-3 py-1 bg-slate-600 rounded hover:bg-slate-500" onClick={() => setLibEditing(null)}>やめる</button>
+                    <button className="px-3 py-1 bg-emerald-700 rounded hover:bg-emerald-600" onClick={commitLibraryEdit}>保存</button>
+                  </div>
+                </div>
+              ) : (
                 <div key={item.id} className="flex items-center gap-2 bg-slate-700/60 rounded px-3 py-2">
+                  <button
+                    className={`w-9 h-9 shrink-0 rounded hover:bg-slate-600 text-lg ${item.favorite ? "text-amber-300" : "text-slate-400"}`}
+                    onClick={() => updateLibraryItem(item.id, { favorite: !item.favorite })}
+                    title={item.favorite ? "お気に入りから外す" : "お気に入りに追加"}
+                  >
+                    {item.favorite ? "★" : "☆"}
+                  </button>
                   <div className="flex-1 min-w-0">
-                    <div className="font-medium truncate">{item.name || "(無題)"}</div>
-                    <div className="text-sm opacity-70">{fmtDate(item.createdAt)}・{(item.size / 1024).toFixed(1)} KB</div>
+                    <div className="font-medium truncate">
+                      {item.folder && <span className="text-slate-300 font-normal">{item.folder} / </span>}
+                      {item.name || "(無題)"}
+                    </div>
+                    <div className="text-sm opacity-70">
+                      {fmtDate(item.createdAt)}・{(item.size / 1024).toFixed(1)} KB
+                      {item.duration > 0 && <>・{fmt(item.duration)}</>}
+                      {item.difficulty != null && <>・難易度 {item.difficulty}</>}
+                      {item.lowNote != null && <>・{rangeLabel(item.lowNote, item.highNote)}</>}
+                      {item.source === "edited" && <>・編集版</>}
+                      {item.best && <>・ベスト {Math.round(item.best.accuracy * 100)}%</>}
+                      {item.lastPlayedAt && <>・最終 {fmtDate(item.lastPlayedAt)}</>}
+                    </div>
+                    {item.tags?.length > 0 && (
+                      <div className="text-xs text-indigo-200 truncate">{item.tags.map(t => `#${t}`).join(" ")}</div>
+                    )}
                   </div>
                   <button className="px-3 py-2 bg-indigo-600 rounded hover:bg-indigo-500 text-base" onClick={() => loadFromLibrary(item.id)}>
                     読込
                   </button>
+                  <button
+                    className="px-3 py-2 bg-slate-600 rounded hover:bg-slate-500 text-base"
+                    onClick={() => setLibEditing({ id: item.id, name: item.name || "", folder: item.folder || "", tags: (item.tags ?? []).join(", ") })}
+                  >
+                    編集
+                  </button>
                   <button className="px-3 py-2 bg-rose-700 rounded hover:bg-rose-600 text-base" onClick={() => removeFromLibrary(item.id)}>
                     削除
                   </button>
                 </div>
               ))}
+              <datalist id="lib-folders">
+                {libFolders.map(f => <option key={f} value={f} />)}
+              </datalist>
+            </div>
+            <div className="mt-3 flex flex-wrap items-center gap-2">
+              <button
+                className="px-3 py-2 bg-slate-700 rounded hover:bg-slate-600 disabled:opacity-50 text-sm"
+                onClick={handleExportLibrary}
+                disabled={backupBusy}
+              >
+                バックアップを書き出す
+              </button>
+              <label className={`px-3 py-2 bg-slate-700 rounded hover:bg-slate-600 text-sm cursor-pointer ${backupBusy ? "opacity-50 pointer-events-none" : ""}`}>
+                バックアップから復元
+                <input type="file" accept={`${ARCHIVE_EXTENSION},.json,application/json`} className="hidden" onChange={onRestoreFile} />
+              </label>
+              <button className="ml-auto px-4 py-2 bg-slate-700 rounded hover:bg-slate-600" onClick={() => setLibOpen(false)}>
+                閉じる
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ショートカット一覧（? で開閉） */}
+      {shortcutHelpOpen && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={() => { setShortcutHelpOpen(false); setShortcutCapture(null); }}>
+          <div className="bg-slate-800 rounded-xl p-4 w-[560px] max-w-[90%] max-h-[80vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center mb-2">
+              <h2 className="text-lg font-semibold">キーボードショートカット</h2>
+              <button
+                className="ml-auto w-11 h-11 flex items-center justify-center hover:bg-slate-700 rounded"
+                onClick={() => { setShortcutHelpOpen(false); setShortcutCapture(null); }}
+              >
+                ✕
+              </button>
+            </div>
+            <div className="text-sm text-slate-300 mb-2">
+              キーをクリックすると割り当てを変えられます（次に押したキーを割り当て。Esc で取りやめ、Backspace で割り当てなし）。
+              文字の入力中は効きません。
+              {qwertyPiano && " パソコンのキーボードで弾いている間は、ピアノのキー（A〜' と W E T Y U O P、Z X C V）が優先されます。"}
+            </div>
+            {shortcutNotice && <div className="text-sm text-amber-300 mb-2">{shortcutNotice}</div>}
+            <div className="space-y-3 overflow-auto flex-1 text-sm">
+              {[...new Set(SHORTCUT_ACTIONS.map(a => a.group))].map(group => (
+                <div key={group} className="space-y-1">
+                  <div className="text-slate-400">{group}</div>
+                  {SHORTCUT_ACTIONS.filter(a => a.group === group).map(action => (
+                    <div key={action.id} className="flex items-center gap-2 bg-slate-700/60 rounded px-3 py-1.5">
+                      <span className="flex-1">
+                        {action.label}
+                        {action.id === "seekBackward" || action.id === "seekForward" ? `（${seekStep} 秒）` : ""}
+                      </span>
+                      <button
+                        className={`min-w-[96px] px-2 py-1 rounded font-mono ${shortcutCapture === action.id ? "bg-indigo-600" : "bg-slate-600 hover:bg-slate-500"}`}
+                        onClick={() => { setShortcutNotice(""); setShortcutCapture(shortcutCapture === action.id ? null : action.id); }}
+                      >
+                        {shortcutCapture === action.id ? "キーを押す…" : formatCombo(shortcuts[action.id])}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 flex justify-end gap-2">
+              <button className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600" onClick={resetShortcuts}>
+                既定に戻す
+              </button>
+              <button
+                className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600"
+                onClick={() => { setShortcutHelpOpen(false); setShortcutCapture(null); }}
+              >
+                閉じる
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ドラッグ中の案内 */}
+      {dragActive && (
+        <div className="fixed inset-0 z-50 pointer-events-none flex items-center justify-center bg-indigo-900/50 border-4 border-dashed border-indigo-300">
+          <div className="text-xl font-semibold">MIDI / MusicXML / zip をドロップして読み込み</div>
+        </div>
+      )}
+
+      {/* 一括取り込みの結果 */}
+      {importReport && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+          <div className="bg-slate-800 rounded-xl p-4 w-[560px] max-w-[90%] max-h-[80vh] flex flex-col">
+            <div className="flex items-center mb-2">
+              <h2 className="text-lg font-semibold">一括取り込み</h2>
+              {!importReport.running && (
+                <button className="ml-auto w-11 h-11 flex items-center justify-center hover:bg-slate-700 rounded" onClick={() => setImportReport(null)}>
+                  ✕
+                </button>
+              )}
+            </div>
+            <div className="text-sm text-slate-300 mb-2">
+              {importReport.running ? `取り込み中…（${importReport.results.length} 件処理済み）` : "完了"}
+              ・取り込み {importReport.results.filter(r => r.status === "imported").length}
+              ・スキップ {importReport.results.filter(r => r.status === "skipped").length}
+              ・失敗 {importReport.results.filter(r => r.status === "failed").length}
+            </div>
+            {importReport.error && <div className="text-sm text-rose-300 mb-2">{importReport.error}</div>}
+            <div className="space-y-1 overflow-auto flex-1 text-sm">
+              {importReport.results.map((r, k) => (
+                <div key={k} className="flex items-start gap-2 bg-slate-700/60 rounded px-3 py-1.5">
+                  <span className={`shrink-0 w-16 ${r.status === "imported" ? "text-emerald-300" : r.status === "skipped" ? "text-amber-300" : "text-rose-300"}`}>
+                    {{ imported: "取り込み", skipped: "スキップ", failed: "失敗" }[r.status]}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate">{r.name}</div>
+                    {r.reason && <div className="text-xs opacity-70">{r.reason}</div>}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 flex justify-end gap-2">
+              <button
+                className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600 disabled:opacity-50"
+                disabled={importReport.running}
+                onClick={() => { setImportReport(null); openLibrary(); }}
+              >
+                ライブラリを開く
+              </button>
+              <button
+                className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600 disabled:opacity-50"
+                disabled={importReport.running}
+                onClick={() => setImportReport(null)}
+              >
+                閉じる
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 復元の下見 */}
+      {restorePreview && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+          <div className="bg-slate-800 rounded-xl p-4 w-[560px] max-w-[90%] max-h-[80vh] flex flex-col">
+            <div className="flex items-center mb-2">
+              <h2 className="text-lg font-semibold">バックアップから復元</h2>
+              <button className="ml-auto w-11 h-11 flex items-center justify-center hover:bg-slate-700 rounded" onClick={() => setRestorePreview(null)}>
+                ✕
+              </button>
+            </div>
+            <div className="text-sm text-slate-300 mb-2">
+              {restorePreview.exportedAt && <>{fmtDate(restorePreview.exportedAt)} に作成・</>}
+              {restorePreview.entries.length} 曲
+              （新規 {restorePreview.entries.filter(x => x.status === "add").length}・
+              同じ内容の曲あり {restorePreview.entries.filter(x => x.status === "duplicate").length}）
+            </div>
+            <div className="space-y-1 overflow-auto flex-1">
+              {restorePreview.entries.length === 0 && <div className="opacity-70 text-base">復元できる曲はありません。</div>}
+              {restorePreview.entries.map(entry => (
+                <div key={entry.hash} className="flex items-center gap-2 bg-slate-700/60 rounded px-3 py-2 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{entry.meta.name || "(無題)"}</div>
+                    {entry.existing && (
+                      <div className="text-xs opacity-70 truncate">ライブラリの「{entry.existing.name || "(無題)"}」と同じ内容</div>
+                    )}
+                  </div>
+                  <select
+                    className="bg-slate-700 rounded px-2 py-1"
+                    value={entry.action}
+                    onChange={e => setRestoreAction(entry.hash, e.target.value)}
+                  >
+                    {entry.existing
+                      ? <><option value="skip">スキップ</option><option value="replace">置き換え</option></>
+                      : <><option value="add">追加</option><option value="skip">スキップ</option></>}
+                  </select>
+                </div>
+              ))}
+            </div>
+            {restorePreview.settings && (
+              <label className="mt-3 flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={restorePreview.includeSettings}
+                  onChange={e => setRestorePreview({ ...restorePreview, includeSettings: e.target.checked })}
+                />
+                全体の設定も復元する
+              </label>
+            )}
+            {restorePreview.curriculum && (
+              <label className="mt-2 flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={restorePreview.includeCurriculum}
+                  onChange={e => setRestorePreview({ ...restorePreview, includeCurriculum: e.target.checked })}
+                />
+                初見練習の学習者と進み具合も復元する（{restorePreview.curriculum.learners.length} 人。新しく練習した方を残す）
+              </label>
+            )}
+            <div className="mt-3 flex justify-end gap-2">
+              <button className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600" onClick={() => setRestorePreview(null)}>
+                やめる
+              </button>
+              <button
+                className="px-4 py-2 bg-emerald-700 rounded hover:bg-emerald-600 disabled:opacity-50"
+                onClick={applyRestore}
+                disabled={backupBusy || (!restorePreview.entries.some(x => x.action !== "skip") && !restorePreview.includeSettings && !restorePreview.includeCurriculum)}
+              >
+                復元
+              </button>
             </div>
-            <div className="mt-3 text-right">
-              <button className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600" onClick={() => setLibOpen(false)}>
+          </div>
+        </div>
+      )}
+
+      {/* 採点サマリ */}
+      {scoreSummary && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+          <div className="bg-slate-800 rounded-xl p-4 w-[420px] max-w-[90%] space-y-3">
+            <div className="flex items-center">
+              <h2 className="text-lg font-semibold truncate">結果：{scoreSummary.songName || "(無題)"}</h2>
+              <button className="ml-auto w-11 h-11 flex items-center justify-center hover:bg-slate-700 rounded" onClick={() => setScoreSummary(null)}>
+                ✕
+              </button>
+            </div>
+            <div className="flex items-baseline gap-3">
+              <span className="text-4xl font-bold">{Math.round(scoreSummary.accuracy * 100)}%</span>
+              <span className="text-slate-200">最大コンボ {scoreSummary.maxCombo}</span>
+              {scoreSummary.isBest && <span className="text-amber-300 font-semibold">自己ベスト更新！</span>}
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-sm">
+              {JUDGMENTS.map(j => (
+                <div key={j} className="rounded bg-slate-700/60 px-2 py-1 flex justify-between">
+                  <span style={{ color: COLORS.judge[j] }}>{JUDGMENT_LABELS[j]}</span>
+                  <span className="font-mono">{scoreSummary.counts[j]}</span>
+                </div>
+              ))}
+            </div>
+            <div className="text-sm text-slate-200">
+              平均のずれ：{Math.abs(Math.round(scoreSummary.meanOffsetMs))}ms
+              {Math.abs(scoreSummary.meanOffsetMs) >= 10 && (scoreSummary.meanOffsetMs < 0 ? "（早め）" : "（遅め）")}
+            </div>
+            {scoreSummary.previousBest && !scoreSummary.isBest && (
+              <div className="text-sm text-slate-200">
+                ベスト：{Math.round(scoreSummary.previousBest.accuracy * 100)}%（{fmtDate(scoreSummary.previousBest.at)}）
+              </div>
+            )}
+            {scoreSummary.exercise && (
+              <div className="text-sm text-slate-200">
+                {scoreSummary.exercise.learnerName} さんの記録に追加しました。
+                {scoreSummary.exercise.change === "up" && <span className="text-amber-300 font-semibold"> レベルアップ！次は「{scoreSummary.exercise.level.title}」</span>}
+                {scoreSummary.exercise.change === "down" && <span> 「{scoreSummary.exercise.level.title}」に戻って練習しましょう</span>}
+              </div>
+            )}
+            <div className="flex justify-end gap-2">
+              {scoreSummary.exercise && (
+                <button
+                  className="px-4 py-2 bg-indigo-600 rounded hover:bg-indigo-500"
+                  onClick={() => { setScoreSummary(null); loadNextExercise(); }}
+                >
+                  次の課題
+                </button>
+              )}
+              <button className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600" onClick={() => setScoreSummary(null)}>
                 閉じる
               </button>
             </div>
@@ -0,0 +1,133 @@
+import { listSongs, loadSongBytes, loadGlobalSettings, loadTakes, loadCurriculumData } from "./db";
+
+/**
+ * ライブラリのバックアップ／復元（1 つの JSON ファイル）
+ * - 曲本体（MIDI バイト列を base64）と、メタ（曲ごとの設定・自己ベスト・段階練習の記録・フォルダ・タグ等）、
+ *   テイク（takes.js）、全体設定、初見練習の学習者と進み具合（curriculum.js）を含む
+ * - 復元はマージ：内容の SHA-256 が同じ曲は重複とみなし、置き換えるかスキップするかを選べる。
+ *   学習者は手元に無い人だけを足し、進み具合は最後に練習した方を残す（db.js の restoreCurriculumData）
+ *
+ * 形式：{ format: ARCHIVE_FORMAT, version, exportedAt, settings, songs: [{ hash, meta, data, takes? }],
+ *         curriculum?: { learners, progress: { [学習者 id]: 進み具合 } } }（curriculum の無い古いファイルも読める）
+ */
+
+export const ARCHIVE_FORMAT = "falling-notes-library";
+export const ARCHIVE_VERSION = 1;
+export const ARCHIVE_EXTENSION = ".fnlib.json";
+
+// 復元のたびに作り直すもの（id・サイズは保存先で決まる）
+const LOCAL_META_KEYS = ["id", "size"];
+
+export async function hashBytes(u8) {
+  const digest = await crypto.subtle.digest("SHA-256", u8);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64(u8) {
+  let bin = "";
+  const CHUNK = 0x8000;
+  for (let k = 0; k < u8.length; k += CHUNK) bin += String.fromCharCode(...u8.subarray(k, k + CHUNK));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(text);
+  const u8 = new Uint8Array(bin.length);
+  for (let k = 0; k < bin.length; k++) u8[k] = bin.charCodeAt(k);
+  return u8;
+}
+
+function stripLocal(meta) {
+  const out = { ...meta };
+  for (const key of LOCAL_META_KEYS) delete out[key];
+  return out;
+}
+
+/** 現在のライブラリ（本体が読めない曲は除く）と内容ハッシュ */
+export async function libraryWithHashes() {
+  const out = [];
+  for (const meta of await listSongs()) {
+    const bytes = await loadSongBytes(meta.id);
+    if (bytes) out.push({ meta, bytes, hash: await hashBytes(bytes) });
+  }
+  return out;
+}
+
+/** ライブラリ全体を書き出す（Blob） */
+export async function exportLibrary() {
+  const songs = [];
+  for (const { meta, bytes, hash } of await libraryWithHashes()) {
+    songs.push({ hash, meta: stripLocal(meta), data: toBase64(bytes), takes: await loadTakes(meta.id) });
+  }
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    settings: await loadGlobalSettings(),
+    songs,
+    curriculum: await loadCurriculumData(),
+  };
+  return new Blob([JSON.stringify(archive)], { type: "application/json" });
+}
+
+/**
+ * バックアップファイルの読み取り。形式が違えば日本語メッセージの Error を投げる
+ * @returns {Promise<{ exportedAt:number|null, settings:object|null, songs:{ hash:string, meta:object, bytes:Uint8Array, takes:object[] }[],
+ *   curriculum:{ learners:object[], progress:object }|null }>}
+ */
+export async function parseArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error("バックアップファイルとして読めませんでした。");
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.songs)) {
+    throw new Error("このアプリのバックアップファイルではありません。");
+  }
+  if (typeof archive.version !== "number" || archive.version > ARCHIVE_VERSION) {
+    throw new Error("新しいバージョンで作られたバックアップです。アプリを更新してから読み込んでください。");
+  }
+  const songs = [];
+  for (const song of archive.songs) {
+    if (typeof song?.data !== "string") continue;
+    let bytes;
+    try {
+      bytes = fromBase64(song.data);
+    } catch {
+      continue; // 壊れた 1 曲は飛ばして残りを読む
+    }
+    const takes = Array.isArray(song.takes) ? song.takes : [];
+    // ファイル内のハッシュは信用せず、中身から計算し直す
+    songs.push({ hash: await hashBytes(bytes), meta: stripLocal(song.meta ?? {}), bytes, takes });
+  }
+  const { learners, progress } = archive.curriculum ?? {};
+  const curriculum = Array.isArray(learners) && learners.length
+    ? { learners, progress: progress && typeof progress === "object" ? progress : {} }
+    : null;
+  return { exportedAt: archive.exportedAt ?? null, settings: archive.settings ?? null, songs, curriculum };
+}
+
+/**
+ * 復元の下見：曲ごとに add（新規）/ duplicate（同じ内容が既にある）を決める。
+ * 重複は既定でスキップ（action: "skip"）。"replace" にすると既存の曲のメタをバックアップのもので置き換える
+ * @param {{ hash:string, meta:object, bytes:Uint8Array }[]} songs parseArchive の songs
+ * @param {{ hash:string, meta:object }[]} existing libraryWithHashes の結果
+ */
+export function planRestore(songs, existing) {
+  const byHash = new Map(existing.map((x) => [x.hash, x.meta]));
+  const seen = new Set();
+  const entries = [];
+  for (const song of songs) {
+    if (seen.has(song.hash)) continue; // バックアップ内の重複
+    seen.add(song.hash);
+    const current = byHash.get(song.hash) ?? null;
+    entries.push({
+      ...song,
+      status: current ? "duplicate" : "add",
+      action: current ? "skip" : "add",
+      existing: current,
+    });
+  }
+  return entries;
+}
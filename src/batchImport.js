@@ -0,0 +1,116 @@
+import { listSongs, loadSongBytes, saveSongs } from "./db";
+import { hashBytes } from "./backup";
+import { songInfoFromNotes } from "./library";
+import { listZipEntries } from "./zip";
+import { SONG_ACCEPT, FORMAT_LABELS, songFormatOf, songTitleOf, decodeSong, songNotes } from "./songFile";
+
+/**
+ * 曲の一括取り込み（複数選択・ドラッグ＆ドロップ・zip。MIDI・MusicXML・曲データ）
+ * - 各ファイルは 1 度だけ解析し、長さ・ノート数・音域・難易度をメタに保存する（ノートは画面と同じ songNotes）
+ * - メタ配列への書き込みは zip ごと・最後にまとめて 1 回（曲数が多くても 1 曲ごとに全体を書き直さない）
+ * - 内容が同じ曲（SHA-256）は、ライブラリにあっても同じ取り込みの中でもスキップ
+ * - 結果はファイルごとに { name, status: "imported" | "skipped" | "failed", reason?, id? }
+ */
+
+export const MAX_MIDI_BYTES = 10 * 1024 * 1024;
+export const MAX_ZIP_BYTES = 200 * 1024 * 1024;
+export const IMPORT_ACCEPT = `${SONG_ACCEPT},.zip,application/zip`;
+
+export const isZipName = (name) => /\.zip$/i.test(name);
+
+const baseName = (path) => path.split("/").pop();
+
+/** 取り込める曲は pending に積む（保存は flush で。結果の id もそのときに入る） */
+async function importSongBytes(name, bytes, seen, pending) {
+  if (bytes.length > MAX_MIDI_BYTES) return { name, status: "skipped", reason: "10MB を超えています" };
+  const hash = await hashBytes(bytes);
+  if (seen.has(hash)) return { name, status: "skipped", reason: `同じ内容の曲があります（${seen.get(hash)}）` };
+  const format = songFormatOf(name);
+  let midi;
+  try {
+    ({ midi } = await decodeSong(bytes, format));
+  } catch (err) {
+    return { name, status: "failed", reason: `${FORMAT_LABELS[format]} として読めません（${err?.message || err}）` };
+  }
+  const notes = songNotes(midi);
+  if (!notes.length) return { name, status: "skipped", reason: "鍵盤で弾けるノートがありません" };
+  const info = { source: "original", format, trackCount: midi.tracks.length, ...songInfoFromNotes(notes) };
+  const title = songTitleOf(name);
+  const result = { name, status: "imported" };
+  pending.push({ entry: { name: title, bytes, settings: null, info }, result });
+  seen.set(hash, title);
+  return result;
+}
+
+/** 積んだ曲をまとめて保存し、結果に id を入れる */
+async function flush(pending) {
+  if (!pending.length) return;
+  const batch = pending.splice(0);
+  try {
+    const metas = await saveSongs(batch.map((p) => p.entry));
+    batch.forEach((p, k) => {
+      p.result.id = metas[k].id;
+    });
+  } catch (err) {
+    for (const { result } of batch) Object.assign(result, { status: "failed", reason: `保存できません（${err?.message || err}）` });
+  }
+}
+
+/**
+ * @param {File[]} files
+ * @param {(done:number, results:object[]) => void} [onProgress]
+ * @returns {Promise<{ name:string, status:string, reason?:string, id?:string }[]>}
+ */
+export async function importFiles(files, onProgress) {
+  // 重複判定の元：ライブラリの既存曲の内容ハッシュ → 曲名
+  const seen = new Map();
+  for (const meta of await listSongs()) {
+    const bytes = await loadSongBytes(meta.id);
+    if (bytes) seen.set(await hashBytes(bytes), meta.name);
+  }
+
+  const results = [];
+  const pending = [];
+  const push = (r) => {
+    results.push(r);
+    onProgress?.(results.length, results);
+  };
+  for (const file of files) {
+    try {
+      if (isZipName(file.name)) {
+        if (file.size > MAX_ZIP_BYTES) {
+          push({ name: file.name, status: "skipped", reason: "zip が 200MB を超えています" });
+          continue;
+        }
+        const entries = listZipEntries(await file.arrayBuffer()).filter(
+          (e) => !/^(__MACOSX|META-INF)\//.test(e.name) && !baseName(e.name).startsWith(".")
+        );
+        const songEntries = entries.filter((e) => songFormatOf(e.name));
+        if (!songEntries.length) push({ name: file.name, status: "skipped", reason: "zip に MIDI / MusicXML / 曲データのファイルがありません" });
+        for (const entry of songEntries) {
+          const label = `${file.name} / ${entry.name}`;
+          try {
+            if (entry.size > MAX_MIDI_BYTES) {
+              push({ name: label, status: "skipped", reason: "10MB を超えています" });
+              continue;
+            }
+            const r = await importSongBytes(baseName(entry.name), await entry.read(), seen, pending);
+            r.name = label;
+            push(r);
+          } catch (err) {
+            push({ name: label, status: "failed", reason: err?.message || String(err) });
+          }
+        }
+        await flush(pending);
+      } else if (songFormatOf(file.name)) {
+        push(await importSongBytes(file.name, new Uint8Array(await file.arrayBuffer()), seen, pending));
+      } else {
+        push({ name: file.name, status: "skipped", reason: "MIDI・MusicXML・曲データ・zip のいずれでもありません" });
+      }
+    } catch (err) {
+      push({ name: file.name, status: "failed", reason: err?.message || String(err) });
+    }
+  }
+  await flush(pending);
+  return results;
+}
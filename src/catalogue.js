@@ -0,0 +1,54 @@
+/**
+ * 内蔵の曲カタログ（public/songs）
+ * - index.json に曲の一覧（検索用の項目と本体のファイル名）。本体は曲データ形式（songData.js の .song.json）
+ * - どちらも Service Worker（public/sw.js）がインストール時にキャッシュするので、オフラインでも開ける
+ * - 曲は著作権の切れた童謡・民謡・クラシック。歌詞も作詞者の没後の保護期間を過ぎたものだけを載せる
+ * 曲を足すときは public/songs に .song.json を置き、index.json にも項目を足す（sw.js は index.json の file を見てキャッシュする）。
+ */
+
+export const CATALOGUE_URL = "/songs/index.json";
+export const CATALOGUE_LEVELS = [1, 2, 3];
+
+/**
+ * @returns {Promise<{ id:string, title:string, reading:string, composer:string, tags:string[], level:number,
+ *   key:string, meter:string, hands:"right"|"both", lyrics:boolean, file:string }[]>}
+ */
+export async function loadCatalogue() {
+  const res = await fetch(CATALOGUE_URL);
+  if (!res.ok) throw new Error(`カタログを読めません（${res.status}）`);
+  const { songs } = await res.json();
+  return (Array.isArray(songs) ? songs : [])
+    .filter((s) => typeof s?.id === "string" && typeof s.file === "string")
+    .map((s) => ({
+      reading: "", composer: "", tags: [], level: 1, key: "", meter: "", hands: "both", lyrics: false,
+      ...s,
+      title: String(s.title ?? s.id),
+    }));
+}
+
+/** 曲データのバイト列（loadSongFromBytes へ "songdata" として渡す） */
+export async function fetchCatalogueSong(entry) {
+  const res = await fetch(`/songs/${entry.file}`);
+  if (!res.ok) throw new Error(`曲データを読めません（${res.status}）`);
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+/** 検索用に正規化（全角半角・大文字小文字・カタカナ/ひらがなをそろえる） */
+const fold = (text) =>
+  String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+
+/**
+ * 題名・読み・作曲者・タグで絞り込む（空白区切りの語をすべて含むもの）
+ * @param {number|"all"} level
+ */
+export function searchCatalogue(entries, query, level = "all") {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  return entries.filter((s) => {
+    if (level !== "all" && s.level !== level) return false;
+    const haystack = fold([s.title, s.reading, s.composer, ...s.tags].join(" "));
+    return words.every((w) => haystack.includes(w));
+  });
+}
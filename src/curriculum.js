@@ -0,0 +1,183 @@
+/**
+ * 初見練習のカリキュラム（段階的なレベルと学習者ごとの進み具合）
+ * - レベルは 手のポジション → 音の跳び（音程）→ リズム → 両手 → 調号 → 臨時記号 の順に 1 つずつ条件を増やす
+ * - 課題は毎回 generator.js の generateExercise で新しく作る（型とランダムウォークを混ぜる）
+ * - 同じレベルの直近 RECENT_COUNT 回の正確さで、次の課題の速さ・長さを変え、レベルを上げ下げする
+ *
+ * 進み具合は学習者ごとに db.js（'fnp.curriculum.<学習者 id>'）へ保存する。形式は emptyProgress。
+ */
+
+import { newSeed, createRandom } from "./generator";
+
+export const RECENT_COUNT = 3;
+export const ADVANCE_ACCURACY = 0.9;
+export const RETREAT_ACCURACY = 0.5;
+export const MAX_HISTORY = 50;
+
+const TEMPO_STEP = 10;
+const MIN_TEMPO = 40;
+
+/**
+ * keys は出題する調（ランダムに選ぶ）、meters は拍子。position 以降は generateExercise の spec と同じ意味
+ */
+export const LEVELS = [
+  {
+    id: "right-five", title: "右手・ドの 5 指ポジション",
+    description: "ドレミファソの中を順に動く。全音符・2 分音符・4 分音符",
+    keys: ["C"], scale: "major", meters: ["4/4"], hand: "right", position: 5, maxStep: 1,
+    rhythms: [1, 2, 4], accidentals: 0, templates: 0.5, tempo: 70, bars: 8,
+  },
+  {
+    id: "left-five", title: "左手・ドの 5 指ポジション",
+    description: "へ音記号の音域で、左手だけで順に動く",
+    keys: ["C"], scale: "major", meters: ["4/4"], hand: "left", position: 5, maxStep: 1,
+    rhythms: [1, 2, 4], accidentals: 0, templates: 0.5, tempo: 70, bars: 8,
+  },
+  {
+    id: "right-thirds", title: "3 度の跳躍",
+    description: "5 指ポジションの中で、1 つ飛ばしの音（3 度）が入る",
+    keys: ["C"], scale: "major", meters: ["4/4"], hand: "right", position: 5, maxStep: 2,
+    rhythms: [1, 2, 4], accidentals: 0, templates: 0.5, tempo: 72, bars: 8,
+  },
+  {
+    id: "eighths", title: "8 分音符と 3 拍子",
+    description: "8 分音符が入り、4 分の 3 拍子も出る",
+    keys: ["C"], scale: "major", meters: ["4/4", "3/4"], hand: "right", position: 5, maxStep: 2,
+    rhythms: [0.5, 1, 2, 3, 4], accidentals: 0, templates: 0.5, tempo: 72, bars: 8,
+  },
+  {
+    id: "both-roots", title: "両手（左手は根音）",
+    description: "右手のメロディに、左手で小節ごとの根音を合わせる",
+    keys: ["C"], scale: "major", meters: ["4/4", "3/4"], hand: "both", position: 5, maxStep: 2,
+    rhythms: [1, 2, 3, 4], accidentals: 0, templates: 0.5, leftHand: "roots", tempo: 66, bars: 8,
+  },
+  {
+    id: "key-signatures", title: "調号（ト長調・ヘ長調）",
+    description: "ファ♯・シ♭ の付く調。ポジションは主音から",
+    keys: ["G", "F"], scale: "major", meters: ["4/4", "3/4"], hand: "both", position: 5, maxStep: 2,
+    rhythms: [0.5, 1, 2, 3, 4], accidentals: 0, templates: 0.5, leftHand: "roots", tempo: 70, bars: 8,
+  },
+  {
+    id: "octave", title: "1 オクターブと 5 度まで",
+    description: "ポジションを広げ、4 度・5 度の跳躍も入る",
+    keys: ["C", "G", "F"], scale: "major", meters: ["4/4", "3/4"], hand: "right", position: 8, maxStep: 4,
+    rhythms: [0.5, 1, 2, 3, 4], accidentals: 0, templates: 0.4, tempo: 76, bars: 8,
+  },
+  {
+    id: "accidentals", title: "臨時記号",
+    description: "半音の刺繍音（♯・♭）が入り、次の音で元に戻る",
+    keys: ["C", "G", "F", "D"], scale: "major", meters: ["4/4", "3/4"], hand: "right", position: 8, maxStep: 4,
+    rhythms: [0.5, 1, 2, 3, 4], accidentals: 0.15, templates: 0.4, tempo: 76, bars: 8,
+  },
+  {
+    id: "minor-compound", title: "短調と 8 分の 6 拍子",
+    description: "イ短調・ニ短調。左手は和音やアルベルティ・バス",
+    keys: ["A", "D"], scale: "minor", meters: ["4/4", "6/8"], hand: "both", position: 8, maxStep: 3,
+    rhythms: [0.5, 1, 1.5, 2, 3, 4], accidentals: 0.1, templates: 0.4, leftHand: ["block", "alberti"], tempo: 72, bars: 8,
+  },
+  {
+    id: "mixed", title: "総合",
+    description: "いろいろな調・拍子・伴奏の組み合わせ",
+    keys: ["C", "G", "D", "F", "A", "E"], scale: ["major", "minor"], meters: ["4/4", "3/4", "6/8"], hand: "both",
+    position: 8, maxStep: 4, rhythms: [0.5, 1, 1.5, 2, 3, 4], accidentals: 0.15, templates: 0.3,
+    leftHand: ["roots", "block", "alberti", "octaves"], tempo: 80, bars: 8,
+  },
+];
+
+export const levelById = (id) => LEVELS.find((l) => l.id === id) ?? LEVELS[0];
+const levelIndex = (id) => Math.max(0, LEVELS.findIndex((l) => l.id === id));
+
+/** @returns {{ levelId:string, levelSince:number, history:{ levelId:string, seed:string, accuracy:number, at:number }[] }} */
+export function emptyProgress() {
+  return { levelId: LEVELS[0].id, levelSince: 0, history: [] };
+}
+
+/** 保存されていた進み具合を補う（知らないレベル・壊れた記録は捨てる） */
+export function normalizeProgress(saved) {
+  const base = emptyProgress();
+  if (!saved || typeof saved !== "object") return base;
+  const history = Array.isArray(saved.history)
+    ? saved.history.filter((h) => typeof h?.levelId === "string" && typeof h.accuracy === "number").slice(-MAX_HISTORY)
+    : [];
+  return {
+    levelId: LEVELS.some((l) => l.id === saved.levelId) ? saved.levelId : base.levelId,
+    levelSince: typeof saved.levelSince === "number" ? saved.levelSince : 0,
+    history,
+  };
+}
+
+/** 今のレベルに来てからの直近の正確さ（古い順、最大 RECENT_COUNT 件） */
+export function recentScores(progress) {
+  return progress.history
+    .filter((h) => h.levelId === progress.levelId && h.at >= progress.levelSince)
+    .slice(-RECENT_COUNT)
+    .map((h) => h.accuracy);
+}
+
+const average = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+/**
+ * 次の課題の条件（generateExercise の spec）とシード。
+ * 直近の成績が良ければ速く、悪ければ遅く・短くする
+ * @param {ReturnType<typeof emptyProgress>} progress
+ * @param {string} [seed] 省略時は新しいシード
+ */
+export function exerciseSpec(progress, seed = newSeed()) {
+  const level = levelById(progress.levelId);
+  const rng = createRandom(`${seed}:spec`);
+  const pick = (v) => (Array.isArray(v) ? rng.choice(v) : v);
+
+  const scores = recentScores(progress);
+  let tempo = level.tempo;
+  let bars = level.bars;
+  if (scores.length) {
+    const avg = average(scores);
+    if (avg >= 0.85) tempo += TEMPO_STEP;
+    if (avg < 0.65) {
+      tempo = Math.max(MIN_TEMPO, tempo - TEMPO_STEP);
+      bars = Math.max(4, bars - 4);
+    }
+  }
+
+  return {
+    seed,
+    spec: {
+      levelId: level.id,
+      key: pick(level.keys),
+      scale: pick(level.scale),
+      meter: pick(level.meters),
+      tempo,
+      bars,
+      hand: level.hand,
+      position: level.position,
+      maxStep: level.maxStep,
+      rhythms: level.rhythms,
+      accidentals: level.accidentals,
+      templates: level.templates,
+      leftHand: pick(level.leftHand ?? "roots"),
+    },
+  };
+}
+
+/**
+ * 課題の結果を記録し、必要ならレベルを上げ下げする。
+ * 今のレベルの課題でなければ記録だけする（前のレベルを弾き直したときなど）
+ * @returns {{ progress:object, change:"up"|"down"|null }}
+ */
+export function recordExercise(progress, { levelId, seed, accuracy, at = Date.now() }) {
+  const history = [...progress.history, { levelId, seed, accuracy, at }].slice(-MAX_HISTORY);
+  let next = { ...progress, history };
+  if (levelId !== progress.levelId) return { progress: next, change: null };
+
+  const scores = recentScores(next);
+  if (scores.length < RECENT_COUNT) return { progress: next, change: null };
+  const avg = average(scores);
+  const index = levelIndex(progress.levelId);
+  let change = null;
+  if (avg >= ADVANCE_ACCURACY && index + 1 < LEVELS.length) change = "up";
+  else if (avg < RETREAT_ACCURACY && index > 0) change = "down";
+  if (change) {
+    next = { ...next, levelId: LEVELS[index + (change === "up" ? 1 : -1)].id, levelSince: at + 1 };
+  }
+  return { progress: next, change };
+}
@@ -1,29 +1,50 @@
-import { get, set, del } from "idb-keyval";
+import { get, set, del, update } from "idb-keyval";
+import { mergeTakes } from "./takes";
 
 /**
- * IndexedDB 構成（v2）
- * - メタ配列:   META_KEY = 'fnp.meta.v2'  … [{id,name,createdAt,size,settings|null}, ...]
- * - 楽曲本体:  'fnp.blob.<id>'            … Uint8Array (MIDIバイト列)
- * 旧データ（配列に blob を内包）からは起動時に移行します。
+ * IndexedDB 構成（v3）
+ * - メタ配列:   META_KEY = 'fnp.meta.v3'  … [{id,name,createdAt,size,settings|null,folder,tags,favorite,
+ *                                            lastPlayedAt|null,difficulty|null,source?,duration?,noteCount?,trackCount?,
+ *                                            lowNote?,highNote?,format?,best?,practice?}, ...]
+ *   source は 'original'（読み込んだファイルそのまま）| 'edited'（画面上のノートから作り直したもの）
+ *   format は本体の形式 'midi' | 'musicxml' | 'songdata'（無ければ midi。songFile.js）
+ *   practice は区間ごとの段階練習 { [sectionKey]: {key,a,b,plan,log,updatedAt} }
+ * - 楽曲本体:  'fnp.blob.<id>'            … Uint8Array (MIDI / MusicXML のバイト列)
+ * - テイク:    'fnp.takes.<id>'           … 学習者の演奏の録音 [{id,createdAt,rate,notes}]（形式は takes.js）
+ * - 全体設定:  SETTINGS_KEY = 'fnp.settings' … { version, values }（形式と移行は settings.js）
+ * - 学習者:    LEARNERS_KEY = 'fnp.learners' … [{id,name,createdAt}]（最初の 1 人は id が DEFAULT_LEARNER_ID）
+ * - 初見練習:  'fnp.curriculum.<学習者 id>' … { levelId, levelSince, history }（形式は curriculum.js）
+ *   曲ごとの設定はメタの settings に同じ形式で持つ
+ * メタ配列の読み書き（読んで変えて書き戻す）は updateMeta の 1 本の列で順に行う。
+ * 待たずに続けて呼ばれても（自己ベスト・設定の自動保存・練習記録など）互いの変更を上書きしない。
+ * 旧データは起動時に順に移行します（v1：配列に blob を内包 → v2：blob を別キー → v3：フォルダ・タグ等を追加）。
+ * 曲数の上限はありません（v2 までは 50 件）。
  */
 
-const META_KEY = "fnp.meta.v2";
-const MAX_ITEMS = 50;
+const META_KEY = "fnp.meta.v3";
+const META_KEY_V2 = "fnp.meta.v2";
+const SETTINGS_KEY = "fnp.settings";
 const blobKey = (id) => `fnp.blob.${id}`;
+const takesKey = (id) => `fnp.takes.${id}`;
+const LEARNERS_KEY = "fnp.learners";
+const curriculumKey = (learnerId) => `fnp.curriculum.${learnerId}`;
+export const DEFAULT_LEARNER_ID = "default";
 const uuid = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
 
-/** 旧フォーマットからの移行（必要な場合のみ実行） */
-async function migrateIfNeeded() {
-  const items = (await get(META_KEY)) ?? [];
-  if (Array.isArray(items) && items.length > 0 && !("blob" in (items[0] || {}))) {
-    // すでに v2 形式
-    return items;
-  }
-
-  // v1 形式（配列要素に blob を内包）の推定
-  const legacy = Array.isArray(items) ? items : (await get("fnp.library")) ?? [];
-  if (!Array.isArray(legacy) || legacy.length === 0) return [];
+/** v3 で増えた項目を既定値で補う */
+function withLibraryFields(item) {
+  return {
+    folder: "",
+    tags: [],
+    favorite: false,
+    lastPlayedAt: null,
+    difficulty: null,
+    ...item,
+  };
+}
 
+/** v1 形式（配列要素に blob を内包）→ v2 形式のメタ配列。blob は別キーへ移す */
+async function migrateV1(legacy) {
   const migrated = [];
   for (const it of legacy) {
     const id = it.id || uuid();
@@ -42,44 +63,261 @@ async function migrateIfNeeded() {
       settings: it.settings ?? null,
     });
   }
+  return migrated;
+}
+
+/** 旧フォーマットからの移行（必要な場合のみ実行） */
+async function migrateIfNeeded() {
+  const current = await get(META_KEY);
+  if (Array.isArray(current)) return current;
+
+  let items = (await get(META_KEY_V2)) ?? [];
+  if (!Array.isArray(items) || !items.length) items = (await get("fnp.library")) ?? [];
+  if (!Array.isArray(items) || items.length === 0) return [];
+  // v1 形式の推定
+  if ("blob" in (items[0] || {})) items = await migrateV1(items);
 
-  await set(META_KEY, migrated.slice(0, MAX_ITEMS));
+  const migrated = items.map(withLibraryFields);
+  await set(META_KEY, migrated);
   return migrated;
 }
 
+let metaQueue = Promise.resolve();
+
+/**
+ * メタ配列を読んで書き換える処理を、前の処理が終わってから行う。
+ * fn(items) は { items?, result } を返す（items を返したときだけ書き込む）
+ */
+function updateMeta(fn) {
+  const run = metaQueue.then(async () => {
+    const { items, result } = await fn(await migrateIfNeeded());
+    if (items) await set(META_KEY, items);
+    return result;
+  });
+  metaQueue = run.catch(() => {});
+  return run;
+}
+
 /** 一覧取得（作成日時降順） */
 export async function listSongs() {
-  const meta = (await get(META_KEY)) ?? [];
-  const fixed = Array.isArray(meta) ? meta : [];
-  const maybeMigrated = await migrateIfNeeded();
-  const items = maybeMigrated.length ? maybeMigrated : fixed;
+  await metaQueue; // 書きかけの変更を待ってから読む
+  const items = await migrateIfNeeded();
   return items.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
 }
 
-/** 保存：MIDIバイト列と現在の設定をセットで保存 */
-export async function saveSong(name, bytesU8, settings) {
-  const id = uuid();
-  const meta = {
-    id,
-    name: name || "(無題)",
-    createdAt: Date.now(),
-    size: bytesU8?.length ?? 0,
-    settings: settings ?? null,
-  };
-  if (bytesU8) await set(blobKey(id), bytesU8);
-  const items = await listSongs();
-  await set(META_KEY, [meta, ...items].slice(0, MAX_ITEMS));
+/**
+ * 保存：MIDIバイト列と現在の設定をセットで保存
+ * @param {{source?:string, format?:string, duration?:number, noteCount?:number, trackCount?:number, lowNote?:number, highNote?:number, difficulty?:number}} [info]
+ *   一覧表示用の派生情報（library.js の songInfoFromNotes）
+ */
+export async function saveSong(name, bytesU8, settings, info = {}) {
+  const [meta] = await saveSongs([{ name, bytes: bytesU8, settings, info }]);
   return meta;
 }
 
+/**
+ * 複数の曲をまとめて保存（一括取り込み）。本体は 1 曲ずつ、メタ配列の書き込みは 1 回
+ * @param {{ name:string, bytes:Uint8Array, settings?:object|null, info?:object }[]} entries
+ * @returns {Promise<object[]>} entries と同じ順のメタ
+ */
+export async function saveSongs(entries) {
+  const metas = [];
+  for (const { name, bytes, settings, info = {} } of entries) {
+    const id = uuid();
+    if (bytes) await set(blobKey(id), bytes);
+    metas.push(
+      withLibraryFields({
+        ...info,
+        id,
+        name: name || "(無題)",
+        createdAt: Date.now(),
+        size: bytes?.length ?? 0,
+        settings: settings ?? null,
+      })
+    );
+  }
+  if (!metas.length) return metas;
+  return updateMeta((items) => ({ items: [...metas.slice().reverse(), ...items], result: metas }));
+}
+
+/**
+ * バックアップからの復元（backup.js）。replaceId があればその曲のメタを置き換え（本体は同じ内容なのでそのまま）、
+ * 無ければ新しい id で追加する。書き込みはまとめて 1 回。
+ * 置き換えでもテイクは手元のものと id でまとめる（バックアップの後に録ったテイクを消さない）
+ * @param {{ meta:object, bytes:Uint8Array, takes?:object[], replaceId?:string }[]} entries
+ */
+export async function restoreSongs(entries) {
+  return updateMeta(async (current) => {
+    const items = [...current];
+    const added = [];
+    for (const { meta, bytes, takes, replaceId } of entries) {
+      const index = replaceId ? items.findIndex((x) => x.id === replaceId) : -1;
+      const id = index >= 0 ? replaceId : uuid();
+      if (index < 0) await set(blobKey(id), bytes);
+      if (takes?.length) await set(takesKey(id), index >= 0 ? mergeTakes(await loadTakes(id), takes) : takes);
+      const restored = withLibraryFields({
+        ...meta,
+        id,
+        name: meta.name || "(無題)",
+        createdAt: meta.createdAt || Date.now(),
+        size: bytes.length,
+        settings: meta.settings ?? null,
+      });
+      if (index >= 0) items[index] = restored;
+      else added.push(restored);
+    }
+    return { items: [...added, ...items], result: added.length };
+  });
+}
+
+/** メタ情報を 1 件取得（無ければ null） */
+export async function getSongMeta(id) {
+  const items = await listSongs();
+  return items.find((x) => x.id === id) ?? null;
+}
+
+/**
+ * メタ情報の一部を更新（存在しない id は無視）
+ * @param {object|((meta:object)=>object|null)} patch 今のメタから作る場合は関数（null なら変えない）
+ */
+function patchSongMeta(id, patch) {
+  return updateMeta((items) => {
+    const meta = items.find((x) => x.id === id);
+    const changes = meta && (typeof patch === "function" ? patch(meta) : patch);
+    if (!changes) return { result: meta ?? null };
+    const updated = { ...meta, ...changes };
+    return { items: items.map((x) => (x.id === id ? updated : x)), result: updated };
+  });
+}
+
+/** 一覧で編集できる項目（名前・フォルダ・タグ・お気に入り）だけを更新 */
+export async function updateSongInfo(id, { name, folder, tags, favorite }) {
+  const patch = {};
+  if (typeof name === "string" && name.trim()) patch.name = name.trim();
+  if (typeof folder === "string") patch.folder = folder.trim();
+  if (Array.isArray(tags)) patch.tags = tags.filter((t) => typeof t === "string" && t);
+  if (typeof favorite === "boolean") patch.favorite = favorite;
+  return patchSongMeta(id, patch);
+}
+
+/** 開いた曲の最終練習日時と、未計算なら派生情報（難易度・長さ）を記録 */
+export async function markSongPlayed(id, derived = {}) {
+  return patchSongMeta(id, (meta) => {
+    const patch = { lastPlayedAt: Date.now() };
+    for (const [key, value] of Object.entries(derived)) if (meta[key] == null) patch[key] = value;
+    return patch;
+  });
+}
+
+/** 採点の自己ベストを楽曲メタに保存（比較は呼び出し側で行う） */
+export async function saveBestScore(id, score) {
+  return patchSongMeta(id, { best: { ...score, at: Date.now() } });
+}
+
+/** 曲ごとの設定を楽曲メタに保存（ライブラリから開いた曲の設定を変えたとき） */
+export async function saveSongSettings(id, settings) {
+  return patchSongMeta(id, { settings });
+}
+
+/** 区間ごとの段階練習（設定と周回ログ）を楽曲メタに保存 */
+export async function savePracticeSection(id, section) {
+  return patchSongMeta(id, (meta) => ({
+    practice: { ...(meta.practice ?? {}), [section.key]: { ...section, updatedAt: Date.now() } },
+  }));
+}
+
 /** 読込：本体（Uint8Array）だけ取得 */
 export async function loadSongBytes(id) {
   return (await get(blobKey(id))) || null;
 }
 
-/** 削除：メタ＋本体 */
+/** 削除：メタ＋本体＋テイク */
 export async function removeSong(id) {
-  const items = await listSongs();
-  await set(META_KEY, items.filter((x) => x.id !== id));
+  await updateMeta((items) => ({ items: items.filter((x) => x.id !== id) }));
   await del(blobKey(id));
+  await del(takesKey(id));
+}
+
+/** 楽曲のテイク一覧（新しい順。無ければ空配列） */
+export async function loadTakes(id) {
+  return (await get(takesKey(id))) ?? [];
+}
+
+export async function saveTakes(id, takes) {
+  await set(takesKey(id), takes);
+}
+
+/** 全体設定（未保存なら null。読み取り側で settings.js の readSettings を通す） */
+export async function loadGlobalSettings() {
+  return (await get(SETTINGS_KEY)) ?? null;
+}
+
+export async function saveGlobalSettings(packed) {
+  await set(SETTINGS_KEY, packed);
+}
+
+/** 学習者の一覧（初見練習のカリキュラム用）[{ id, name, createdAt }] */
+export async function loadLearners() {
+  return (await get(LEARNERS_KEY)) ?? [];
+}
+
+/**
+ * 学習者の一覧。まだ誰もいなければ既定の学習者（id は DEFAULT_LEARNER_ID）を作る。
+ * 読んで作るまでを 1 つのトランザクションで行い、id も固定なので、同時に呼ばれても（StrictMode・複数タブ）1 人だけになる
+ */
+export async function ensureLearners(defaultName) {
+  await update(LEARNERS_KEY, (list) =>
+    Array.isArray(list) && list.length ? list : [{ id: DEFAULT_LEARNER_ID, name: defaultName, createdAt: Date.now() }]
+  );
+  return loadLearners();
+}
+
+/** 学習者を足す。@returns {Promise<{ learner:object, learners:object[] }>} */
+export async function addLearner(name) {
+  const learner = { id: uuid(), name, createdAt: Date.now() };
+  await update(LEARNERS_KEY, (list) => [...(Array.isArray(list) ? list : []), learner]);
+  return { learner, learners: await loadLearners() };
+}
+
+/** 学習者ごとのカリキュラムの進み具合（未保存なら null。読み取り側で curriculum.js の normalizeProgress を通す） */
+export async function loadCurriculumProgress(learnerId) {
+  return (await get(curriculumKey(learnerId))) ?? null;
+}
+
+export async function saveCurriculumProgress(learnerId, progress) {
+  await set(curriculumKey(learnerId), progress);
+}
+
+const lastPracticedAt = (progress) => progress?.history?.at(-1)?.at ?? 0;
+
+/** バックアップ用：学習者と、それぞれの進み具合 { learners, progress: { [学習者 id]: 進み具合 } } */
+export async function loadCurriculumData() {
+  const learners = await loadLearners();
+  const progress = {};
+  for (const { id } of learners) {
+    const saved = await loadCurriculumProgress(id);
+    if (saved) progress[id] = saved;
+  }
+  return { learners, progress };
+}
+
+/**
+ * バックアップからの復元（マージ）。手元に無い学習者は足し、進み具合は最後に練習した方を残す
+ * @returns {Promise<number>} 足した学習者の数
+ */
+export async function restoreCurriculumData({ learners = [], progress = {} }) {
+  const valid = learners.filter((l) => typeof l?.id === "string" && typeof l.name === "string");
+  let added = 0;
+  await update(LEARNERS_KEY, (list) => {
+    const current = Array.isArray(list) ? list : [];
+    const missing = valid.filter((l) => !current.some((x) => x.id === l.id));
+    added = missing.length;
+    return [...current, ...missing];
+  });
+  for (const { id } of valid) {
+    const restored = progress[id];
+    if (!restored || typeof restored !== "object") continue;
+    await update(curriculumKey(id), (local) => (local && lastPracticedAt(local) >= lastPracticedAt(restored) ? local : restored));
+  }
+  return added;
 }
@@ -0,0 +1,84 @@
+import * as Tone from "tone";
+
+/**
+ * 書き出し（ダウンロード）
+ * - MIDI：バイト列をそのまま .mid に
+ * - WAV：曲全体をオフライン（Tone.Offline）で今の音色チェーンに通して録音し、16bit PCM の .wav に
+ *
+ * オフライン描画の間は Tone のグローバル context がオフライン用に切り替わるので、
+ * 呼び出し側は再生を止めてから呼ぶ。
+ */
+
+export const WAV_SAMPLE_RATE = 44100;
+export const RELEASE_TAIL_SEC = 2; // 最後の音の余韻
+
+/** Blob をファイルとして保存させる */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** 拡張子を付け替えたファイル名 */
+export function exportFileName(name, ext) {
+  const base = String(name || "Untitled").replace(/\.(midi?|musicxml|mxl|xml|wav)$/i, "");
+  return `${base}${ext}`;
+}
+
+/** AudioBuffer → WAV（16bit PCM・インターリーブ） */
+export function audioBufferToWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytesPerFrame = channels * 2;
+  const out = new DataView(new ArrayBuffer(44 + frames * bytesPerFrame));
+  const writeText = (offset, text) => [...text].forEach((c, k) => out.setUint8(offset + k, c.charCodeAt(0)));
+
+  writeText(0, "RIFF");
+  out.setUint32(4, 36 + frames * bytesPerFrame, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  out.setUint32(16, 16, true);
+  out.setUint16(20, 1, true); // PCM
+  out.setUint16(22, channels, true);
+  out.setUint32(24, buffer.sampleRate, true);
+  out.setUint32(28, buffer.sampleRate * bytesPerFrame, true);
+  out.setUint16(32, bytesPerFrame, true);
+  out.setUint16(34, 16, true);
+  writeText(36, "data");
+  out.setUint32(40, frames * bytesPerFrame, true);
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let p = 44;
+  for (let k = 0; k < frames; k++) {
+    for (let c = 0; c < channels; c++) {
+      const s = Math.max(-1, Math.min(1, data[c][k]));
+      out.setInt16(p, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      p += 2;
+    }
+  }
+  return new Blob([out.buffer], { type: "audio/wav" });
+}
+
+/**
+ * 曲をオフラインで描画して WAV にする
+ * @param {{ midi:number, start:number, length:number, velocity:number }[]} events 曲の秒。length・velocity は呼び出し側で決めた発音（ペダル・ミュート反映後）
+ * @param {number} duration 曲の長さ（秒）。余韻 RELEASE_TAIL_SEC を足して描画する
+ * @param {() => Promise<{ inst:object, chain:object[] }>} createChain 今の音色チェーンを作る関数（createPianoChain 等）
+ * @returns {Promise<Blob>}
+ */
+export async function renderWav(events, duration, createChain) {
+  const buffer = await Tone.Offline(async () => {
+    const { inst, chain } = await createChain();
+    await Tone.loaded(); // サンプラーの音源を読み終えてから描画する
+    const master = new Tone.Gain(0.9).toDestination();
+    chain[chain.length - 1].connect(master);
+    for (const e of events) {
+      const note = Tone.Frequency(e.midi, "midi").toNote();
+      inst.triggerAttackRelease(note, Math.max(0.05, e.length), e.start, Math.max(0.1, Math.min(1, e.velocity)));
+    }
+  }, duration + RELEASE_TAIL_SEC, 2, WAV_SAMPLE_RATE);
+  return audioBufferToWav(buffer.get());
+}
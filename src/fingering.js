@@ -0,0 +1,160 @@
+/**
+ * 運指（指番号 1〜5）の推定
+ * - 楽譜（MusicXML・曲データ）に指番号があればそのまま使い、無い音だけを推定で埋める（fingerEstimated: true）
+ * - 手（hands.js の hand）ごとに、同時に鳴り始める音を和音としてまとめ、指の並びを動的計画法（Viterbi）で選ぶ
+ * - 左手は音高を反転して右手と同じ規則で扱う（左手の 1 の指は上側にあるため）
+ * - 単音の旋律と、5 音までの簡単な和音が対象。それより多い和音は付けない
+ *
+ * コストの考え方：隣り合う指の間はおよそ白鍵 1 つ（2 半音）。同じ指で別の鍵、無理な広がり、
+ * 黒鍵の親指を避ける。くぐり（親指を下へ）・越え（2・3 の指を親指の上へ）は少しのコストで許す。
+ */
+
+const CHORD_WINDOW_SEC = 0.03; // これより近く鳴り始める音は和音
+const MAX_CHORD = 5;
+const FINGERS = [1, 2, 3, 4, 5];
+const BLACK = new Set([1, 3, 6, 8, 10]);
+const isBlack = (midi) => BLACK.has(((midi % 12) + 12) % 12);
+
+// 指の組（小さい方-大きい方）ごとの、無理なく届く半音数
+const MAX_SPAN = { "1-2": 5, "1-3": 7, "1-4": 9, "1-5": 12, "2-3": 4, "2-4": 5, "2-5": 7, "3-4": 3, "3-5": 5, "4-5": 3 };
+const spanLimit = (a, b) => MAX_SPAN[`${Math.min(a, b)}-${Math.max(a, b)}`] ?? 0;
+
+/** 和音の中の指：反転後の音高の低い順に、間の広さに応じて指を進める。届かなければ null */
+function chordFingers(pitches, first) {
+  const out = [first];
+  for (let k = 1; k < pitches.length; k++) {
+    const gap = pitches[k] - pitches[k - 1];
+    const prev = out[k - 1];
+    const next = prev + Math.max(1, Math.min(5 - prev, Math.round(gap / 2)));
+    if (next > 5 || next <= prev || gap > spanLimit(prev, next)) return null;
+    out.push(next);
+  }
+  return pitches[pitches.length - 1] - pitches[0] > spanLimit(out[0], out[out.length - 1]) && out.length > 1 ? null : out;
+}
+
+/** 代表音（反転後の一番低い音）どうしの移りのコスト */
+function moveCost(fromPitch, fromFinger, toPitch, toFinger) {
+  const d = toPitch - fromPitch;
+  const fd = toFinger - fromFinger;
+  if (d === 0) return fd === 0 ? 0 : 1;
+  if (fd === 0) return 10; // 同じ指で別の鍵
+  if (Math.sign(d) === Math.sign(fd)) {
+    const natural = Math.abs(Math.abs(d) - 2 * Math.abs(fd));
+    const over = Math.max(0, Math.abs(d) - spanLimit(fromFinger, toFinger));
+    return natural * 0.5 + over * 3;
+  }
+  // くぐり：上がりながら親指へ / 越え：下がりながら親指から 2・3 の指へ
+  if (d > 0 && toFinger === 1 && fromFinger <= 4 && d <= 5) return 3 + (fromFinger === 4 ? 2 : 0);
+  if (d < 0 && fromFinger === 1 && toFinger <= 3 && -d <= 5) return 3 + (toFinger === 3 ? 1 : 0);
+  return 20 + Math.abs(d);
+}
+
+function keyCost(realPitches, fingers) {
+  let cost = 0;
+  realPitches.forEach((p, k) => {
+    if (!isBlack(p)) return;
+    if (fingers[k] === 1) cost += 2; // 黒鍵の親指
+    if (fingers[k] === 5) cost += 1;
+  });
+  return cost;
+}
+
+/** 1 つの手の音（開始順）を和音ごとにまとめる */
+function groupChords(notes) {
+  const groups = [];
+  for (const n of notes) {
+    const last = groups[groups.length - 1];
+    if (last && n.start - last[0].start <= CHORD_WINDOW_SEC) last.push(n);
+    else groups.push([n]);
+  }
+  return groups;
+}
+
+/** 1 つの手の並びに指を付ける（notes は開始順、同じ配列の要素に finger を書く） */
+function fingerLine(notes, mirror) {
+  const groups = groupChords(notes)
+    .map((g) => g.slice().sort((a, b) => (a.midi - b.midi) * mirror))
+    .filter((g) => g.length <= MAX_CHORD);
+  if (!groups.length) return;
+
+  // 状態：代表音の指（1〜5）。楽譜の指番号がある音は、その指に合う状態だけを残す
+  const options = groups.map((g) => {
+    const pitches = g.map((n) => n.midi * mirror);
+    const out = new Map();
+    for (const f of FINGERS) {
+      const fingers = g.length === 1 ? [f] : chordFingers(pitches, f);
+      if (!fingers) continue;
+      if (g.some((n, k) => n.finger && !n.fingerEstimated && n.finger !== fingers[k])) continue;
+      out.set(f, { fingers, cost: keyCost(g.map((n) => n.midi), fingers) });
+    }
+    return out;
+  });
+
+  const best = [];
+  const back = [];
+  groups.forEach((g, k) => {
+    const here = new Map();
+    const from = new Map();
+    const pitch = g[0].midi * mirror;
+    for (const [f, option] of options[k]) {
+      if (k === 0 || !best[k - 1].size) {
+        here.set(f, option.cost);
+        continue;
+      }
+      const prevPitch = groups[k - 1][0].midi * mirror;
+      let min = Infinity;
+      let arg = null;
+      for (const [pf, cost] of best[k - 1]) {
+        const c = cost + moveCost(prevPitch, pf, pitch, f);
+        if (c < min) {
+          min = c;
+          arg = pf;
+        }
+      }
+      here.set(f, min + option.cost);
+      from.set(f, arg);
+    }
+    best.push(here);
+    back.push(from);
+  });
+
+  // 後ろからたどる（候補の無い和音があればそこで区切って、前の区間を先に決める）
+  let state = null;
+  for (let k = groups.length - 1; k >= 0; k--) {
+    if (state == null || !options[k].has(state)) {
+      state = null;
+      let min = Infinity;
+      for (const [f, cost] of best[k]) {
+        if (cost < min) {
+          min = cost;
+          state = f;
+        }
+      }
+    }
+    if (state == null) continue;
+    const { fingers } = options[k].get(state);
+    groups[k].forEach((n, i) => {
+      if (n.finger && !n.fingerEstimated) return;
+      n.finger = fingers[i];
+      n.fingerEstimated = true;
+    });
+    state = back[k].get(state) ?? null;
+  }
+}
+
+/**
+ * 指番号の無い音に推定した指番号を付けた新しい配列を返す（前回の推定は付け直す）
+ * @param {{ midi:number, start:number, hand?:"L"|"R", finger?:number, fingerEstimated?:boolean }[]} notes
+ */
+export function estimateFingering(notes) {
+  const out = notes.map((n) => {
+    if (!n.fingerEstimated) return { ...n };
+    const { finger, fingerEstimated, ...rest } = n;
+    return rest;
+  });
+  for (const hand of ["R", "L"]) {
+    const line = out.filter((n) => (n.hand ?? "R") === hand).sort((a, b) => a.start - b.start || a.midi - b.midi);
+    fingerLine(line, hand === "L" ? -1 : 1);
+  }
+  return out;
+}
@@ -0,0 +1,589 @@
+import { Midi } from "@tonejs/midi";
+import { parsePart } from "./songData";
+
+/**
+ * 練習曲の自動生成（ルールベース）
+ * - 乱数はシード付き（createRandom）。同じ設定とシードからは、いつでも同じ曲ができる
+ * - 設定とシードは生成した MIDI のテキストメタ（GENERATOR_META_PREFIX + JSON）に書き、ファイル名にもシードを入れる。
+ *   そのファイルを開けば readGeneratorMeta で設定を取り戻せる
+ * - メタには生成器の版（GENERATOR_VERSION）も書く。同じシードから同じ曲ができるのは同じ版どうし
+ *
+ * - 難易度 1〜3 は和音進行（PROGRESSIONS）を 1 小節 1 和音で進め、右手は和音に沿うメロディ、左手は伴奏型（ACCOMPANIMENTS）
+ *
+ * params: { key: "C".."B", scale: "major"|"minor", tempo, bars, difficulty: 0..3, type: "random"|"twinkle"|"butterfly",
+ *           meter: "4/4"|"3/4"|"6/8", progression: "auto"|PROGRESSIONS の id, accompaniment: ACCOMPANIMENTS の id }
+ */
+
+export const GENERATOR_META_PREFIX = "fnp-generator:";
+export const GENERATOR_VERSION = 1;
+const MAX_SEED_LENGTH = 32;
+const A0_MIDI = 21;
+const C8_MIDI = 108;
+// トラック名。@tonejs/midi は名前を 1 文字 1 バイトで書くので英字にする
+// （日本語は読み直すと化け、hands.js が名前から左右の手を決められない）
+const TRACK_NAMES = {
+  melody: "Right Hand (Melody)",
+  accompaniment: "Left Hand (Accompaniment)",
+  right: "Right Hand",
+  left: "Left Hand",
+};
+// 音の後ろに空ける間（App は 60ms 以内に続く同じ音を 1 本につなげて描くので、連打が分かれるように）
+const NOTE_GAP_SEC = 0.08;
+
+export const KEY_TO_SEMITONE = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/** 初心者モードの童謡（ハ長調 4/4 の 4 小節。書き方は曲データ形式 songData.js の手のパートと同じ） */
+export const PD_PATTERNS = [
+  {
+    id: "twinkle",
+    name: "きらきら星",
+    melody: "C4:q C4:q G4:q G4:q | A4:q A4:q G4:h | F4:q F4:q E4:q E4:q | D4:q D4:q C4:h",
+  },
+  {
+    id: "butterfly",
+    name: "ちょうちょう",
+    melody: "G4:q E4:q E4:h | F4:q D4:q D4:h | C4:q D4:q E4:q F4:q | G4:q G4:q G4:h",
+  },
+];
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const clampMidi = (m) => clamp(m, A0_MIDI, C8_MIDI);
+const sounding = (sec) => Math.max(0.12, sec - NOTE_GAP_SEC);
+
+/** 自然的短音階 / 長音階（主音からの半音数。上の主音まで） */
+export function buildScaleIntervals(scale) {
+  return scale === "minor" ? [0, 2, 3, 5, 7, 8, 10, 12] : [0, 2, 4, 5, 7, 9, 11, 12];
+}
+
+/** 新しいシード（8 桁の英数字） */
+export function newSeed() {
+  const u32 = new Uint32Array(2);
+  crypto.getRandomValues(u32);
+  return (u32[0].toString(36) + u32[1].toString(36)).slice(0, 8).padStart(8, "0");
+}
+
+/** 入力されたシード（英数字・_・- だけを残す。MIDI のメタとファイル名にそのまま書けるように）。空なら null */
+export function normalizeSeed(text) {
+  const seed = String(text ?? "").replace(/[^\w-]/g, "").slice(0, MAX_SEED_LENGTH);
+  return seed || null;
+}
+
+/** 文字列 → 32bit（cyrb 系のハッシュ） */
+function hashSeed(seed) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let k = 0; k < seed.length; k++) {
+    const ch = seed.charCodeAt(k);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+}
+
+/** シード付きの乱数（mulberry32） */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    choice: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+  };
+}
+
+/**
+ * 初心者モード：童謡のパターン 4 小節と、I–IV–V–I の根音を 1 小節 1 音で弾くベース。
+ * どちらも選んだキーへ移調する（C なら白鍵のみ）
+ */
+function addBeginnerTracks(midi, { key, tempo, type }, rng) {
+  const pattern = PD_PATTERNS.find((p) => p.id === type) ?? rng.choice(PD_PATTERNS);
+  const semitone = KEY_TO_SEMITONE[key] ?? 0;
+  const shift = semitone > 5 ? semitone - 12 : semitone; // 上下どちらか近い方へ
+  const secondsPerBeat = 60 / tempo;
+  const beatsPerBar = 4;
+
+  const rightTrack = midi.addTrack();
+  rightTrack.name = `Melody (${pattern.id})`;
+  for (const bar of parsePart(pattern.melody, pattern.name).bars) {
+    for (const { pitches, start, beats } of bar.notes) {
+      rightTrack.addNote({
+        midi: pitches[0] + shift,
+        time: start * secondsPerBeat,
+        duration: sounding(beats * secondsPerBeat),
+        velocity: 0.8,
+      });
+    }
+  }
+
+  const leftTrack = midi.addTrack();
+  leftTrack.name = `Bass (${pattern.id})`;
+  [0, 5, 7, 0].forEach((degree, bar) => { // I - IV - V - I（C なら C3 - F3 - G3 - C3）
+    leftTrack.addNote({
+      midi: 48 + shift + degree,
+      time: bar * beatsPerBar * secondsPerBeat,
+      duration: beatsPerBar * secondsPerBeat,
+      velocity: 0.7,
+    });
+  });
+  return pattern;
+}
+
+/** 長調・短調の和音（主音からの半音数と三和音の種類）。短調の V は和声的短音階（導音を上げる） */
+const TRIADS = { maj: [0, 4, 7], min: [0, 3, 7], dim: [0, 3, 6] };
+const CHORDS = {
+  major: {
+    I: { root: 0, quality: "maj" }, ii: { root: 2, quality: "min" }, iii: { root: 4, quality: "min" },
+    IV: { root: 5, quality: "maj" }, V: { root: 7, quality: "maj" }, vi: { root: 9, quality: "min" },
+  },
+  minor: {
+    i: { root: 0, quality: "min" }, III: { root: 3, quality: "maj" }, iv: { root: 5, quality: "min" },
+    V: { root: 7, quality: "maj" }, VI: { root: 8, quality: "maj" }, VII: { root: 10, quality: "maj" },
+  },
+};
+const TONIC = { major: "I", minor: "i" };
+
+/** 和音進行（1 小節 1 和音で繰り返す）。id は表示にも使う */
+export const PROGRESSIONS = {
+  major: [
+    { id: "I-IV-V-I", chords: ["I", "IV", "V", "I"] },
+    { id: "I-V-vi-IV", chords: ["I", "V", "vi", "IV"] },
+    { id: "I-vi-IV-V", chords: ["I", "vi", "IV", "V"] },
+    { id: "I-ii-V-I", chords: ["I", "ii", "V", "I"] },
+  ],
+  minor: [
+    { id: "i-iv-V-i", chords: ["i", "iv", "V", "i"] },
+    { id: "i-VI-III-VII", chords: ["i", "VI", "III", "VII"] },
+    { id: "i-iv-VII-III", chords: ["i", "iv", "VII", "III"] },
+  ],
+};
+
+/**
+ * 拍子。barBeats は 1 小節の 4 分音符数、strong は強拍の位置（4 分音符単位）、
+ * groups は伴奏の和音を置く単位（4 分音符単位の長さ）
+ */
+export const METERS = {
+  "4/4": { numerator: 4, denominator: 4, barBeats: 4, strong: [0, 2], groups: [2, 2] },
+  "3/4": { numerator: 3, denominator: 4, barBeats: 3, strong: [0], groups: [3] },
+  "6/8": { numerator: 6, denominator: 8, barBeats: 3, strong: [0, 1.5], groups: [1.5, 1.5] },
+};
+
+export const ACCOMPANIMENTS = [
+  { id: "block", label: "和音（ブロック）" },
+  { id: "alberti", label: "アルベルティ・バス" },
+  { id: "octaves", label: "分散オクターブ" },
+  { id: "roots", label: "根音（1 小節 1 音）" },
+];
+
+/** 拍子と難易度ごとのリズム（4 分音符単位）。6/8 は 8 分音符 3 つのまとまりに合う長さ */
+const RHYTHM_POOLS = {
+  simple: {
+    1: [1.0, 0.5, 0.5, 1.0, 2.0],
+    2: [0.5, 0.5, 0.25, 0.25, 1.0],
+    3: [0.25, 0.25, 0.5, 0.25, 0.125, 0.375],
+  },
+  compound: {
+    1: [1.5, 1.0, 0.5],
+    2: [0.5, 0.5, 1.0, 1.5],
+    3: [0.5, 0.25, 0.25, 0.5, 1.0],
+  },
+};
+
+const nearly = (a, b) => Math.abs(a - b) < 1e-6;
+
+/** 小節 bar の和音。最後の小節は主和音、その前（4 小節以上）は V で終止する */
+function chordForBar(progression, scale, bar, bars) {
+  let name = progression.chords[bar % progression.chords.length];
+  if (bar === bars - 1) name = TONIC[scale];
+  else if (bar === bars - 2 && bars >= 4) name = "V";
+  return { name, ...CHORDS[scale][name] };
+}
+
+/** 短調の V の小節か（構成音に導音を含むので、旋律の 7 度もそろえて上げる） */
+const isMinorDominant = (scale, chord) => scale === "minor" && chord.name === "V";
+
+/** 自然的短音階の 7 度（主音の全音下）を半音上げた音の並び（和声的短音階） */
+const withLeadingTone = (tones, rootSemitone) =>
+  tones.map((m) => (((m - rootSemitone) % 12) + 12) % 12 === 10 ? m + 1 : m);
+
+/** 和音の構成音の音高クラス（0..11） */
+const chordPitchClasses = (chord, rootSemitone) =>
+  TRIADS[chord.quality].map((iv) => (rootSemitone + chord.root + iv) % 12);
+
+/**
+ * 和音に沿うメロディ（右手）：強拍は今の音に近い和音の構成音、弱拍はスケール内を小さな歩幅で歩く。
+ * 音は小節線をまたがない。最後の音は主音に着地する
+ */
+function addMelodyTrack(midi, params, chords, rng) {
+  const { key, scale, tempo, bars, difficulty } = params;
+  const meter = METERS[params.meter];
+  const tr = midi.addTrack();
+  tr.name = TRACK_NAMES.melody;
+  const effDifficulty = clamp(difficulty, 1, 3);
+  const rootSemitone = KEY_TO_SEMITONE[key] ?? 0;
+  const tonic = 60 + rootSemitone; // C4 を基準に、選んだキーへずらす
+
+  // 主音の 5 度下〜10 度上のスケール音
+  const intervals = buildScaleIntervals(scale);
+  const scaleClasses = new Set(intervals.map((iv) => (rootSemitone + iv) % 12));
+  const tones = [];
+  for (let m = tonic - 5; m <= tonic + 16; m++) if (scaleClasses.has(m % 12)) tones.push(clampMidi(m));
+  const nearestIndex = (target, candidates) => {
+    let best = 0;
+    for (let k = 1; k < candidates.length; k++) {
+      if (Math.abs(candidates[k] - target) < Math.abs(candidates[best] - target)) best = k;
+    }
+    return best;
+  };
+
+  const pool = RHYTHM_POOLS[meter.denominator === 8 ? "compound" : "simple"][effDifficulty];
+  const restProb = effDifficulty === 1 ? 0.05 : effDifficulty === 2 ? 0.1 : 0.15;
+  const secPerBeat = 60 / tempo;
+  let currentMidi = tonic;
+
+  for (let bar = 0; bar < bars; bar++) {
+    const chordClasses = chordPitchClasses(chords[bar], rootSemitone);
+    // 短調の V の小節は弱拍の歩みも導音を使う（強拍の構成音と 7 度がぶつからないように）
+    const barTones = isMinorDominant(scale, chords[bar]) ? withLeadingTone(tones, rootSemitone) : tones;
+    const chordTones = [];
+    for (let m = tonic - 5; m <= tonic + 16; m++) if (chordClasses.includes(m % 12)) chordTones.push(m);
+
+    let pos = 0;
+    while (pos < meter.barBeats - 1e-6) {
+      const dur = Math.min(rng.choice(pool), meter.barBeats - pos);
+      const lastNote = bar === bars - 1 && nearly(pos + dur, meter.barBeats);
+
+      if (lastNote) {
+        const tonics = tones.filter((m) => m % 12 === tonic % 12);
+        currentMidi = tonics[nearestIndex(currentMidi, tonics)] ?? tonic;
+      } else if (meter.strong.some((at) => nearly(at, pos))) {
+        // 強拍：近い構成音（同じくらい近ければ乱数で）
+        const sorted = [...chordTones].sort((a, b) => Math.abs(a - currentMidi) - Math.abs(b - currentMidi));
+        currentMidi = clampMidi(sorted[rng.chance(0.7) ? 0 : Math.min(1, sorted.length - 1)]);
+      } else {
+        const step = rng.choice([-2, -1, 0, 1, 1, 2]); // 上行を少し優先
+        currentMidi = barTones[clamp(nearestIndex(currentMidi, barTones) + step, 0, barTones.length - 1)];
+        if (effDifficulty === 3 && rng.chance(0.15)) { // たまにオクターブ跳躍（難易度 3 のみ）
+          currentMidi = clampMidi(currentMidi + (rng.chance(0.5) ? -12 : 12));
+        }
+      }
+
+      if (lastNote || !rng.chance(restProb)) {
+        tr.addNote({
+          midi: currentMidi,
+          time: (bar * meter.barBeats + pos) * secPerBeat,
+          duration: sounding(dur * secPerBeat),
+          velocity: 0.8 + rng.next() * 0.15,
+        });
+      }
+      pos += dur;
+    }
+  }
+}
+
+/** 伴奏（左手）：和音の根音を C3 付近に置き、型に沿って並べる */
+function addAccompanimentTrack(midi, params, chords) { // params: { key, tempo, bars, meter, accompaniment }
+  const { key, tempo, bars, accompaniment } = params;
+  const meter = METERS[params.meter];
+  const tr = midi.addTrack();
+  tr.name = TRACK_NAMES.accompaniment;
+  const rootSemitone = KEY_TO_SEMITONE[key] ?? 0;
+  const secPerBeat = 60 / tempo;
+  const add = (midiNote, beat, beats, velocity) =>
+    tr.addNote({ midi: clampMidi(midiNote), time: beat * secPerBeat, duration: sounding(beats * secPerBeat), velocity });
+
+  for (let bar = 0; bar < bars; bar++) {
+    const chord = chords[bar];
+    let root = 48 + ((rootSemitone + chord.root) % 12);
+    if (root > 54) root -= 12; // F#3 より上は 1 オクターブ下げる
+    const [, third, fifth] = TRIADS[chord.quality].map((iv) => root + iv);
+    const barStart = bar * meter.barBeats;
+
+    if (accompaniment === "roots") {
+      add(root, barStart, meter.barBeats, 0.6);
+    } else if (accompaniment === "block") {
+      let at = barStart;
+      meter.groups.forEach((len, k) => {
+        for (const m of [root, third, fifth]) add(m, at, len, k === 0 ? 0.65 : 0.55);
+        at += len;
+      });
+    } else {
+      // 8 分音符で刻む：アルベルティは 根・5・3・5、分散オクターブは 根音の上下
+      const pattern = accompaniment === "alberti" ? [root, fifth, third, fifth] : [root - 12, root];
+      const eighths = Math.round(meter.barBeats * 2);
+      for (let k = 0; k < eighths; k++) {
+        const strong = meter.strong.some((at) => nearly(at, k / 2));
+        add(pattern[k % pattern.length], barStart + k / 2, 0.5, strong ? 0.6 : 0.5);
+      }
+    }
+  }
+}
+
+/**
+ * 設定とシードから曲を作る
+ * @param {string} seed normalizeSeed 済みのシード
+ * @returns {{ midi:Midi, fileName:string, seed:string }}
+ */
+export function generateSong(rawParams, seed) {
+  const scale = rawParams.scale === "minor" ? "minor" : "major";
+  const params = {
+    key: rawParams.key in KEY_TO_SEMITONE ? rawParams.key : "C",
+    scale,
+    tempo: clamp(Math.round(rawParams.tempo) || 90, 50, 160),
+    bars: clamp(Math.round(rawParams.bars) || 4, 2, 32),
+    difficulty: clamp(Math.round(rawParams.difficulty) || 0, 0, 3),
+    type: rawParams.type ?? "random",
+    meter: rawParams.meter in METERS ? rawParams.meter : "4/4",
+    progression: PROGRESSIONS[scale].some((p) => p.id === rawParams.progression) ? rawParams.progression : "auto",
+    accompaniment: ACCOMPANIMENTS.some((a) => a.id === rawParams.accompaniment) ? rawParams.accompaniment : "block",
+  };
+  const rng = createRandom(seed);
+  const beginner = params.difficulty === 0;
+  const meter = METERS[beginner ? "4/4" : params.meter]; // 初心者モードの童謡は 4/4
+
+  const midi = new Midi();
+  midi.header.setTempo(params.tempo);
+  midi.header.timeSignatures.push({ ticks: 0, timeSignature: [meter.numerator, meter.denominator] });
+  midi.header.meta.push({ type: "text", ticks: 0, text: GENERATOR_META_PREFIX + JSON.stringify({ ...params, seed, version: GENERATOR_VERSION }) });
+  midi.header.update();
+
+  let baseName;
+  if (beginner) {
+    const pattern = addBeginnerTracks(midi, params, rng);
+    baseName = `${pattern.name}_${params.key}_beginner`;
+  } else {
+    const progression =
+      PROGRESSIONS[scale].find((p) => p.id === params.progression) ?? rng.choice(PROGRESSIONS[scale]);
+    const chords = Array.from({ length: params.bars }, (_, bar) => chordForBar(progression, scale, bar, params.bars));
+    addMelodyTrack(midi, params, chords, rng);
+    addAccompanimentTrack(midi, params, chords);
+    const meterName = params.meter.replace("/", "-");
+    baseName = `${params.key}${scale === "major" ? "" : "m"}_${meterName}_${params.tempo}bpm_${params.bars}bars`;
+  }
+  return { midi, fileName: `${baseName}_seed-${seed}.mid`, seed };
+}
+
+// ====== 初見練習の課題（curriculum.js のレベルから作る） ======
+
+export const EXERCISE_META_PREFIX = "fnp-exercise:";
+
+/**
+ * 1 小節分の型（童謡パターンと同じく音とリズムの組）。degrees はポジション内の音階度数（0 = 主音）、
+ * rhythm は 4 分音符単位。レベルの歩幅・リズムに合うものだけを使う
+ */
+const BAR_TEMPLATES = {
+  "4/4": [
+    { degrees: [0, 1, 2, 3], rhythm: [1, 1, 1, 1] },
+    { degrees: [4, 3, 2, 1], rhythm: [1, 1, 1, 1] },
+    { degrees: [0, 1, 2], rhythm: [1, 1, 2] },
+    { degrees: [2, 1, 0], rhythm: [1, 1, 2] },
+    { degrees: [2, 2, 1, 1], rhythm: [1, 1, 1, 1] },
+    { degrees: [0, 2, 4, 2], rhythm: [1, 1, 1, 1] },
+    { degrees: [4, 2, 0], rhythm: [1, 1, 2] },
+    { degrees: [0, 4], rhythm: [2, 2] },
+    { degrees: [0], rhythm: [4] },
+    { degrees: [0, 1, 2, 1, 0], rhythm: [0.5, 0.5, 1, 1, 1] },
+    { degrees: [2, 3, 4, 3, 2, 1], rhythm: [0.5, 0.5, 0.5, 0.5, 1, 1] },
+  ],
+  "3/4": [
+    { degrees: [0, 1, 2], rhythm: [1, 1, 1] },
+    { degrees: [2, 1, 0], rhythm: [1, 1, 1] },
+    { degrees: [2, 1], rhythm: [2, 1] },
+    { degrees: [0], rhythm: [3] },
+    { degrees: [4, 2, 0], rhythm: [1, 1, 1] },
+    { degrees: [0, 1, 2, 0], rhythm: [0.5, 0.5, 1, 1] },
+  ],
+  "6/8": [
+    { degrees: [0, 1, 2, 1], rhythm: [1, 0.5, 1, 0.5] },
+    { degrees: [0, 2], rhythm: [1.5, 1.5] },
+    { degrees: [0, 1, 2, 3, 2, 1], rhythm: [0.5, 0.5, 0.5, 0.5, 0.5, 0.5] },
+    { degrees: [2, 1, 0], rhythm: [1, 0.5, 1.5] },
+    { degrees: [0], rhythm: [3] },
+  ],
+};
+
+/** ランダムウォークの小節に使うリズム（その小節の長さになる組） */
+function barRhythm(meter, rhythms, rng) {
+  const fits = BAR_TEMPLATES[meter].map((t) => t.rhythm).filter((r) => r.every((d) => rhythms.includes(d)));
+  if (fits.length) return rng.choice(fits);
+  return [METERS[meter].barBeats];
+}
+
+/**
+ * レベルの条件で課題を作る（右手・左手・両手）
+ * @param {{
+ *   levelId:string, key:string, scale:"major"|"minor", meter:string, tempo:number, bars:number,
+ *   hand:"right"|"left"|"both", position:number, maxStep:number, rhythms:number[],
+ *   accidentals:number, templates:number, leftHand?:string,
+ * }} spec position はポジション内の音の数（5 = 5 指の位置）、maxStep は隣り合う音の最大の度数差、
+ *   accidentals は臨時記号（半音の刺繍音）の確率、templates は型を使う小節の割合、leftHand は両手のときの伴奏型
+ * @param {string} seed
+ * @returns {{ midi:Midi, fileName:string, seed:string }}
+ */
+export function generateExercise(spec, seed) {
+  const rng = createRandom(seed);
+  const meter = METERS[spec.meter] ?? METERS["4/4"];
+  const meterName = spec.meter in METERS ? spec.meter : "4/4";
+  const rootSemitone = KEY_TO_SEMITONE[spec.key] ?? 0;
+  const intervals = buildScaleIntervals(spec.scale);
+  const secPerBeat = 60 / spec.tempo;
+
+  const midi = new Midi();
+  midi.header.setTempo(spec.tempo);
+  midi.header.timeSignatures.push({ ticks: 0, timeSignature: [meter.numerator, meter.denominator] });
+  // 調号は @tonejs/midi の書き出しが正しくないので書かず、調はメタに残す
+  const meta = { levelId: spec.levelId, key: spec.key, scale: spec.scale, seed };
+  midi.header.meta.push({ type: "text", ticks: 0, text: EXERCISE_META_PREFIX + JSON.stringify(meta) });
+  midi.header.update();
+
+  // ポジション：主音から position 個の音階音（左手だけの課題は 1 オクターブ下）
+  const tonic = (spec.hand === "left" ? 48 : 60) + rootSemitone;
+  const tones = Array.from({ length: spec.position }, (_, k) =>
+    clampMidi(tonic + 12 * Math.floor(k / 7) + intervals[k % 7]));
+  const progression = PROGRESSIONS[spec.scale][0];
+  const chords = Array.from({ length: spec.bars }, (_, bar) => chordForBar(progression, spec.scale, bar, spec.bars));
+  const both = spec.hand === "both";
+
+  const tr = midi.addTrack();
+  tr.name = spec.hand === "left" ? TRACK_NAMES.left : TRACK_NAMES.right;
+  const finalDegree = (from) => (spec.position > 7 && from >= 4 ? 7 : 0); // 最後は近い方の主音
+  let degree = 0;
+  let pendingResolve = null; // 臨時記号の次に戻る音
+  // 小節頭と、最後の主音の直前（戻る先がない）には臨時記号を付けない
+  const canAlter = (bar, k, count) =>
+    spec.accidentals > 0 && k > 0 && bar < spec.bars - 1 && !(bar === spec.bars - 2 && k === count - 1);
+
+  for (let bar = 0; bar < spec.bars; bar++) {
+    const chordClasses = chordPitchClasses(chords[bar], rootSemitone);
+    const barTones = isMinorDominant(spec.scale, chords[bar]) ? withLeadingTone(tones, rootSemitone) : tones;
+    const isChordTone = (d) => chordClasses.includes(barTones[d] % 12);
+    const lastBar = bar === spec.bars - 1;
+
+    // 型：歩幅・リズム・ポジションに収まるもの。開始の度数は今の音に近い方を選ぶ
+    let degrees = null;
+    let rhythm = null;
+    if (bar < spec.bars - 2 && rng.chance(spec.templates)) {
+      const fits = BAR_TEMPLATES[meterName].filter((t) =>
+        t.rhythm.every((d) => spec.rhythms.includes(d)) &&
+        t.degrees.every((d, k) => k === 0 || Math.abs(d - t.degrees[k - 1]) <= spec.maxStep) &&
+        Math.max(...t.degrees) - Math.min(...t.degrees) < spec.position);
+      if (fits.length) {
+        const template = rng.choice(fits);
+        const lo = -Math.min(...template.degrees);
+        const hi = spec.position - 1 - Math.max(...template.degrees);
+        const starts = [];
+        for (let off = lo; off <= hi; off++) {
+          if (bar === 0 ? template.degrees[0] + off !== 0 : Math.abs(template.degrees[0] + off - degree) > spec.maxStep) continue;
+          if (both && !isChordTone(template.degrees[0] + off)) continue;
+          starts.push(off);
+        }
+        if (starts.length) {
+          const off = rng.choice(starts);
+          degrees = template.degrees.map((d) => d + off);
+          rhythm = template.rhythm;
+        }
+      }
+    }
+    if (!degrees) {
+      // ランダムウォーク：強拍（両手のときは和音の構成音）を意識して歩く。最初は主音、最後の前の小節は主音へ届くように
+      rhythm = barRhythm(meterName, spec.rhythms, rng);
+      degrees = [];
+      let pos = 0;
+      for (const dur of rhythm) {
+        if (bar === 0 && pos === 0) {
+          degrees.push(0);
+          degree = 0;
+          pos += dur;
+          continue;
+        }
+        const size = rng.chance(0.35) ? Math.ceil(rng.next() * spec.maxStep) : 1;
+        const step = rng.chance(0.15) ? 0 : rng.choice([-1, 1]) * size;
+        // ポジションの端では折り返す
+        let next = degree + step < 0 || degree + step > spec.position - 1 ? degree - step : degree + step;
+        next = clamp(next, 0, spec.position - 1);
+        if (both && meter.strong.some((at) => nearly(at, pos)) && !isChordTone(next)) {
+          const candidates = [next - 1, next + 1].filter((d) => d >= 0 && d < spec.position && isChordTone(d));
+          if (candidates.length) next = rng.choice(candidates);
+        }
+        if (bar === spec.bars - 2) {
+          // 残りの音で主音まで届かなくなるなら主音の方へ寄せる
+          const home = finalDegree(degree);
+          const left = rhythm.length - degrees.length;
+          if (Math.abs(home - next) > spec.maxStep * left) {
+            next = degree + Math.sign(home - degree) * Math.min(spec.maxStep, Math.abs(home - degree));
+          }
+        }
+        degrees.push(next);
+        degree = next;
+        pos += dur;
+      }
+    }
+    if (lastBar) {
+      rhythm = [meter.barBeats];
+      degrees = [finalDegree(degree)];
+    }
+
+    let pos = 0;
+    degrees.forEach((d, k) => {
+      const dur = rhythm[k];
+      let note = barTones[d];
+      if (pendingResolve != null) {
+        note = pendingResolve;
+        pendingResolve = null;
+      } else if (canAlter(bar, k, degrees.length) && rng.chance(spec.accidentals)) {
+        // 半音の刺繍音（♯ か ♭）。音階外なら使い、次の音で元に戻す
+        const altered = note + (rng.chance(0.5) ? 1 : -1);
+        if (!intervals.some((iv) => (rootSemitone + iv) % 12 === ((altered % 12) + 12) % 12)) {
+          pendingResolve = note;
+          note = altered;
+        }
+      }
+      tr.addNote({
+        midi: clampMidi(note),
+        time: (bar * meter.barBeats + pos) * secPerBeat,
+        duration: sounding(dur * secPerBeat),
+        velocity: meter.strong.some((at) => nearly(at, pos)) ? 0.85 : 0.75,
+      });
+      pos += dur;
+      degree = d;
+    });
+  }
+
+  if (both) {
+    addAccompanimentTrack(midi, {
+      key: spec.key, tempo: spec.tempo, bars: spec.bars, meter: meterName, accompaniment: spec.leftHand ?? "roots",
+    }, chords);
+  }
+  const keyName = `${spec.key}${spec.scale === "major" ? "" : "m"}`;
+  return { midi, fileName: `exercise_${spec.levelId}_${keyName}_seed-${seed}.mid`, seed };
+}
+
+/** 初見練習の課題なら { levelId, key, scale, seed }、そうでなければ null */
+export function readExerciseMeta(midi) {
+  const entry = midi.header.meta?.find((m) => m.text?.startsWith(EXERCISE_META_PREFIX));
+  if (!entry) return null;
+  try {
+    const meta = JSON.parse(entry.text.slice(EXERCISE_META_PREFIX.length));
+    return typeof meta?.levelId === "string" ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+/** 生成した曲なら設定とシード（{ params, seed }）、そうでなければ null */
+export function readGeneratorMeta(midi) {
+  const entry = midi.header.meta?.find((m) => m.text?.startsWith(GENERATOR_META_PREFIX));
+  if (!entry) return null;
+  try {
+    const { seed, version: _version, ...params } = JSON.parse(entry.text.slice(GENERATOR_META_PREFIX.length));
+    return typeof seed === "string" ? { params, seed } : null;
+  } catch {
+    return null;
+  }
+}
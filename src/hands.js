@@ -0,0 +1,61 @@
+/**
+ * 左右の手の割り当てと片手練習
+ * - 複数トラック：トラック名（right/left, RH/LH, 右/左, melody/bass …）→ 平均音高の順で決める
+ * - 単一トラック：分割点（split）より低い音を左手とみなす
+ * 各ノートに hand: "L" | "R" を付与する。
+ */
+
+export const DEFAULT_SPLIT = 60; // C4 未満を左手
+
+// 英字に続く right/left は別の語の一部（"Copyright" など）なので除く。"R.H." のように末尾の点も許す
+const RIGHT_NAME = /((?<![a-z])right|(?<![a-z])r\.?h(?![a-z])\.?|treble|melody|右手)/i;
+const LEFT_NAME = /((?<![a-z])left|(?<![a-z])l\.?h(?![a-z])\.?|bass|左手)/i;
+
+/** 片手練習のとき、もう一方の手をどう鳴らすか */
+export const OTHER_HAND_GAIN = { auto: 1, quiet: 0.35, mute: 0 };
+
+/**
+ * トラックごとの手を決める。トラックが 1 本以下なら null（分割点で判定）。
+ * @returns {Map<number,"L"|"R">|null}
+ */
+export function trackHandMap(notes, tracks) {
+  if (tracks.length < 2) return null;
+
+  const sum = new Map();
+  for (const n of notes) {
+    const s = sum.get(n.track) ?? { total: 0, count: 0 };
+    s.total += n.midi;
+    s.count += 1;
+    sum.set(n.track, s);
+  }
+  const avg = (index) => {
+    const s = sum.get(index);
+    return s ? s.total / s.count : DEFAULT_SPLIT;
+  };
+
+  const map = new Map();
+  for (const t of tracks) {
+    if (RIGHT_NAME.test(t.name)) map.set(t.index, "R");
+    else if (LEFT_NAME.test(t.name)) map.set(t.index, "L");
+  }
+
+  const rest = tracks.filter((t) => !map.has(t.index)).sort((a, b) => avg(b.index) - avg(a.index));
+  const has = (hand) => [...map.values()].includes(hand);
+  if (rest.length && !has("R")) map.set(rest.shift().index, "R");
+  if (rest.length && !has("L")) map.set(rest.pop().index, "L");
+  for (const t of rest) map.set(t.index, avg(t.index) >= DEFAULT_SPLIT ? "R" : "L");
+  return map;
+}
+
+/** 各ノートに hand を付与した新しい配列を返す */
+export function assignHands(notes, tracks, split = DEFAULT_SPLIT) {
+  const byTrack = trackHandMap(notes, tracks);
+  return notes.map((n) => ({ ...n, hand: byTrack?.get(n.track) ?? (n.midi < split ? "L" : "R") }));
+}
+
+/** handMode（both | left | right）で学習者が弾くノートか */
+export function isLearnerHand(handMode, note) {
+  if (handMode === "left") return note.hand === "L";
+  if (handMode === "right") return note.hand === "R";
+  return true;
+}
@@ -0,0 +1,123 @@
+/**
+ * ライブラリ一覧の絞り込み・並べ替え（メタの保存は db.js）
+ * - 検索は曲名・フォルダ・タグの部分一致（大文字小文字・全角半角を区別しない）
+ * - 難易度は 1〜5 の目安。ノート密度・同時発音数・音域・跳躍から見積もる
+ * - 派生情報（長さ・ノート数・音域・難易度）は保存・取り込みのときに 1 度だけ計算してメタに持つ
+ */
+
+export const SORT_OPTIONS = [
+  { value: "date", label: "追加日" },
+  { value: "name", label: "名前" },
+  { value: "played", label: "最近の練習" },
+  { value: "difficulty", label: "難易度" },
+  { value: "duration", label: "長さ" },
+];
+export const ALL_FOLDERS = "*";
+export const NO_FOLDER = "";
+
+const fold = (s) => String(s ?? "").normalize("NFKC").toLowerCase();
+
+/** "a, b　c" → ["a","b","c"]（重複・空を除く） */
+export function parseTags(text) {
+  const out = [];
+  for (const t of String(text ?? "").split(/[,、\s]+/)) {
+    const tag = t.trim();
+    if (tag && !out.includes(tag)) out.push(tag);
+  }
+  return out;
+}
+
+export function collectFolders(items) {
+  return [...new Set(items.map((x) => x.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b, "ja"));
+}
+
+export function collectTags(items) {
+  return [...new Set(items.flatMap((x) => x.tags ?? []))].sort((a, b) => a.localeCompare(b, "ja"));
+}
+
+/**
+ * @param {object[]} items メタ配列
+ * @param {{ query?:string, folder?:string, tag?:string|null, favoritesOnly?:boolean }} filter
+ *   folder は ALL_FOLDERS（すべて）/ NO_FOLDER（フォルダ無し）/ フォルダ名
+ */
+export function filterSongs(items, { query = "", folder = ALL_FOLDERS, tag = null, favoritesOnly = false } = {}) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  return items.filter((item) => {
+    if (favoritesOnly && !item.favorite) return false;
+    if (folder !== ALL_FOLDERS && (item.folder || NO_FOLDER) !== folder) return false;
+    if (tag && !(item.tags ?? []).includes(tag)) return false;
+    if (!words.length) return true;
+    const haystack = fold([item.name, item.folder, ...(item.tags ?? [])].join(" "));
+    return words.every((w) => haystack.includes(w));
+  });
+}
+
+/** 並べ替え（お気に入りは先頭に寄せない。値が無い曲は末尾） */
+export function sortSongs(items, key) {
+  const byNumberDesc = (pick) => (a, b) => (pick(b) ?? -Infinity) - (pick(a) ?? -Infinity);
+  const byNumberAsc = (pick) => (a, b) => (pick(a) ?? Infinity) - (pick(b) ?? Infinity);
+  const compare = {
+    name: (a, b) => String(a.name ?? "").localeCompare(String(b.name ?? ""), "ja", { numeric: true }),
+    date: byNumberDesc((x) => x.createdAt),
+    played: byNumberDesc((x) => x.lastPlayedAt),
+    difficulty: byNumberAsc((x) => x.difficulty),
+    duration: byNumberAsc((x) => x.duration),
+  }[key] ?? byNumberDesc((x) => x.createdAt);
+  return [...items].sort(compare);
+}
+
+/**
+ * メタに持つ派生情報（一覧の表示・並べ替え用）
+ * @param {{midi:number,start:number,end:number}[]} notes start 昇順
+ * @returns {{ duration:number, noteCount:number, lowNote:number|null, highNote:number|null, difficulty:number }}
+ */
+export function songInfoFromNotes(notes) {
+  let duration = 0;
+  let lowNote = null;
+  let highNote = null;
+  for (const n of notes) {
+    duration = Math.max(duration, n.end);
+    lowNote = lowNote == null ? n.midi : Math.min(lowNote, n.midi);
+    highNote = highNote == null ? n.midi : Math.max(highNote, n.midi);
+  }
+  return { duration, noteCount: notes.length, lowNote, highNote, difficulty: estimateDifficulty(notes) };
+}
+
+/**
+ * 難易度の目安（1〜5）
+ * @param {{midi:number,start:number,end:number}[]} notes start 昇順
+ */
+export function estimateDifficulty(notes) {
+  if (!notes.length) return 1;
+  const span = Math.max(1, notes[notes.length - 1].start - notes[0].start);
+  // 1 秒あたりの打鍵（同時に押す音はまとめて 1 回）
+  let onsets = 0;
+  let maxChord = 1;
+  let chord = 1;
+  let leaps = 0;
+  for (let k = 1; k < notes.length; k++) {
+    const prev = notes[k - 1];
+    const n = notes[k];
+    if (n.start - prev.start < 0.03) {
+      chord += 1;
+      maxChord = Math.max(maxChord, chord);
+      continue;
+    }
+    chord = 1;
+    onsets += 1;
+    if (Math.abs(n.midi - prev.midi) > 12) leaps += 1;
+  }
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const n of notes) {
+    lo = Math.min(lo, n.midi);
+    hi = Math.max(hi, n.midi);
+  }
+  const density = (onsets + 1) / span;
+  const score =
+    Math.min(2, density / 3) +          // 6 打鍵/秒で上限
+    Math.min(1, (maxChord - 1) / 4) +   // 5 音の和音で上限
+    Math.min(1, Math.max(0, hi - lo - 12) / 36) +
+    Math.min(1, (leaps / (onsets + 1)) * 5);
+  return Math.max(1, Math.min(5, 1 + Math.round(score)));
+}
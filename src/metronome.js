@@ -0,0 +1,68 @@
+import * as Tone from "tone";
+import { meterAt } from "./timeline";
+
+/**
+ * メトロノームとカウントイン
+ * - クリックは曲のテンポマップ・拍子（timeline.js）の拍に置き、小節頭を強拍にする
+ * - 並べたクリックは発音スケジューラ（scheduler.js）が Transport 上で鳴らすので、
+ *   速度変更・シーク・ループでもノートとずれない
+ * - 音量は曲の音（busRef）とは別の Gain で調整する
+ *
+ * 時刻の基準：clicks の at は再生ヘッド秒（拍の曲の秒 + lead）。
+ */
+
+export const DEFAULT_METRONOME_VOLUME = 0.6;
+export const COUNT_IN_OPTIONS = [0, 1, 2]; // 小節数
+
+/**
+ * クリック音（強拍は高く大きく）。destination に独立した Gain 経由で繋ぐ。
+ * @returns {{ click(time:number, accent:boolean):void, setVolume(v:number):void, dispose():void }}
+ */
+export function createClickVoice(destination, volume = DEFAULT_METRONOME_VOLUME) {
+  const gain = new Tone.Gain(volume).connect(destination);
+  const synth = new Tone.Synth({
+    oscillator: { type: "square" },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 },
+  }).connect(gain);
+  return {
+    click(time, accent) {
+      try {
+        synth.triggerAttackRelease(accent ? "C6" : "G5", 0.03, time, accent ? 1 : 0.55);
+      } catch (err) {
+        console.warn("[metronome] click failed", err); // 同時刻の打ち直し等。アプリは止めない
+      }
+    },
+    setVolume(v) {
+      gain.gain.rampTo(v, 0.03);
+    },
+    dispose() {
+      synth.dispose();
+      gain.dispose();
+    },
+  };
+}
+
+/**
+ * 拍ごとのクリック（再生ヘッド秒）
+ * @returns {{ at:number, accent:boolean }[]}
+ */
+export function beatClicks(timeline, lead) {
+  const out = [];
+  for (const bar of timeline.bars) {
+    bar.beats.forEach((time, k) => out.push({ at: time + lead, accent: k === 0 }));
+  }
+  return out;
+}
+
+/**
+ * songSec の直前に入れるカウントイン（songSec の拍子・テンポで bars 小節分）。
+ * @returns {{ length:number, numerator:number, beatSec:number, clicks:{ before:number, accent:boolean }[] }}
+ *   length・beatSec・before は曲の秒。before は songSec から何秒前に鳴らすか
+ */
+export function countInClicks(timeline, songSec, bars) {
+  const { numerator, beatSec } = meterAt(timeline, songSec);
+  const total = Math.max(0, bars) * numerator;
+  const clicks = [];
+  for (let k = 0; k < total; k++) clicks.push({ before: (total - k) * beatSec, accent: k % numerator === 0 });
+  return { length: total * beatSec, numerator, beatSec, clicks };
+}
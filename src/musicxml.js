@@ -0,0 +1,246 @@
+import { Midi } from "@tonejs/midi";
+import { listZipEntries } from "./zip";
+
+/**
+ * MusicXML（.musicxml / .xml / 圧縮 .mxl）の読み込み
+ * - score-partwise を読み、@tonejs/midi の Midi（メモリ上）に変換する。以降は MIDI と同じ経路で表示・再生する
+ * - パートの譜表ごとに 1 トラック。ピアノ譜（2 段）は「右手」「左手」と名付け、hands.js の判定に乗せる
+ * - テンポ（sound tempo）・拍子・移調（transpose）・タイ・運指（fingering）を反映する
+ * - 小節番号は measures に返す（弱起は番号 0 のまま。長さの違う小節はその小節だけ拍子を変えて線を合わせる）
+ * - 装飾音（grace）・キュー音符は鳴らさず、反復記号は展開しない
+ *
+ * 運指・小節番号は Note に finger / measure として付ける（MIDI に書き出すと失われる）。
+ */
+
+const PPQ = 480;
+const STEP_SEMITONE = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const DEFAULT_VELOCITY = 90 / 127; // MusicXML の既定 forte
+
+export const isMusicXmlName = (name) => /\.(musicxml|mxl|xml)$/i.test(name);
+
+const isZip = (u8) => u8[0] === 0x50 && u8[1] === 0x4b; // "PK"
+
+/** .mxl（zip）から本体の XML を取り出す。META-INF/container.xml の rootfile を優先 */
+async function extractMxl(u8) {
+  const entries = listZipEntries(u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength));
+  const text = async (entry) => new TextDecoder().decode(await entry.read());
+  const container = entries.find((e) => e.name === "META-INF/container.xml");
+  let path = null;
+  if (container) {
+    const doc = new DOMParser().parseFromString(await text(container), "application/xml");
+    path = doc.querySelector("rootfile")?.getAttribute("full-path") ?? null;
+  }
+  const root =
+    entries.find((e) => e.name === path) ??
+    entries.find((e) => !e.name.startsWith("META-INF/") && /\.(musicxml|xml)$/i.test(e.name));
+  if (!root) throw new Error("mxl の中に楽譜が見つかりません");
+  return text(root);
+}
+
+const childText = (el, selector) => el.querySelector(`:scope > ${selector}`)?.textContent?.trim() ?? null;
+const childNumber = (el, selector) => {
+  const v = Number(childText(el, selector));
+  return Number.isFinite(v) ? v : null;
+};
+
+function parseTime(timeEl) {
+  // beats は "3+2" のような複合拍子もある
+  const beats = (childText(timeEl, "beats") ?? "")
+    .split("+")
+    .reduce((sum, x) => sum + (Number(x) || 0), 0);
+  const beatType = childNumber(timeEl, "beat-type");
+  return beats > 0 && beatType > 0 ? { numerator: beats, denominator: beatType } : null;
+}
+
+function pitchToMidi(pitchEl, transpose) {
+  const step = STEP_SEMITONE[childText(pitchEl, "step")];
+  const octave = childNumber(pitchEl, "octave");
+  if (step == null || octave == null) return null;
+  const alter = Math.round(childNumber(pitchEl, "alter") ?? 0);
+  return (octave + 1) * 12 + step + alter + transpose;
+}
+
+/**
+ * 1 パート分を読む。tick は PPQ 基準（divisions が途中で変わっても合わせる）
+ * @returns {{ notes:object[], measures:{ticks:number,length:number,number:string}[], tempos:object[], meters:object[], staves:number }}
+ */
+function readPart(partEl) {
+  const notes = [];
+  const measures = [];
+  const tempos = [];
+  const meters = [];
+  const openTies = new Map(); // `${staff}:${voice}:${midi}` → note
+  let divisions = 1;
+  let transpose = 0;
+  let staves = 1;
+  let measureStart = 0;
+  let lastStart = 0;
+
+  for (const measureEl of partEl.querySelectorAll(":scope > measure")) {
+    let pos = 0;
+    let maxPos = 0;
+    const toTicks = (d) => (d * PPQ) / divisions;
+    const readTempo = (soundEl) => {
+      const bpm = Number(soundEl?.getAttribute("tempo"));
+      if (bpm > 0) tempos.push({ ticks: Math.round(measureStart + pos), bpm });
+    };
+
+    for (const el of measureEl.children) {
+      switch (el.tagName) {
+        case "attributes": {
+          divisions = childNumber(el, "divisions") ?? divisions;
+          staves = childNumber(el, "staves") ?? staves;
+          const time = el.querySelector(":scope > time");
+          const meter = time && parseTime(time);
+          if (meter) meters.push({ ticks: Math.round(measureStart + pos), ...meter });
+          const tr = el.querySelector(":scope > transpose");
+          if (tr) transpose = (childNumber(tr, "chromatic") ?? 0) + 12 * (childNumber(tr, "octave-change") ?? 0);
+          break;
+        }
+        case "direction":
+          readTempo(el.querySelector(":scope > sound"));
+          break;
+        case "sound":
+          readTempo(el);
+          break;
+        case "backup":
+          pos = Math.max(0, pos - toTicks(childNumber(el, "duration") ?? 0));
+          break;
+        case "forward":
+          pos += toTicks(childNumber(el, "duration") ?? 0);
+          maxPos = Math.max(maxPos, pos);
+          break;
+        case "note": {
+          if (el.querySelector(":scope > grace")) break; // 装飾音は長さを持たない
+          const chord = Boolean(el.querySelector(":scope > chord"));
+          const dur = toTicks(childNumber(el, "duration") ?? 0);
+          const start = chord ? lastStart : measureStart + pos;
+          if (!chord) {
+            lastStart = start;
+            pos += dur;
+            maxPos = Math.max(maxPos, pos);
+          }
+          if (el.querySelector(":scope > cue")) break; // キュー音は時間だけ進めて鳴らさない
+          const pitchEl = el.querySelector(":scope > pitch");
+          if (!pitchEl) break; // 休符・打楽器（unpitched）
+          const midi = pitchToMidi(pitchEl, transpose);
+          if (midi == null) break;
+
+          const staff = childNumber(el, "staff") ?? 1;
+          const voice = childText(el, "voice") ?? "1";
+          const tieKey = `${staff}:${voice}:${midi}`;
+          const ties = [...el.querySelectorAll(":scope > tie")].map((t) => t.getAttribute("type"));
+          const tied = ties.includes("stop") && openTies.get(tieKey);
+          if (tied) {
+            tied.durationTicks = start + dur - tied.ticks;
+            if (!ties.includes("start")) openTies.delete(tieKey);
+            break;
+          }
+
+          const dynamics = Number(el.getAttribute("dynamics"));
+          const finger = Number(el.querySelector(":scope > notations technical > fingering")?.textContent);
+          const note = {
+            midi,
+            ticks: Math.round(start),
+            durationTicks: Math.max(1, Math.round(dur)),
+            velocity: dynamics > 0 ? Math.min(1, (DEFAULT_VELOCITY * dynamics) / 100) : DEFAULT_VELOCITY,
+            staff,
+            measure: measureEl.getAttribute("number") ?? String(measures.length + 1),
+          };
+          if (finger >= 1 && finger <= 5) note.finger = finger;
+          notes.push(note);
+          if (ties.includes("start")) openTies.set(tieKey, note);
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    measures.push({ ticks: Math.round(measureStart), length: Math.round(maxPos), number: measureEl.getAttribute("number") ?? "" });
+    measureStart += maxPos;
+  }
+  return { notes, measures, tempos, meters, staves };
+}
+
+/** 長さが拍子と合わない小節（弱起・途中の不完全小節）は、その小節だけ拍子を変えて小節線を合わせる */
+function fitMetersToMeasures(meters, measures) {
+  const base = meters.length ? meters : [{ ticks: 0, numerator: 4, denominator: 4 }];
+  const meterAt = (ticks) => base.reduce((cur, m) => (m.ticks <= ticks ? m : cur), base[0]);
+  const out = [];
+  for (const { ticks, length } of measures) {
+    const nominal = meterAt(ticks);
+    let meter = nominal;
+    if (length > 0 && length !== (nominal.numerator * PPQ * 4) / nominal.denominator) {
+      // 拍数が整数になる分母を探す（4 分の弱起なら 1/4、8 分なら 1/8 …）
+      for (let denominator = nominal.denominator; denominator <= 32; denominator *= 2) {
+        const beats = (length * denominator) / (PPQ * 4);
+        if (Math.abs(beats - Math.round(beats)) < 1e-6) {
+          meter = { numerator: Math.round(beats), denominator };
+          break;
+        }
+      }
+    }
+    const prev = out[out.length - 1];
+    if (!prev || prev.numerator !== meter.numerator || prev.denominator !== meter.denominator) {
+      out.push({ ticks, numerator: meter.numerator, denominator: meter.denominator });
+    }
+  }
+  return out.length ? out : base;
+}
+
+function staffTrackName(partName, staff, staves) {
+  if (staves < 2) return partName;
+  const label = staff === 1 ? "Right Hand" : staff === 2 ? "Left Hand" : `Staff ${staff}`; // ASCII（MIDI に書き出すので）
+  return `${partName} ${label}`.trim();
+}
+
+/**
+ * MusicXML のバイト列 → Midi と小節番号
+ * @param {Uint8Array} bytes .musicxml / .xml / .mxl
+ * @returns {Promise<{ midi:Midi, measures:{ticks:number,number:string}[], title:string|null }>}
+ */
+export async function musicXmlToMidi(bytes) {
+  const text = isZip(bytes) ? await extractMxl(bytes) : new TextDecoder().decode(bytes);
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("MusicXML として読めません");
+  const score = doc.documentElement;
+  if (score.tagName === "score-timewise") throw new Error("score-timewise 形式には対応していません");
+  if (score.tagName !== "score-partwise") throw new Error("MusicXML ではありません");
+
+  const partNames = new Map(
+    [...score.querySelectorAll("part-list > score-part")].map((p) => [p.getAttribute("id"), childText(p, "part-name") ?? ""])
+  );
+  const parts = [...score.querySelectorAll(":scope > part")].map((el) => ({
+    name: partNames.get(el.getAttribute("id")) ?? "",
+    ...readPart(el),
+  }));
+  if (!parts.length) throw new Error("楽譜にパートがありません");
+
+  // テンポ・拍子・小節は先頭パートのものを使う（パート間で共通のはず）
+  const [first] = parts;
+  const midi = new Midi();
+  midi.header.tempos = (first.tempos.length ? first.tempos : [{ ticks: 0, bpm: 120 }]).map((t) => ({ ...t }));
+  midi.header.timeSignatures = fitMetersToMeasures(first.meters, first.measures).map((m) => ({
+    ticks: m.ticks,
+    timeSignature: [m.numerator, m.denominator],
+  }));
+  midi.header.update();
+  const title = childText(score, "work > work-title") ?? childText(score, "movement-title");
+  if (title) midi.header.name = title;
+
+  parts.forEach((part, partIndex) => {
+    const byStaff = new Map();
+    for (const n of part.notes) {
+      if (!byStaff.has(n.staff)) byStaff.set(n.staff, []);
+      byStaff.get(n.staff).push(n);
+    }
+    for (const staff of [...byStaff.keys()].sort((a, b) => a - b)) {
+      const track = midi.addTrack();
+      track.name = staffTrackName(part.name || `Part ${partIndex + 1}`, staff, part.staves);
+      track.channel = partIndex % 9; // 10ch（打楽器）は避ける
+      for (const { staff: _staff, ...note } of byStaff.get(staff)) track.addNote(note);
+    }
+  });
+
+  return { midi, measures: first.measures.map(({ ticks, number }) => ({ ticks, number })), title };
+}
@@ -0,0 +1,168 @@
+/**
+ * 鍵盤入力（学習者の打鍵）
+ * - createNoteInputHub()       … 入力ソースを束ね、練習・採点などの購読者へ noteon/noteoff を配信
+ * - connectMidiInputs(hub,…)   … Web MIDI の全入力ポートをハブへ接続
+ * - bindMidiInput(hub, input)  … 個別の MIDIInput（仮想入力を含む）をハブへ接続
+ * - createVirtualMidiInput()   … 実機なしで試すための MIDIInput 互換スタンドイン
+ *
+ * イベント形式: { type: "noteon"|"noteoff", midi, velocity(0..1), source, at(ms) }
+ */
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+/** 入力ハブ：複数の入力ソースを 1 本のイベント列にまとめる */
+export function createNoteInputHub() {
+  const listeners = new Set();
+  const held = new Map(); // midi -> { velocity, source, at }
+
+  const emit = (evt) => {
+    for (const fn of listeners) {
+      try {
+        fn(evt);
+      } catch (err) {
+        console.warn("[input] listener failed", err);
+      }
+    }
+  };
+
+  return {
+    held,
+    noteOn(midi, velocity = 0.8, source = "unknown") {
+      const evt = { type: "noteon", midi, velocity, source, at: now() };
+      held.set(midi, { velocity, source, at: evt.at });
+      emit(evt);
+    },
+    noteOff(midi, source = "unknown") {
+      if (!held.has(midi)) return;
+      held.delete(midi);
+      emit({ type: "noteoff", midi, velocity: 0, source, at: now() });
+    },
+    /** 指定ソース（省略時は全ソース）の押下中キーをすべて離す */
+    releaseAll(source) {
+      for (const [midi, info] of [...held]) {
+        if (source == null || info.source === source) this.noteOff(midi, info.source);
+      }
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+/** MIDI メッセージ（Uint8Array）→ ノートイベント。ノート以外は null */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const status = data[0] & 0xf0;
+  const midi = data[1];
+  const vel = data[2];
+  if (status === 0x90 && vel > 0) return { type: "noteon", midi, velocity: vel / 127 };
+  if (status === 0x80 || (status === 0x90 && vel === 0)) return { type: "noteoff", midi, velocity: 0 };
+  return null;
+}
+
+/**
+ * MIDIInput（実機・仮想どちらでも）をハブへ接続し、解除関数を返す。
+ * source には入力ポートの id を用いる。
+ */
+export function bindMidiInput(hub, input) {
+  const handler = (e) => {
+    const msg = parseMidiMessage(e.data);
+    if (!msg) return;
+    if (msg.type === "noteon") hub.noteOn(msg.midi, msg.velocity, input.id);
+    else hub.noteOff(msg.midi, input.id);
+  };
+  input.addEventListener("midimessage", handler);
+  return () => {
+    try {
+      input.removeEventListener("midimessage", handler);
+    } catch {
+      // 切断済みポートは無視
+    }
+    hub.releaseAll(input.id);
+  };
+}
+
+/**
+ * 仮想 MIDI 入力（MIDIInput 互換の最小実装）
+ * 実機と同じ "midimessage" 経路を通るため、待機モードや採点をハードなしで検証できる。
+ */
+export function createVirtualMidiInput(name = "仮想入力") {
+  const listeners = new Set();
+  const input = {
+    id: "virtual",
+    name,
+    manufacturer: "falling-notes",
+    state: "connected",
+    addEventListener(type, fn) {
+      if (type === "midimessage") listeners.add(fn);
+    },
+    removeEventListener(type, fn) {
+      if (type === "midimessage") listeners.delete(fn);
+    },
+    send(bytes) {
+      const evt = { data: Uint8Array.from(bytes), timeStamp: now(), target: input };
+      for (const fn of listeners) fn(evt);
+    },
+    noteOn(midi, velocity = 100, channel = 0) {
+      input.send([0x90 | channel, midi, velocity]);
+    },
+    noteOff(midi, channel = 0) {
+      input.send([0x80 | channel, midi, 0]);
+    },
+    /** 押して ms 後に離す */
+    tap(midi, ms = 150, velocity = 100) {
+      input.noteOn(midi, velocity);
+      setTimeout(() => input.noteOff(midi), ms);
+    },
+  };
+  return input;
+}
+
+/**
+ * Web MIDI の全入力ポートをハブへ接続する（抜き差しにも追従）。
+ * @returns {Promise<{ ok:boolean, reason?:string, inputs:Array<{id,name}>, disconnect:Function }>}
+ */
+export async function connectMidiInputs(hub, { onDevicesChange } = {}) {
+  if (typeof navigator === "undefined" || !navigator.requestMIDIAccess) {
+    return { ok: false, reason: "unsupported", inputs: [], disconnect() {} };
+  }
+  let access;
+  try {
+    access = await navigator.requestMIDIAccess({ sysex: false });
+  } catch (err) {
+    console.warn("[input] requestMIDIAccess failed", err);
+    return { ok: false, reason: "denied", inputs: [], disconnect() {} };
+  }
+
+  const bound = new Map(); // id -> { input, unbind }
+  const listInputs = () =>
+    [...bound.values()].map(({ input }) => ({ id: input.id, name: input.name || input.id }));
+
+  const sync = () => {
+    const live = new Set();
+    for (const input of access.inputs.values()) {
+      if (input.state === "disconnected") continue;
+      live.add(input.id);
+      if (!bound.has(input.id)) bound.set(input.id, { input, unbind: bindMidiInput(hub, input) });
+    }
+    for (const [id, entry] of [...bound]) {
+      if (live.has(id)) continue;
+      entry.unbind();
+      bound.delete(id);
+    }
+    onDevicesChange?.(listInputs());
+  };
+  access.onstatechange = sync;
+  sync();
+
+  return {
+    ok: true,
+    inputs: listInputs(),
+    disconnect() {
+      access.onstatechange = null;
+      for (const entry of bound.values()) entry.unbind();
+      bound.clear();
+    },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * ペダル（コントロールチェンジ）
+ * - CC64 サステイン / CC66 ソステヌート / CC67 ソフト を区間 [{start,end}] に変換
+ * - 再生用に各ノートの発音終了（releaseEnd）をペダルで延長し、ソフトペダル中は soft を立てる
+ * 表示上の長さ（note.end）は変えない。
+ */
+
+export const PEDAL_CC = { sustain: 64, sostenuto: 66, soft: 67 };
+export const NO_PEDALS = Object.freeze({ sustain: [], sostenuto: [], soft: [] });
+const DOWN_THRESHOLD = 0.5; // value は 0..1（64/127 以上で踏んでいる）
+export const SOFT_VELOCITY = 0.7;
+
+/** CC イベント列（time 昇順）→ 踏んでいる区間 */
+function toIntervals(events, endTime) {
+  const out = [];
+  let downAt = null;
+  for (const ev of events) {
+    const down = ev.value >= DOWN_THRESHOLD;
+    if (down && downAt == null) downAt = ev.time;
+    else if (!down && downAt != null) {
+      if (ev.time > downAt) out.push({ start: downAt, end: ev.time });
+      downAt = null;
+    }
+  }
+  if (downAt != null && endTime > downAt) out.push({ start: downAt, end: endTime });
+  return out;
+}
+
+/** 重なる区間をまとめる */
+function unionIntervals(list) {
+  const sorted = [...list].sort((a, b) => a.start - b.start);
+  const out = [];
+  for (const iv of sorted) {
+    const last = out[out.length - 1];
+    if (last && iv.start <= last.end) last.end = Math.max(last.end, iv.end);
+    else out.push({ ...iv });
+  }
+  return out;
+}
+
+/**
+ * @tonejs/midi の Midi からペダル区間を取り出す（打楽器トラックは除外）。
+ * @returns {{ sustain:Array, sostenuto:Array, soft:Array }}
+ */
+export function extractPedals(midi, endTime) {
+  const result = { sustain: [], sostenuto: [], soft: [] };
+  midi.tracks.forEach((tr) => {
+    if (tr.channel === 9 || tr.instrument?.percussion) return;
+    for (const [kind, cc] of Object.entries(PEDAL_CC)) {
+      const events = tr.controlChanges?.[cc];
+      if (!events?.length) continue;
+      const sorted = [...events].sort((a, b) => a.time - b.time);
+      result[kind].push(...toIntervals(sorted, endTime));
+    }
+  });
+  for (const kind of Object.keys(result)) result[kind] = unionIntervals(result[kind]);
+  return result;
+}
+
+export function hasPedals(pedals) {
+  return Boolean(pedals && (pedals.sustain.length || pedals.sostenuto.length || pedals.soft.length));
+}
+
+/** time を含む区間（無ければ null）。区間は start 昇順 */
+function intervalAt(list, time) {
+  for (const iv of list) {
+    if (iv.start > time) break;
+    if (time < iv.end) return iv;
+  }
+  return null;
+}
+
+/**
+ * ペダルを反映した発音情報を付けたノート配列を返す。
+ * - サステイン中に離鍵したノートはペダルが上がるまで鳴らす（同じ音の打ち直しで切る）
+ * - ソステヌートを踏んだ瞬間に押さえていたノートは、ソステヌートが上がるまで鳴らす
+ * - ソフトペダル中に打鍵したノートは soft: true
+ */
+export function applyPedals(notes, pedals) {
+  if (!hasPedals(pedals)) return notes.map((n) => ({ ...n, releaseEnd: n.end, soft: false }));
+
+  // 同じ音高の次の打鍵時刻（打ち直しで前の音は止まる）
+  const nextStrike = new Map();
+  const byPitch = new Map();
+  for (const n of notes) {
+    if (!byPitch.has(n.midi)) byPitch.set(n.midi, []);
+    byPitch.get(n.midi).push(n);
+  }
+  for (const arr of byPitch.values()) {
+    arr.sort((a, b) => a.start - b.start);
+    for (let k = 0; k < arr.length; k++) nextStrike.set(arr[k], arr[k + 1]?.start ?? Infinity);
+  }
+
+  return notes.map((n) => {
+    let releaseEnd = n.end;
+    const sus = intervalAt(pedals.sustain, n.end);
+    if (sus) releaseEnd = Math.max(releaseEnd, sus.end);
+    for (const iv of pedals.sostenuto) {
+      if (iv.start > n.end) break;
+      if (n.start <= iv.start && iv.start < n.end) releaseEnd = Math.max(releaseEnd, iv.end);
+    }
+    releaseEnd = Math.max(n.end, Math.min(releaseEnd, nextStrike.get(n)));
+    const soft = Boolean(intervalAt(pedals.soft, n.start));
+    return { ...n, releaseEnd, soft };
+  });
+}
+
+/** time にペダルを踏んでいるか（表示用） */
+export function pedalStateAt(pedals, time) {
+  return {
+    sustain: Boolean(intervalAt(pedals.sustain, time)),
+    sostenuto: Boolean(intervalAt(pedals.sostenuto, time)),
+    soft: Boolean(intervalAt(pedals.soft, time)),
+  };
+}
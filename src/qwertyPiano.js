@@ -0,0 +1,113 @@
+/**
+ * パソコンのキーボードをピアノにする（QWERTY 配列）
+ * - 中段（A S D F …）が白鍵、上段（W E T Y …）が黒鍵。物理キー（KeyboardEvent.code）で判定するので配列の言語に依らない
+ * - Z / X でオクターブ上下、C / V で強さ上下
+ * - 数字キー・スペース・矢印など操作用のキーは使わない（ショートカットとぶつけない）。
+ *   ショートカット側は isQwertyPianoCode で、ピアノが有効な間はこれらのキーを避ける
+ *
+ * 発音と入力ハブ（noteInput.js）への配信は呼び出し側の onNoteOn / onNoteOff で行う。
+ */
+
+export const QWERTY_SOURCE = "qwerty";
+
+/** code → 基準の C からの半音数 */
+export const QWERTY_NOTE_CODES = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11,
+  KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16, Quote: 17,
+};
+
+export const QWERTY_CONTROL_CODES = {
+  KeyZ: "octaveDown",
+  KeyX: "octaveUp",
+  KeyC: "velocityDown",
+  KeyV: "velocityUp",
+};
+
+export const QWERTY_BASE_MIDI = 60; // オクターブ 0 で A が C4
+export const QWERTY_OCTAVE_RANGE = 3; // ±3 オクターブ
+export const QWERTY_VELOCITIES = [0.3, 0.45, 0.6, 0.75, 0.9, 1];
+const DEFAULT_VELOCITY_INDEX = 3;
+
+/** 鍵盤に重ねて描く文字（code → 表示） */
+const CODE_LABELS = { Semicolon: ";", Quote: "'" };
+const labelOf = (code) => CODE_LABELS[code] ?? code.replace(/^Key/, "");
+
+export const isQwertyPianoCode = (code) => code in QWERTY_NOTE_CODES || code in QWERTY_CONTROL_CODES;
+
+const NON_TEXT_INPUTS = new Set(["checkbox", "radio", "button", "submit", "reset", "file", "color"]);
+
+/** 文字入力中（入力欄・選択肢・スライダー）のキーは奪わない */
+export function isTypingTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  if (tag === "INPUT") return !NON_TEXT_INPUTS.has(target.type);
+  return tag === "TEXTAREA" || tag === "SELECT" || target.isContentEditable === true;
+}
+
+/**
+ * @param {{
+ *   onNoteOn: (midi:number, velocity:number) => void,
+ *   onNoteOff: (midi:number) => void,
+ *   onChange?: (state:{ octave:number, velocity:number }) => void,
+ * }} handlers onChange はオクターブ・強さが変わったとき
+ */
+export function createQwertyPiano({ onNoteOn, onNoteOff, onChange = () => {} }) {
+  let octave = 0;
+  let velocityIndex = DEFAULT_VELOCITY_INDEX;
+  const down = new Map(); // code -> midi（押した時点のオクターブで覚え、離すときも同じ音を止める）
+
+  const state = () => ({ octave, velocity: QWERTY_VELOCITIES[velocityIndex] });
+  const midiFor = (code) => QWERTY_BASE_MIDI + octave * 12 + QWERTY_NOTE_CODES[code];
+
+  const control = (action) => {
+    if (action === "octaveDown") octave = Math.max(-QWERTY_OCTAVE_RANGE, octave - 1);
+    if (action === "octaveUp") octave = Math.min(QWERTY_OCTAVE_RANGE, octave + 1);
+    if (action === "velocityDown") velocityIndex = Math.max(0, velocityIndex - 1);
+    if (action === "velocityUp") velocityIndex = Math.min(QWERTY_VELOCITIES.length - 1, velocityIndex + 1);
+    onChange(state());
+  };
+
+  return {
+    get state() {
+      return state();
+    },
+
+    /** @returns {boolean} ピアノとして扱った（呼び出し側はほかの処理をしない） */
+    keyDown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return false;
+      if (!isQwertyPianoCode(e.code)) return false;
+      e.preventDefault();
+      if (e.repeat) return true;
+      const action = QWERTY_CONTROL_CODES[e.code];
+      if (action) {
+        control(action);
+        return true;
+      }
+      if (down.has(e.code)) return true;
+      const midi = midiFor(e.code);
+      if (midi < 0 || midi > 127) return true;
+      down.set(e.code, midi);
+      onNoteOn(midi, QWERTY_VELOCITIES[velocityIndex]);
+      return true;
+    },
+
+    keyUp(e) {
+      const midi = down.get(e.code);
+      if (midi == null) return false;
+      down.delete(e.code);
+      onNoteOff(midi);
+      return true;
+    },
+
+    /** 押したままのキーを離す（無効化・フォーカスを失ったとき） */
+    releaseAll() {
+      for (const midi of down.values()) onNoteOff(midi);
+      down.clear();
+    },
+
+    /** 今のオクターブで各鍵に割り当てたキー：[{ midi, label }] */
+    labels() {
+      return Object.keys(QWERTY_NOTE_CODES).map((code) => ({ midi: midiFor(code), label: labelOf(code) }));
+    },
+  };
+}
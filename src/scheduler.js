@@ -0,0 +1,227 @@
+import * as Tone from "tone";
+
+/**
+ * 発音スケジューラ（Tone.Transport / Tone.Part）
+ * ノートの発音とメトロノームのクリック（とテイクの再生）を描画ループではなくオーディオクロック上に先行して予約し、
+ * 描画はこのクロック（position()）に追従する。
+ *
+ * - Transport の 1 拍 = 再生ヘッド 1 秒（bpm = TRANSPORT_BPM × rate）。速度変更は bpm だけで済む
+ * - 各イベントは再生ヘッド秒 at の tick に並べる（ノートは着地時刻 start + lead。lead は canvas の高さで変わるので並べ直す）
+ * - A-B リピート / 曲ループは Transport のループ機能に任せる
+ * - 一度鳴らしたイベントは fired に記録し、再開・並べ直しで二重に鳴らさない
+ *   （シーク・ループ折り返しで忘れる）
+ * - 止めるときは pause ではなく stop（まだ始まっていない予約の開始＝カウントイン中も取り消せる）。
+ *   再開は常に位置を指定して start する
+ */
+
+export const TRANSPORT_BPM = 60;
+const RESTART_GAP = 0.005; // 止めてから再開するまでの間隔（秒）
+
+/** イベント列 1 本分（Part と鳴らした記録） */
+function createLane(onEvent) {
+  let part = null;
+  const fired = new Map(); // key -> at
+
+  return {
+    fired,
+    /** @param {{ key:any, at:number }[]} events */
+    set(events, toTicks) {
+      part?.dispose();
+      part = null;
+      if (!events.length) return;
+      part = new Tone.Part(
+        (time, ev) => {
+          if (fired.has(ev.key)) return;
+          if (onEvent(ev, time) !== false) fired.set(ev.key, ev.at);
+        },
+        events.map((ev) => ({ ...ev, time: `${toTicks(ev.at)}i` }))
+      ).start(0);
+    },
+    forgetFrom(sec) {
+      for (const [key, at] of fired) if (at >= sec - 1e-6) fired.delete(key);
+    },
+    dispose() {
+      part?.dispose();
+      part = null;
+      fired.clear();
+    },
+  };
+}
+
+/**
+ * @param {(noteIndex:number, time:number) => boolean|void} onNote
+ *   予約時刻 time に鳴らすべきノート。false を返すと「まだ鳴らしていない」扱いになり、次の再開時に再び呼ばれる
+ * @param {(click:object, time:number) => void} [onClick] メトロノーム／カウントインのクリック
+ * @param {(takeNoteIndex:number, time:number) => void} [onTakeNote] テイク（takes.js）のノート
+ */
+export function createNoteScheduler(onNote, onClick = () => {}, onTakeNote = () => {}) {
+  const transport = Tone.getTransport();
+  transport.stop();
+  transport.bpm.value = TRANSPORT_BPM;
+  transport.loop = false;
+
+  let running = false;
+  let startAt = 0;      // 再開が効くオーディオ時刻
+  let held = 0;         // 停止中の位置（再生ヘッド秒）
+  let loopRange = null;
+  const wraps = [];     // ループ折り返しのオーディオ時刻（描画側が takeWrap で受け取る）
+  const cues = [];      // cueOnce の予約（Transport のイベント id）。止める・位置を移すと取り消す
+
+  const notesLane = createLane((ev, time) => onNote(ev.key, time));
+  const clicksLane = createLane((ev, time) => onClick(ev, time));
+  const takeLane = createLane((ev, time) => onTakeNote(ev.key, time));
+  const lanes = [notesLane, clicksLane, takeLane];
+
+  const ppq = () => transport.PPQ;
+  const toTicks = (sec) => Math.max(0, Math.round(sec * ppq()));
+
+  const onTransportLoop = (time) => {
+    for (const lane of lanes) lane.fired.clear();
+    wraps.push(time);
+  };
+  transport.on("loop", onTransportLoop);
+
+  const halt = () => {
+    transport.stop(Tone.immediate());
+    running = false;
+  };
+
+  const clearCues = () => {
+    for (const id of cues.splice(0)) transport.clear(id);
+  };
+
+  const restart = (fromSec, delay = 0) => {
+    held = Math.max(0, fromSec);
+    startAt = Tone.immediate() + RESTART_GAP + delay;
+    transport.start(startAt, `${toTicks(held)}i`);
+    running = true;
+    return startAt;
+  };
+
+  const api = {
+    /** ノートを着地時刻に並べ直す（曲の読込・リサイズ時） */
+    setNotes(notes, lead) {
+      notesLane.set(notes.map((n) => ({ key: n.i, at: n.start + lead })), toTicks);
+    },
+
+    /** テイクのノート（曲の秒）を並べ直す。空配列で止める */
+    setTakeNotes(notes, lead) {
+      takeLane.set(notes.map((n, k) => ({ key: k, at: n.start + lead })), toTicks);
+    },
+
+    /** クリックを並べ直す。@param {{ at:number, accent:boolean }[]} clicks at は再生ヘッド秒 */
+    setClicks(clicks) {
+      clicksLane.set(clicks.map((c, k) => ({ ...c, key: k })), toTicks);
+    },
+
+    /** 現在（実際に聞こえている時刻）の再生ヘッド秒 */
+    position() {
+      if (!running) return held;
+      const nowTime = Tone.immediate();
+      if (nowTime < startAt) return held;
+      return transport.getTicksAtTime(nowTime) / ppq();
+    },
+
+    get running() {
+      return running;
+    },
+
+    /**
+     * fromSec から再生する。一時停止で途切れた先の予約は鳴らし直す
+     * @param {number} [delay] 動き出すまでの待ち（秒。カウントイン用）
+     * @returns {number} 動き出すオーディオ時刻
+     */
+    start(fromSec, delay = 0) {
+      clearCues();
+      for (const lane of lanes) lane.forgetFrom(fromSec);
+      return restart(fromSec, delay);
+    },
+
+    /** 再生ヘッド秒 atSec で一度だけ fn(time) を呼ぶ（再生前カウントインの、動き出した後のクリック） */
+    cueOnce(atSec, fn) {
+      cues.push(transport.scheduleOnce(fn, `${toTicks(atSec)}i`));
+    },
+
+    /**
+     * 一時停止する。at を渡すとその位置で止めたことにする（待機モードで着地位置に戻す）
+     * @returns {number} 止めた位置
+     */
+    pause(at) {
+      if (running) {
+        held = api.position();
+        halt();
+      }
+      clearCues();
+      if (at != null) held = Math.max(0, at);
+      return held;
+    },
+
+    /** 現在位置から予約し直す（鳴らし済みは保ったまま、見送ったノートだけを拾い直す） */
+    requeue() {
+      if (!running) return;
+      const at = api.position();
+      halt();
+      restart(at);
+    },
+
+    /** 位置を移す。鳴らした記録はすべて忘れる */
+    seek(sec) {
+      clearCues();
+      for (const lane of lanes) lane.fired.clear();
+      if (running) {
+        halt();
+        restart(sec);
+      } else {
+        held = Math.max(0, sec);
+      }
+    },
+
+    setRate(rate) {
+      transport.bpm.value = TRANSPORT_BPM * rate;
+    },
+
+    /** ループ区間（再生ヘッド秒）。null で解除 */
+    setLoop(range) {
+      if (range && range.end > range.start) {
+        transport.setLoopPoints(`${toTicks(range.start)}i`, `${toTicks(range.end)}i`);
+        transport.loop = true;
+        loopRange = { start: range.start, end: range.end };
+      } else {
+        transport.loop = false;
+        loopRange = null;
+      }
+    },
+
+    get loopRange() {
+      return loopRange;
+    },
+
+    /** 前回の呼び出し以降、聞こえている時刻がループで折り返したか */
+    takeWrap() {
+      const nowTime = Tone.immediate();
+      let wrapped = false;
+      while (wraps.length && wraps[0] <= nowTime) {
+        wraps.shift();
+        wrapped = true;
+      }
+      return wrapped;
+    },
+
+    /** ループで巻き戻る瞬間（オーディオ時刻）を受け取る */
+    onLoop(fn) {
+      transport.on("loop", fn);
+      return () => transport.off("loop", fn);
+    },
+
+    dispose() {
+      clearCues();
+      for (const lane of lanes) lane.dispose();
+      transport.off("loop", onTransportLoop);
+      transport.stop();
+      transport.loop = false;
+      running = false;
+      wraps.length = 0;
+    },
+  };
+  return api;
+}
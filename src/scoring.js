@@ -0,0 +1,177 @@
+/**
+ * 採点（ノート単位の判定とタイミング精度）
+ * - 打鍵を notes（start/end/midi）の着地時刻と照合し、perfect/good/early/late に分類
+ * - 判定窓を過ぎても押されなかったノートは missed、どのノートにも合わない打鍵は wrong
+ * - 判定窓は実時間（秒）。再生速度 rate で割り戻して評価する
+ * - 精度は wrong の打鍵も分母に数える（鍵盤を乱打しても 100% にならない）
+ * - 待機モードで待っていた音は、正しい鍵盤を押せば perfect とし、タイミングの平均には入れない
+ *
+ * 時刻は waitMode.js と同じく再生ヘッド基準（着地時刻 = note.start + lead）。
+ */
+
+export const DEFAULT_WINDOWS = {
+  perfect: 0.05, // ±50ms
+  good: 0.1,     // ±100ms
+  hit: 0.2,      // ±200ms（これを超えると early/late でもなく未判定）
+};
+
+/** 判定の厳しさプリセット */
+export const JUDGE_PRESETS = {
+  easy: { perfect: 0.08, good: 0.15, hit: 0.3 },
+  normal: DEFAULT_WINDOWS,
+  strict: { perfect: 0.035, good: 0.07, hit: 0.14 },
+};
+
+export const JUDGMENTS = ["perfect", "good", "early", "late", "missed", "wrong"];
+
+const POINTS = { perfect: 1, good: 0.8, early: 0.5, late: 0.5, missed: 0 };
+
+export const JUDGMENT_LABELS = {
+  perfect: "Perfect",
+  good: "Good",
+  early: "Early",
+  late: "Late",
+  missed: "Miss",
+  wrong: "Wrong",
+};
+
+/** 実時間のずれ（秒、負=早い）→ 判定。窓外なら null */
+export function classifyOffset(offsetSec, windows = DEFAULT_WINDOWS) {
+  const abs = Math.abs(offsetSec);
+  if (abs <= windows.perfect) return "perfect";
+  if (abs <= windows.good) return "good";
+  if (abs <= windows.hit) return offsetSec < 0 ? "early" : "late";
+  return null;
+}
+
+/**
+ * 採点器
+ * @param {{ windows?: typeof DEFAULT_WINDOWS }} [options]
+ */
+export function createScorer({ windows = DEFAULT_WINDOWS } = {}) {
+  const state = {
+    from: 0,
+    cursor: 0,
+    results: new Map(), // note.i -> { judgment, offset }
+    wrong: [],          // { midi, t }
+    counts: Object.fromEntries(JUDGMENTS.map((j) => [j, 0])),
+    combo: 0,
+    maxCombo: 0,
+    points: 0,
+    offsetSum: 0,
+    offsetCount: 0,
+  };
+
+  const record = (note, judgment, offset, timed = true) => {
+    state.results.set(note.i, { judgment, offset });
+    state.counts[judgment] += 1;
+    state.points += POINTS[judgment] ?? 0;
+    if (judgment === "missed") {
+      state.combo = 0;
+    } else {
+      state.combo += 1;
+      state.maxCombo = Math.max(state.maxCombo, state.combo);
+      if (timed) {
+        state.offsetSum += offset;
+        state.offsetCount += 1;
+      }
+    }
+  };
+
+  return {
+    windows,
+
+    /** from より前に着地するノートは採点対象外としてやり直す */
+    reset(from = 0) {
+      state.from = from;
+      state.cursor = 0;
+      state.results.clear();
+      state.wrong = [];
+      for (const j of JUDGMENTS) state.counts[j] = 0;
+      state.combo = 0;
+      state.maxCombo = 0;
+      state.points = 0;
+      state.offsetSum = 0;
+      state.offsetCount = 0;
+    },
+
+    /**
+     * 打鍵 1 回を判定する。
+     * @param {object} p
+     * @param {boolean} [p.waited] 待機モードで止まって待っていた音（ずれを問わず perfect、平均には入れない）
+     * @returns {{ judgment:string, note:object|null, offset:number }}
+     */
+    judgeInput({ notes, midi, t, lead, rate = 1, isRequired = () => true, waited = false }) {
+      const reach = windows.hit * rate; // 再生ヘッド秒に換算した判定窓
+      let best = null;
+      let bestAbs = Infinity;
+      for (let i = state.cursor; i < notes.length; i++) {
+        const n = notes[i];
+        const landing = n.start + lead;
+        if (landing > t + reach) break;
+        if (n.midi !== midi || state.results.has(n.i) || !isRequired(n)) continue;
+        if (landing < state.from - 1e-6) continue;
+        const abs = Math.abs(t - landing);
+        if (abs <= reach && abs < bestAbs) {
+          best = n;
+          bestAbs = abs;
+        }
+      }
+      if (best) {
+        const offset = waited ? 0 : (t - (best.start + lead)) / rate;
+        const judgment = classifyOffset(offset, windows) ?? (offset < 0 ? "early" : "late");
+        record(best, judgment, offset, !waited);
+        return { judgment, note: best, offset };
+      }
+      state.wrong.push({ midi, t });
+      state.counts.wrong += 1;
+      state.combo = 0;
+      return { judgment: "wrong", note: null, offset: 0 };
+    },
+
+    /**
+     * 判定窓を過ぎた未打鍵ノートを missed にする（描画ループから毎フレーム呼ぶ）。
+     * @returns {object[]} 今回 missed になったノート
+     */
+    sweepMisses({ notes, t, lead, rate = 1, isRequired = () => true }) {
+      const reach = windows.hit * rate;
+      const missed = [];
+      let i = state.cursor;
+      for (; i < notes.length; i++) {
+        const n = notes[i];
+        const landing = n.start + lead;
+        if (landing + reach >= t) break;
+        if (landing < state.from - 1e-6 || state.results.has(n.i) || !isRequired(n)) continue;
+        record(n, "missed", 0);
+        missed.push(n);
+      }
+      state.cursor = i;
+      return missed;
+    },
+
+    resultFor(noteIndex) {
+      return state.results.get(noteIndex) ?? null;
+    },
+
+    /** ライブ表示・終了時サマリ用の集計 */
+    summary() {
+      const judged = state.results.size;
+      const attempts = judged + state.counts.wrong;
+      return {
+        counts: { ...state.counts },
+        judged,
+        combo: state.combo,
+        maxCombo: state.maxCombo,
+        accuracy: attempts ? state.points / attempts : 0,
+        meanOffsetMs: state.offsetCount ? (state.offsetSum / state.offsetCount) * 1000 : 0,
+      };
+    },
+  };
+}
+
+/** 2 つのサマリを比べ、a の方が良ければ true（精度 → 最大コンボの順） */
+export function isBetterScore(a, b) {
+  if (!b) return true;
+  if (a.accuracy !== b.accuracy) return a.accuracy > b.accuracy;
+  return (a.maxCombo ?? 0) > (b.maxCombo ?? 0);
+}
@@ -0,0 +1,105 @@
+/**
+ * 設定の保存形式（バージョン付き）と移行
+ * - グローバル設定：起動時に復元し、変更のたびに保存（db.js の loadGlobalSettings / saveGlobalSettings）
+ * - 曲ごとの設定：ライブラリの各曲のメタ settings に保存し、loadFromLibrary で適用
+ *
+ * 保存形式は { version, values }。読み込み時は migrateSettings で現在の版に上げてから
+ * スキーマで検証し、不正な値・未知のキーは捨てる（既定値のまま）。
+ * 形式を変えるときは SETTINGS_VERSION を上げ、MIGRATIONS に前の版からの変換を足す。
+ */
+
+export const SETTINGS_VERSION = 1;
+
+const oneOf = (...xs) => (v) => xs.includes(v);
+const numberIn = (lo, hi) => (v) => typeof v === "number" && Number.isFinite(v) && v >= lo && v <= hi;
+const bool = (v) => typeof v === "boolean";
+const nullable = (check) => (v) => v === null || check(v);
+const plainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const text = (v) => typeof v === "string" && v.length > 0;
+
+const rate = numberIn(0.1, 2);
+const rangePreset = oneOf("auto", "24", "48", "61", "76", "88");
+const handMode = oneOf("both", "left", "right");
+const otherHand = oneOf("auto", "quiet", "mute");
+
+/** アプリ全体の好み */
+export const GLOBAL_SCHEMA = {
+  rate,
+  effectLevel: oneOf("focus", "standard", "fun-refined", "fun-elegant", "fun-colorful", "fun-original"),
+  noteStyle: oneOf("rect", "note-jp", "note-en", "star", "heart"),
+  labelMode: oneOf("none", "c-only-jp", "c-only-en", "DoReMi", "AG"),
+  rangePreset,
+  sound: oneOf("synth", "piano", "piano-bright"),
+  loopEnabled: bool,
+  waitMode: bool,
+  scoringEnabled: bool,
+  judgeLevel: oneOf("easy", "normal", "strict"),
+  pedalEnabled: bool,
+  metronomeEnabled: bool,
+  metronomeVolume: numberIn(0, 1),
+  countInBars: oneOf(0, 1, 2),
+  countInEachRepeat: bool,
+  snapToBars: bool,
+  handMode,
+  otherHand,
+  librarySort: oneOf("date", "name", "played", "difficulty", "duration"),
+  touchKeys: bool,
+  qwertyPiano: bool,
+  shortcuts: plainObject, // 既定から変えた割り当てだけ（shortcuts.js）
+  seekStep: oneOf(2, 5, 10),
+  learnerId: nullable(text), // 初見練習の学習者（db.js の learners）
+  fingering: bool, // 指番号の表示（fingering.js）
+};
+
+/** 曲ごと（A/B 点は lead に依らない曲の秒で持つ） */
+export const SONG_SCHEMA = {
+  rate,
+  rangePreset,
+  abA: nullable(numberIn(0, 1e5)),
+  abB: nullable(numberIn(0, 1e5)),
+  abEnabled: bool,
+  handMode,
+  otherHand,
+  handSplit: numberIn(21, 108),
+  trackState: plainObject,
+  speedPlan: plainObject,
+};
+
+/** MIGRATIONS[n] は版 n → n+1 の変換 */
+const MIGRATIONS = [
+  // v0：バージョン無しの素のオブジェクト（旧 saveSong の settings 引数）。値はそのまま使う
+  ({ version, ...values }) => ({ version: 1, values }),
+];
+
+/** 保存されていた値を現在の版に上げる。読めないものは null */
+export function migrateSettings(raw) {
+  if (!plainObject(raw)) return null;
+  let current = typeof raw.version === "number" ? raw : { ...raw, version: 0 };
+  while (current.version < SETTINGS_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) return null;
+    current = step(current);
+  }
+  // 新しい版で保存されたもの（アプリを戻した等）も、分かるキーだけ読む
+  return plainObject(current.values) ? current : null;
+}
+
+/** 保存データ → スキーマに合う値だけのオブジェクト */
+export function readSettings(raw, schema) {
+  const migrated = migrateSettings(raw);
+  const out = {};
+  if (!migrated) return out;
+  for (const [key, valid] of Object.entries(schema)) {
+    if (key in migrated.values && valid(migrated.values[key])) out[key] = migrated.values[key];
+  }
+  return out;
+}
+
+/** 値 → 保存データ */
+export function packSettings(values, schema) {
+  const out = {};
+  for (const [key, valid] of Object.entries(schema)) {
+    if (key in values && valid(values[key])) out[key] = values[key];
+  }
+  return { version: SETTINGS_VERSION, values: out };
+}
@@ -0,0 +1,99 @@
+/**
+ * キーボードショートカット（再生・練習の操作）
+ * - 割り当ては { アクション id: キー } で持ち、全体設定（settings.js の shortcuts）に保存する。1 アクション 1 キー
+ * - キーは KeyboardEvent.key から作る文字列（"Space" / "Shift+ArrowLeft" / "B" / "?" など）。
+ *   記号は Shift を含めず文字そのもので表す（配列によって Shift の要否が違うため）
+ * - 文字入力中は反応しない（qwertyPiano.js の isTypingTarget）。パソコンのキーボードでピアノを弾いている間は、
+ *   ピアノのキー（qwertyPiano.js）が優先される。既定の割り当てはそれらとぶつからないキーにしてある
+ */
+
+export const SEEK_STEP_OPTIONS = [2, 5, 10];
+
+/** group は一覧（ヘルプ）の見出し。repeat はキーを押し続けたときに繰り返す */
+export const SHORTCUT_ACTIONS = [
+  { id: "togglePlay", group: "再生", label: "再生 / 一時停止", key: "Space" },
+  { id: "stop", group: "再生", label: "停止（先頭へ）", key: "Home" },
+  { id: "seekBackward", group: "再生", label: "少し戻る", key: "ArrowLeft", repeat: true },
+  { id: "seekForward", group: "再生", label: "少し進む", key: "ArrowRight", repeat: true },
+  { id: "prevBar", group: "再生", label: "前の小節へ", key: "Shift+ArrowLeft", repeat: true },
+  { id: "nextBar", group: "再生", label: "次の小節へ", key: "Shift+ArrowRight", repeat: true },
+  { id: "setA", group: "練習", label: "A 点を設定", key: "," },
+  { id: "setB", group: "練習", label: "B 点を設定", key: "." },
+  { id: "toggleAB", group: "練習", label: "A-B リピートの切替", key: "B" },
+  { id: "toggleLoop", group: "練習", label: "曲ループの切替", key: "R" },
+  { id: "rangePrev", group: "表示", label: "鍵盤の範囲（前の選択肢）", key: "-" },
+  { id: "rangeNext", group: "表示", label: "鍵盤の範囲（次の選択肢）", key: "=" },
+  { id: "effectNext", group: "表示", label: "エフェクトを切替", key: "M" },
+  { id: "focusMode", group: "表示", label: "フォーカスモードの切替", key: "I" },
+  ...[0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.85, 0.9, 1.0].map((rate, k) => ({
+    id: `rate${Math.round(rate * 100)}`,
+    group: "速度",
+    label: `速度 ${Math.round(rate * 100)}%`,
+    key: String((k + 1) % 10),
+    rate,
+  })),
+  { id: "help", group: "その他", label: "ショートカット一覧", key: "?" },
+];
+
+export const DEFAULT_SHORTCUTS = Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.key]));
+
+const MODIFIER_KEYS = new Set(["Shift", "Control", "Alt", "Meta", "CapsLock", "Dead", "Process", "Unidentified"]);
+const KEY_NAMES = { " ": "Space", Spacebar: "Space", Esc: "Escape", Left: "ArrowLeft", Right: "ArrowRight", Up: "ArrowUp", Down: "ArrowDown" };
+const KEY_SYMBOLS = { Space: "Space", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+
+/** キーイベント → キー文字列。修飾キーだけ・IME 変換中は null */
+export function comboFromEvent(e) {
+  if (e.isComposing || MODIFIER_KEYS.has(e.key)) return null;
+  const key = KEY_NAMES[e.key] ?? e.key;
+  const printable = key.length === 1;
+  const letter = /^[a-z]$/i.test(key);
+  const parts = [];
+  if (e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.metaKey) parts.push("Meta");
+  if (e.shiftKey && (!printable || letter)) parts.push("Shift");
+  parts.push(printable ? key.toUpperCase() : key);
+  return parts.join("+");
+}
+
+/** 表示用（"Shift+ArrowLeft" → "Shift + ←"） */
+export function formatCombo(combo) {
+  if (!combo) return "なし";
+  const [, mods, key] = combo.match(/^((?:(?:Ctrl|Alt|Meta|Shift)\+)*)(.+)$/); // "+" キー自体もある
+  return [...(mods ? mods.slice(0, -1).split("+") : []), KEY_SYMBOLS[key] ?? key].join(" + ");
+}
+
+/** 保存された割り当てを既定に重ねる（未知のアクション・文字列でない値は捨てる） */
+export function normalizeShortcuts(saved) {
+  const out = { ...DEFAULT_SHORTCUTS };
+  if (saved && typeof saved === "object") {
+    for (const id of Object.keys(DEFAULT_SHORTCUTS)) {
+      const v = saved[id];
+      if (v === null || (typeof v === "string" && v)) out[id] = v;
+    }
+  }
+  return out;
+}
+
+/** キーに割り当てたアクション id（無ければ null） */
+export function actionForCombo(bindings, combo) {
+  if (!combo) return null;
+  for (const [id, key] of Object.entries(bindings)) if (key === combo) return id;
+  return null;
+}
+
+/**
+ * id に combo を割り当てる。同じキーを使っていたアクションは割り当てなしになる
+ * @returns {{ bindings:object, displaced:string|null }} displaced は外れたアクション id
+ */
+export function assignShortcut(bindings, id, combo) {
+  const displaced = combo ? actionForCombo(bindings, combo) : null;
+  const next = { ...bindings, [id]: combo };
+  if (displaced && displaced !== id) next[displaced] = null;
+  return { bindings: next, displaced: displaced !== id ? displaced : null };
+}
+
+/** 既定から変えた分だけ（保存用） */
+export function changedShortcuts(bindings) {
+  return Object.fromEntries(Object.entries(bindings).filter(([id, key]) => DEFAULT_SHORTCUTS[id] !== key));
+}
@@ -0,0 +1,188 @@
+import { Midi } from "@tonejs/midi";
+
+/**
+ * 曲データ形式（.song.json）：人が書ける宣言的な曲の表し方。内蔵カタログ（public/songs）はこの形式で持つ
+ *
+ * {
+ *   "format": "fnp-song", "version": 1,
+ *   "id": "twinkle", "title": "きらきら星", "composer": "フランス民謡", "tags": ["童謡"], "level": 1,
+ *   "key": "C", "scale": "major", "meter": "4/4", "tempo": 96, "pickup": 0,
+ *   "right": ["C4:q:1 C4:q:1 G4:q:4 G4:q:4 | A4:q:5 A4:q:5 G4:h:4 | …", "…"],
+ *   "left": ["C3:w | F3:h C3:h | …", "…"],
+ *   "lyrics": "Twin kle twin kle lit tle star …"
+ * }
+ *
+ * - 手のパートは小節を "|" で区切った音の並び（文字列、または行ごとの文字列の配列）。1 音は「音高:長さ[:指]」
+ *   - 音高：C4 / F#4 / Bb3（C4 = 中央のド）。休符は r、和音は + でつなぐ（C3+E3+G3:h:5+3+1）
+ *   - 長さ：w h q e s（全・2 分・4 分・8 分・16 分音符）、付点は "."（q.）
+ * - 小節の長さは拍子と合わせる。pickup（4 分音符いくつ分）があれば最初の小節は弱起、最後の小節は短くてよい
+ * - key / scale は表示・検索用（音高はそのまま書く）
+ * - lyrics は右手の音（和音は 1 つ）に順に付ける歌詞。空白区切りで、"_" はその音に歌詞なし
+ *
+ * 読み込みは MusicXML と同じく Midi（メモリ上）へ変換し、運指・歌詞は Note に finger / lyric として付ける。
+ */
+
+export const SONG_DATA_FORMAT = "fnp-song";
+export const SONG_DATA_VERSION = 1;
+export const isSongDataName = (name) => /\.song\.json$/i.test(name);
+
+const PPQ = 480;
+const STEP_SEMITONE = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const DURATION_BEATS = { w: 4, h: 2, q: 1, e: 0.5, s: 0.25 };
+const HAND_VELOCITY = { right: 0.8, left: 0.65 };
+const NOTE_GAP_SEC = 0.08; // 連打が画面上で 1 本につながらないように（generator.js と同じ）
+const HAND_LABELS = { right: "右手", left: "左手" };
+// トラック名は ASCII で（@tonejs/midi は 1 文字 1 バイトで書くので、書き出しで日本語が化ける）
+const TRACK_NAMES = { right: "Right Hand", left: "Left Hand" };
+
+/** "F#4" → 66。読めなければ null */
+export function pitchToMidi(text) {
+  const m = /^([A-G])(#|b)?(-?\d)$/.exec(text);
+  if (!m) return null;
+  const midi = (Number(m[3]) + 1) * 12 + STEP_SEMITONE[m[1]] + (m[2] === "#" ? 1 : m[2] === "b" ? -1 : 0);
+  return midi >= 0 && midi <= 127 ? midi : null;
+}
+
+/**
+ * 手のパートを読む。拍はすべて 4 分音符単位
+ * @param {string} text
+ * @param {string} [label] エラーの見出し（"右手" など）
+ * @returns {{ bars:{ start:number, length:number, notes:{ pitches:number[], fingers:(number|null)[], start:number, beats:number }[] }[] }}
+ *   notes に休符は入らない（時刻だけ進む）
+ */
+export function parsePart(text, label = "パート") {
+  const bars = [];
+  let cursor = 0;
+  String(text ?? "").split("|").forEach((barText, index) => {
+    const tokens = barText.trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) {
+      if (index === 0) return; // 先頭の "|" は許す
+      throw new Error(`${label} ${bars.length + 1} 小節目が空です`);
+    }
+    const bar = { start: cursor, length: 0, notes: [] };
+    for (const token of tokens) {
+      const [pitchText, durText, fingerText] = token.split(":");
+      const dm = /^([whqes])(\.)?$/.exec(durText ?? "");
+      if (!dm) throw new Error(`${label} ${bars.length + 1} 小節目「${token}」の長さが読めません`);
+      const beats = DURATION_BEATS[dm[1]] * (dm[2] ? 1.5 : 1);
+      if (pitchText !== "r") {
+        const pitches = pitchText.split("+").map(pitchToMidi);
+        if (pitches.some((p) => p == null)) throw new Error(`${label} ${bars.length + 1} 小節目「${token}」の音高が読めません`);
+        const fingers = pitches.map((_, k) => {
+          const f = Number(fingerText?.split("+")[k]);
+          return f >= 1 && f <= 5 ? f : null;
+        });
+        bar.notes.push({ pitches, fingers, start: cursor, beats });
+      }
+      cursor += beats;
+      bar.length += beats;
+    }
+    bars.push(bar);
+  });
+  return { bars };
+}
+
+const nearly = (a, b) => Math.abs(a - b) < 1e-6;
+
+/**
+ * JSON（オブジェクト）を検証して整える。合わないところがあれば Error（日本語のメッセージ）
+ * @returns {object} 元の項目に meter:[分子, 分母]・parts:{ right, left? }・lyrics:string[] を加えたもの
+ */
+export function parseSongData(json) {
+  if (!json || typeof json !== "object" || json.format !== SONG_DATA_FORMAT) throw new Error("曲データ形式ではありません");
+  if (json.version > SONG_DATA_VERSION) throw new Error("新しい版の曲データです。アプリを更新してください");
+  const mm = /^(\d+)\/(\d+)$/.exec(json.meter ?? "4/4");
+  if (!mm) throw new Error(`拍子「${json.meter}」が読めません`);
+  const meter = [Number(mm[1]), Number(mm[2])];
+  const tempo = Number(json.tempo ?? 100);
+  if (!(tempo >= 20 && tempo <= 300)) throw new Error("テンポは 20〜300 にしてください");
+  if (typeof json.right !== "string" && !Array.isArray(json.right)) throw new Error("右手（right）がありません");
+
+  const barBeats = (meter[0] * 4) / meter[1];
+  const pickup = Number(json.pickup ?? 0);
+  if (!(pickup >= 0 && pickup < barBeats)) throw new Error("弱起（pickup）は 1 小節より短くしてください");
+
+  const parts = {};
+  for (const hand of ["right", "left"]) {
+    if (json[hand] == null) continue;
+    const text = Array.isArray(json[hand]) ? json[hand].join(" | ") : json[hand];
+    const { bars } = parsePart(text, HAND_LABELS[hand]);
+    bars.forEach((bar, k) => {
+      const expected = k === 0 && pickup ? pickup : barBeats;
+      const last = k === bars.length - 1;
+      if (nearly(bar.length, expected) || (last && pickup && bar.length < barBeats)) return;
+      throw new Error(`${HAND_LABELS[hand]} ${k + 1} 小節目の長さが拍子と合いません`);
+    });
+    parts[hand] = bars;
+  }
+  if (parts.left && parts.left.length !== parts.right.length) throw new Error("右手と左手の小節の数が違います");
+  const lyrics = typeof json.lyrics === "string" ? json.lyrics.trim().split(/\s+/).filter(Boolean) : [];
+  const rightNotes = parts.right.reduce((sum, bar) => sum + bar.notes.length, 0);
+  if (lyrics.length > rightNotes) throw new Error("歌詞が右手の音より多くあります");
+
+  return {
+    ...json,
+    title: String(json.title ?? ""),
+    tags: Array.isArray(json.tags) ? json.tags.map(String) : [],
+    meter,
+    tempo,
+    pickup,
+    parts,
+    lyrics,
+  };
+}
+
+/**
+ * 曲データのバイト列 → Midi と小節番号（musicxml.js の musicXmlToMidi と同じ形）
+ * @param {Uint8Array} bytes
+ * @returns {{ midi:Midi, measures:{ticks:number,number:string}[], title:string|null }}
+ */
+export function songDataToMidi(bytes) {
+  let json;
+  try {
+    json = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("曲データとして読めません");
+  }
+  const song = parseSongData(json);
+  const [numerator, denominator] = song.meter;
+  const toTicks = (beats) => Math.round(beats * PPQ);
+
+  const midi = new Midi();
+  midi.header.setTempo(song.tempo);
+  const meters = [];
+  if (song.pickup) {
+    const pickupUnits = (song.pickup * denominator) / 4;
+    if (!Number.isInteger(pickupUnits)) throw new Error("弱起の長さが拍子の分母で割り切れません");
+    meters.push({ ticks: 0, timeSignature: [pickupUnits, denominator] });
+  }
+  meters.push({ ticks: toTicks(song.pickup), timeSignature: [numerator, denominator] });
+  midi.header.timeSignatures = meters;
+  midi.header.update();
+  if (song.title) midi.header.name = song.title;
+
+  const gapTicks = toTicks((NOTE_GAP_SEC * song.tempo) / 60);
+  let lyricIndex = 0;
+  for (const hand of ["right", "left"]) {
+    const bars = song.parts[hand];
+    if (!bars) continue;
+    const track = midi.addTrack();
+    track.name = TRACK_NAMES[hand];
+    bars.forEach((bar, k) => {
+      const measure = String(song.pickup ? k : k + 1);
+      for (const { pitches, fingers, start, beats } of bar.notes) {
+        const lyric = hand === "right" ? song.lyrics[lyricIndex++] : undefined;
+        const durationTicks = Math.max(toTicks(beats) / 2, toTicks(beats) - gapTicks);
+        pitches.forEach((pitch, p) => {
+          const note = { midi: pitch, ticks: toTicks(start), durationTicks, velocity: HAND_VELOCITY[hand], measure };
+          if (fingers[p]) note.finger = fingers[p];
+          if (p === 0 && lyric && lyric !== "_") note.lyric = lyric;
+          track.addNote(note);
+        });
+      }
+    });
+  }
+
+  const measures = song.parts.right.map((bar, k) => ({ ticks: toTicks(bar.start), number: String(song.pickup ? k : k + 1) }));
+  return { midi, measures, title: song.title || null };
+}
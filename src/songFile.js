@@ -0,0 +1,104 @@
+import { Midi } from "@tonejs/midi";
+import { isMusicXmlName, musicXmlToMidi } from "./musicxml";
+import { isSongDataName, songDataToMidi } from "./songData";
+
+/**
+ * 曲ファイルの形式ごとの読み込み（MIDI / MusicXML / 曲データ .song.json）
+ * どの形式も @tonejs/midi の Midi にそろえ、楽譜由来の小節番号（measures）を添えて返す。
+ * ライブラリには元のバイト列と format を保存し、開くときも同じ経路を通す。
+ * 画面・採点・ライブラリのメタ（ノート数・難易度）は、どれも songNotes で並べた同じノートを使う。
+ */
+
+export const SONG_FORMATS = ["midi", "musicxml", "songdata"];
+export const FORMAT_LABELS = { midi: "MIDI", musicxml: "MusicXML", songdata: "曲データ" };
+export const SONG_ACCEPT = ".mid,.midi,.musicxml,.mxl,.xml,.json,audio/midi,audio/x-midi";
+
+export const isMidiName = (name) => /\.midi?$/i.test(name);
+
+/** ファイル名から形式を決める（分からなければ null） */
+export function songFormatOf(name) {
+  if (isMidiName(name)) return "midi";
+  if (isMusicXmlName(name)) return "musicxml";
+  if (isSongDataName(name)) return "songdata";
+  return null;
+}
+
+/** 拡張子を除いた表示名 */
+export function songTitleOf(name) {
+  return name.replace(/\.(midi?|musicxml|mxl|xml|song\.json)$/i, "") || name;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {"midi"|"musicxml"|"songdata"} format
+ * @returns {Promise<{ midi:Midi, measures:{ticks:number,number:string}[] }>}
+ */
+export async function decodeSong(bytes, format = "midi") {
+  if (format === "musicxml") {
+    const { midi, measures } = await musicXmlToMidi(bytes);
+    return { midi, measures };
+  }
+  if (format === "songdata") {
+    const { midi, measures } = songDataToMidi(bytes);
+    return { midi, measures };
+  }
+  return { midi: new Midi(bytes), measures: [] };
+}
+
+const A0_MIDI = 21;
+const C8_MIDI = 108;
+const VISUAL_MERGE_GAP = 0.06;
+
+/** 同じトラック・同じ音高で連続するノートを 1 本にまとめる（track 等の付帯情報は先頭ノートのものを保持） */
+function mergeConsecutiveNotes(notes, gap = VISUAL_MERGE_GAP) {
+  const out = [];
+  const byPitch = new Map();
+  for (const n of notes) {
+    const key = `${n.track ?? 0}:${n.midi}`;
+    if (!byPitch.has(key)) byPitch.set(key, []);
+    byPitch.get(key).push(n);
+  }
+  for (const arr of byPitch.values()) {
+    arr.sort((a, b) => a.start - b.start);
+    let cur = { ...arr[0] };
+    for (let i = 1; i < arr.length; i++) {
+      const nxt = arr[i];
+      const g = nxt.start - cur.end;
+      if (g <= gap && g >= -0.001) {
+        cur.end = Math.max(cur.end, nxt.end);
+        cur.vel = Math.max(cur.vel, nxt.vel);
+      } else {
+        out.push(cur);
+        cur = { ...nxt };
+      }
+    }
+    out.push(cur);
+  }
+  out.sort((a, b) => a.start - b.start);
+  return out.map((n, i) => ({ ...n, i }));
+}
+
+/**
+ * Midi → 弾くノートの並び（打楽器・鍵盤外を除き、連続する同じ音をまとめる。開始順、i は通し番号）
+ * @returns {{ i:number, midi:number, start:number, end:number, vel:number, track:number, trackName:string,
+ *   channel:number, instrument:string, finger?:number, lyric?:string }[]}
+ */
+export function songNotes(midi) {
+  const flat = [];
+  midi.tracks.forEach((tr, trackIndex) => {
+    if (tr.channel === 9 || tr.instrument?.percussion) return;
+    const trackName = tr.name || `Track ${trackIndex + 1}`;
+    const instrument = tr.instrument?.name || "";
+    for (const n of tr.notes) {
+      if (n.midi < A0_MIDI || n.midi > C8_MIDI) continue;
+      flat.push({
+        i: flat.length, midi: n.midi, start: n.time, end: n.time + (n.duration ?? 0), vel: n.velocity,
+        track: trackIndex, trackName, channel: tr.channel, instrument,
+        ...(n.finger ? { finger: n.finger } : null), // 楽譜（MusicXML・曲データ）の運指
+        ...(n.lyric ? { lyric: n.lyric } : null), // 曲データの歌詞
+      });
+    }
+  });
+  flat.sort((a, b) => a.start - b.start);
+  return mergeConsecutiveNotes(flat);
+}
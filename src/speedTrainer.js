@@ -0,0 +1,102 @@
+/**
+ * 段階練習（A-B 区間を周回しながら速度を上げる）
+ * - startRate から始め、条件を満たした周回が passes 回続くたびに step ずつ上げ、targetRate で止める
+ * - requireClean のときはミス（missed）もミスタッチ（wrong）もない周回だけを数える
+ * - 周回ごとの結果（速度・クリーンか・正確さ）をログに残す
+ *
+ * 区間は曲の秒（再生ヘッド秒 - lead）で表し、楽曲メタ（db.js の practice）に区間ごとに保存する。
+ */
+
+export const DEFAULT_SPEED_PLAN = {
+  startRate: 0.6,
+  targetRate: 1.0,
+  step: 0.05,
+  passes: 1,
+  requireClean: true,
+};
+export const SPEED_STEPS = [0.05, 0.1];
+export const MAX_SPEED_LOG = 50;
+
+const roundRate = (r) => Math.round(r * 100) / 100;
+
+/** 保存されていた設定を既定値で補う（不正な値は既定値） */
+export function normalizeSpeedPlan(plan) {
+  const num = (v, lo, hi, d) => (typeof v === "number" && v >= lo && v <= hi ? v : d);
+  const d = DEFAULT_SPEED_PLAN;
+  return {
+    startRate: num(plan?.startRate, 0.1, 2, d.startRate),
+    targetRate: num(plan?.targetRate, 0.1, 2, d.targetRate),
+    step: num(plan?.step, 0.01, 1, d.step),
+    passes: Math.round(num(plan?.passes, 1, 20, d.passes)),
+    requireClean: typeof plan?.requireClean === "boolean" ? plan.requireClean : d.requireClean,
+  };
+}
+
+/** 区間（曲の秒）の保存キー */
+export function sectionKey(a, b) {
+  return `${a.toFixed(2)}-${b.toFixed(2)}`;
+}
+
+/** 採点サマリ（scoring.js）から、1 周がクリーンだったか */
+export function isCleanPass(summary) {
+  return summary.judged > 0 && !summary.counts.missed && !summary.counts.wrong;
+}
+
+/**
+ * @param {typeof DEFAULT_SPEED_PLAN} plan
+ * @param {object[]} [log] 保存済みのログ（続きから記録する）
+ */
+export function createSpeedTrainer(plan, log = []) {
+  // 続きから：前回の次の速度（開始速度〜目標速度の範囲）で始める
+  const resumeRate = log.length ? Math.max(plan.startRate, log[log.length - 1].nextRate) : plan.startRate;
+  const state = {
+    rate: roundRate(Math.min(resumeRate, plan.targetRate)),
+    streak: 0,
+    cycle: log.length ? log[log.length - 1].cycle : 0,
+    log: [...log],
+  };
+
+  return {
+    plan,
+    get rate() {
+      return state.rate;
+    },
+    get streak() {
+      return state.streak;
+    },
+    get log() {
+      return state.log;
+    },
+    get reachedTarget() {
+      return state.rate >= plan.targetRate - 1e-6;
+    },
+
+    /**
+     * 1 周終えた結果を記録し、次の周の速度を決める。
+     * @returns {{ cycle:number, rate:number, clean:boolean, accuracy:number, missed:number, wrong:number, nextRate:number, at:number }}
+     */
+    completeCycle(summary) {
+      const clean = isCleanPass(summary);
+      const played = state.rate;
+      state.cycle += 1;
+      state.streak = !plan.requireClean || clean ? state.streak + 1 : 0;
+      if (state.streak >= plan.passes && state.rate < plan.targetRate - 1e-6) {
+        state.rate = roundRate(Math.min(plan.targetRate, state.rate + plan.step));
+        state.streak = 0;
+      }
+      const entry = {
+        cycle: state.cycle,
+        rate: played,
+        clean,
+        accuracy: summary.accuracy,
+        missed: summary.counts.missed,
+        wrong: summary.counts.wrong,
+        nextRate: state.rate,
+        at: Date.now(),
+      };
+      state.log.push(entry);
+      if (state.log.length > MAX_SPEED_LOG) state.log.splice(0, state.log.length - MAX_SPEED_LOG);
+      return entry;
+    },
+  };
+}
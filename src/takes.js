@@ -0,0 +1,89 @@
+import { Midi } from "@tonejs/midi";
+import { writeTimelineToHeader } from "./timeline";
+
+/**
+ * テイク（学習者の演奏の録音）
+ * - 入力ハブ（noteInput.js）の打鍵を、その時点の曲の秒（再生ヘッド秒 - lead）で記録する
+ * - 記録は再生中のみ。一時停止をはさんでも同じテイクに続けて記録する
+ * - テイクは楽曲ごとに db.js（saveTakes）へ保存し、お手本に重ねて描画・再生・.mid 書き出しができる
+ *
+ * 形式：{ id, createdAt, rate, notes: [{ midi, start, end, vel }] }（時刻は曲の秒）
+ */
+
+export const MAX_TAKES_PER_SONG = 20;
+const MIN_NOTE_SEC = 0.05;
+
+const uuid = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+
+export function createTakeRecorder() {
+  let notes = null; // 記録中のみ配列
+  let rate = 1;
+  const open = new Map(); // midi -> note（離されていない音）
+
+  return {
+    get recording() {
+      return notes != null;
+    },
+    /** 記録中のノート（離されていない音は end が仮） */
+    get notes() {
+      return notes ?? [];
+    },
+    start(currentRate = 1) {
+      notes = [];
+      open.clear();
+      rate = currentRate;
+    },
+    noteOn(midi, velocity, songSec) {
+      if (!notes) return;
+      this.noteOff(midi, songSec); // 離さずに打ち直した音は、そこで前の音を切る
+      const note = { midi, start: songSec, end: songSec + MIN_NOTE_SEC, vel: velocity };
+      open.set(midi, note);
+      notes.push(note);
+    },
+    noteOff(midi, songSec) {
+      const note = open.get(midi);
+      if (!note) return;
+      note.end = Math.max(note.start + MIN_NOTE_SEC, songSec);
+      open.delete(midi);
+    },
+    /** 押さえたままの音を songSec で離したことにする（一時停止・シーク時） */
+    releaseAll(songSec) {
+      for (const midi of [...open.keys()]) this.noteOff(midi, songSec);
+    },
+    /** 記録を終えてテイクを返す。1 音も無ければ null */
+    stop(songSec) {
+      if (!notes) return null;
+      this.releaseAll(songSec);
+      const take = notes.length
+        ? { id: uuid(), createdAt: Date.now(), rate, notes: [...notes].sort((a, b) => a.start - b.start) }
+        : null;
+      notes = null;
+      return take;
+    },
+  };
+}
+
+/** テイク → Midi（テンポ・拍子は曲のものを使う） */
+export function takeToMidi(take, timeline, trackName = "Take") {
+  const midi = new Midi();
+  writeTimelineToHeader(midi.header, timeline);
+  const track = midi.addTrack();
+  track.name = trackName;
+  for (const n of take.notes) {
+    if (n.start < 0) continue; // 曲頭より前（カウントイン中）の打鍵は書き出さない
+    track.addNote({ midi: n.midi, time: n.start, duration: Math.max(MIN_NOTE_SEC, n.end - n.start), velocity: n.vel });
+  }
+  return midi;
+}
+
+/** 新しいテイクを先頭に足し、上限を超えた古いものを落とす */
+export function addTake(takes, take) {
+  return [take, ...takes].slice(0, MAX_TAKES_PER_SONG);
+}
+
+/** 2 つのテイク一覧を id でまとめる（同じ id は a を優先）。新しい順で上限まで */
+export function mergeTakes(a, b) {
+  const byId = new Map();
+  for (const take of [...a, ...b]) if (!byId.has(take.id)) byId.set(take.id, take);
+  return [...byId.values()].sort((x, y) => (y.createdAt ?? 0) - (x.createdAt ?? 0)).slice(0, MAX_TAKES_PER_SONG);
+}
@@ -0,0 +1,214 @@
+/**
+ * テンポマップと拍子（小節線・拍線・小節:拍 表示・小節スナップ）
+ * - MIDI ヘッダのテンポ（setTempo）と拍子（timeSignature）から小節/拍の時刻（曲の秒）を並べる
+ * - テンポ・拍子が無いファイルは 120bpm / 4/4 とみなす（@tonejs/midi と同じ既定値）
+ * - 拍は拍子の分母の音符（6/8 なら 8 分音符 6 つ）。拍子が小節の途中で変わったらそこで小節を区切る
+ *
+ * 時刻はすべて曲の秒（note.start と同じ基準）。再生ヘッドとの換算（+ lead）は App 側で行う。
+ * 小節番号は通常 1 からの連番。楽譜（MusicXML）由来なら applyMeasureNumbers で譜面の番号（弱起 0 等）に合わせる。
+ */
+
+export const DEFAULT_PPQ = 480;
+export const DEFAULT_BPM = 120;
+export const DEFAULT_METER = [4, 4];
+const MAX_BARS = 10000; // 壊れたファイルで無限に並べないための上限
+
+/** 曲の秒 → tick（テンポ区間ごとに換算） */
+export function secondsToTicks(timeline, sec) {
+  const { tempos, ppq } = timeline;
+  let k = 0;
+  while (k + 1 < tempos.length && tempos[k + 1].time <= sec) k++;
+  const tempo = tempos[k];
+  return tempo.ticks + ((sec - tempo.time) * tempo.bpm / 60) * ppq;
+}
+
+/** tick → 曲の秒 */
+export function ticksToSeconds(timeline, ticks) {
+  const { tempos, ppq } = timeline;
+  let k = 0;
+  while (k + 1 < tempos.length && tempos[k + 1].ticks <= ticks) k++;
+  const tempo = tempos[k];
+  return tempo.time + ((ticks - tempo.ticks) / ppq) * (60 / tempo.bpm);
+}
+
+/** テンポ区間の開始時刻（秒）を埋める。先頭が 0 tick でなければ既定テンポを補う */
+function normalizeTempos(raw, ppq) {
+  const sorted = raw.filter((t) => t.bpm > 0).sort((a, b) => a.ticks - b.ticks);
+  if (!sorted.length || sorted[0].ticks > 0) sorted.unshift({ ticks: 0, bpm: sorted[0]?.bpm ?? DEFAULT_BPM });
+  const out = [];
+  for (const t of sorted) {
+    const prev = out[out.length - 1];
+    if (prev && prev.ticks === t.ticks) {
+      prev.bpm = t.bpm; // 同じ位置のテンポは後勝ち
+      continue;
+    }
+    const time = prev ? prev.time + ((t.ticks - prev.ticks) / ppq) * (60 / prev.bpm) : 0;
+    out.push({ ticks: t.ticks, bpm: t.bpm, time });
+  }
+  return out;
+}
+
+function normalizeMeters(raw) {
+  const sorted = raw
+    .filter((m) => m.numerator > 0 && m.denominator > 0)
+    .sort((a, b) => a.ticks - b.ticks);
+  if (!sorted.length || sorted[0].ticks > 0) {
+    sorted.unshift({ ticks: 0, numerator: DEFAULT_METER[0], denominator: DEFAULT_METER[1] });
+  }
+  return sorted.filter((m, k) => k + 1 >= sorted.length || sorted[k + 1].ticks !== m.ticks);
+}
+
+/**
+ * テンポ・拍子から小節/拍の一覧を作る。
+ * @param {{ ppq?:number, tempos?:{ticks:number,bpm:number}[], meters?:{ticks:number,numerator:number,denominator:number}[] }} src
+ * @param {number} endSec この時刻を含む小節まで並べる
+ * @returns {{ ppq:number, tempos:object[], meters:object[], bars:{time:number,numerator:number,denominator:number,beats:number[]}[] }}
+ */
+export function createTimeline({ ppq = DEFAULT_PPQ, tempos = [], meters = [] } = {}, endSec = 0) {
+  const timeline = { ppq, tempos: normalizeTempos(tempos, ppq), meters: normalizeMeters(meters), bars: [] };
+  const endTicks = secondsToTicks(timeline, Math.max(0, endSec));
+
+  let m = 0;
+  let tick = 0;
+  while (timeline.bars.length < MAX_BARS) {
+    const meter = timeline.meters[m];
+    const nextChange = timeline.meters[m + 1]?.ticks ?? Infinity;
+    const beatTicks = (ppq * 4) / meter.denominator;
+    const barEnd = Math.min(tick + beatTicks * meter.numerator, nextChange);
+    const beats = [];
+    for (let b = tick; b < barEnd - 1e-6; b += beatTicks) beats.push(ticksToSeconds(timeline, b));
+    timeline.bars.push({ time: beats[0], numerator: meter.numerator, denominator: meter.denominator, beats });
+    tick = barEnd;
+    if (tick >= nextChange) m++;
+    if (tick > endTicks) break;
+  }
+  return timeline;
+}
+
+/** @tonejs/midi の Midi から */
+export function timelineFromMidi(midi, endSec) {
+  const { header } = midi;
+  return createTimeline(
+    {
+      ppq: header.ppq,
+      tempos: header.tempos.map((t) => ({ ticks: t.ticks, bpm: t.bpm })),
+      meters: header.timeSignatures.map((ts) => ({
+        ticks: ts.ticks,
+        numerator: ts.timeSignature[0],
+        denominator: ts.timeSignature[1],
+      })),
+    },
+    endSec
+  );
+}
+
+/** 保存用：テンポ・拍子を @tonejs/midi の Header へ書き戻す（ノートを追加する前に呼ぶ） */
+export function writeTimelineToHeader(header, timeline) {
+  const scale = header.ppq / timeline.ppq;
+  header.tempos = timeline.tempos.map((t) => ({ ticks: Math.round(t.ticks * scale), bpm: t.bpm }));
+  header.timeSignatures = timeline.meters.map((m) => ({
+    ticks: Math.round(m.ticks * scale),
+    timeSignature: [m.numerator, m.denominator],
+  }));
+  header.update();
+}
+
+/**
+ * 楽譜の小節番号を小節に付ける（tick が一致する小節だけ。番号の無い小節は連番のまま）
+ * @param {{ ticks:number, number:string }[]} measures tick は timeline.ppq 基準
+ */
+export function applyMeasureNumbers(timeline, measures) {
+  const byTick = new Map(measures.filter((m) => m.number !== "").map((m) => [m.ticks, m.number]));
+  for (const bar of timeline.bars) {
+    const number = byTick.get(Math.round(secondsToTicks(timeline, bar.time)));
+    if (number != null) bar.number = number;
+  }
+  return timeline;
+}
+
+const barLabel = (timeline, index) => timeline.bars[index].number ?? index + 1;
+
+/** sec を含む小節の番号（0 始まり）。曲頭より前は 0 */
+function barIndexAt(timeline, sec) {
+  const { bars } = timeline;
+  let lo = 0;
+  let hi = bars.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (bars[mid].time <= sec + 1e-6) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/** @returns {{ bar:number|string, beat:number }} どちらも 1 始まり（bar は楽譜の小節番号があればそれ） */
+export function barBeatAt(timeline, sec) {
+  if (!timeline.bars.length) return { bar: 1, beat: 1 };
+  const index = barIndexAt(timeline, sec);
+  const { beats } = timeline.bars[index];
+  let beat = 0;
+  while (beat + 1 < beats.length && beats[beat + 1] <= sec + 1e-6) beat++;
+  return { bar: barLabel(timeline, index), beat: beat + 1 };
+}
+
+/**
+ * sec 時点の拍子と 1 拍の長さ（曲の秒）
+ * @returns {{ numerator:number, denominator:number, beatSec:number }}
+ */
+export function meterAt(timeline, sec) {
+  const ticks = secondsToTicks(timeline, Math.max(0, sec));
+  let meter = timeline.meters[0];
+  for (const m of timeline.meters) if (m.ticks <= ticks) meter = m;
+  let tempo = timeline.tempos[0];
+  for (const t of timeline.tempos) if (t.ticks <= ticks) tempo = t;
+  return {
+    numerator: meter.numerator,
+    denominator: meter.denominator,
+    beatSec: (60 / tempo.bpm) * (4 / meter.denominator),
+  };
+}
+
+export function formatBarBeat({ bar, beat }) {
+  return `${bar}:${beat}`;
+}
+
+/** 最も近い小節頭の時刻 */
+export function snapToBar(timeline, sec) {
+  const { bars } = timeline;
+  if (!bars.length) return sec;
+  const index = barIndexAt(timeline, sec);
+  const here = bars[index].time;
+  const next = bars[index + 1]?.time;
+  return next != null && next - sec < sec - here ? next : here;
+}
+
+/**
+ * 小節単位で前後に移った先の小節頭。前へ戻るときは、小節の途中にいればまずその小節の頭へ
+ * @param {number} delta +1 で次の小節、-1 で前の小節
+ */
+export function stepBar(timeline, sec, delta) {
+  const { bars } = timeline;
+  if (!bars.length) return sec;
+  const index = barIndexAt(timeline, sec);
+  if (delta < 0 && sec - bars[index].time > 0.25) return bars[index].time;
+  const target = Math.max(0, Math.min(bars.length - 1, index + delta));
+  return bars[target].time;
+}
+
+/**
+ * from..to（曲の秒）に入る拍線。小節頭は downbeat: true と小節番号（1 始まり、または楽譜の番号）を持つ。
+ * @returns {{ time:number, downbeat:boolean, bar:number|string }[]}
+ */
+export function gridLinesBetween(timeline, from, to) {
+  const { bars } = timeline;
+  const out = [];
+  if (!bars.length) return out;
+  for (let index = barIndexAt(timeline, from); index < bars.length; index++) {
+    const { beats } = bars[index];
+    if (beats[0] > to) break;
+    beats.forEach((time, k) => {
+      if (time >= from && time <= to) out.push({ time, downbeat: k === 0, bar: barLabel(timeline, index) });
+    });
+  }
+  return out;
+}
@@ -0,0 +1,120 @@
+/**
+ * 画面の鍵盤を弾く（マルチタッチ・マウス）
+ * - Pointer Events で指（ポインタ）ごとに押している鍵を持つ。指を滑らせると鍵を渡り歩く（グリッサンド）
+ * - 当たり判定は描画と同じ鍵盤の配置（computeKeyboardGeom の centerFor / widthFor）を使い、黒鍵を先に見る
+ * - 強さは鍵のどこを押したか：手前（下）ほど強い
+ *
+ * 発音と入力ハブ（noteInput.js）への配信は呼び出し側の onNoteOn / onNoteOff で行う。
+ */
+
+export const TOUCH_SOURCE = "screen";
+
+const WHITE_PATTERN = [true, false, true, false, true, true, false, true, false, true, false, true];
+const isWhite = (m) => WHITE_PATTERN[m % 12];
+
+const MIN_VELOCITY = 0.35;
+const MAX_VELOCITY = 1;
+
+/**
+ * 鍵盤領域内の点にある鍵
+ * @param {number} x canvas 内の x（CSS px）
+ * @param {number} y 鍵盤の上端からの y（CSS px）
+ * @param {{ kbHeight:number, blackHeight:number, minMidi:number, maxMidi:number, geom:{ centerFor:Function, widthFor:Function } }} layout
+ * @returns {{ midi:number, velocity:number } | null}
+ */
+export function keyAtPoint(x, y, { kbHeight, blackHeight, minMidi, maxMidi, geom }) {
+  if (y < 0 || y > kbHeight) return null;
+  const within = (m) => Math.abs(x - geom.centerFor(m)) <= geom.widthFor(m) / 2;
+  const velocityOver = (h) => MIN_VELOCITY + (MAX_VELOCITY - MIN_VELOCITY) * Math.min(1, Math.max(0, y / h));
+
+  if (y <= blackHeight) {
+    for (let m = minMidi; m <= maxMidi; m++) {
+      if (!isWhite(m) && within(m)) return { midi: m, velocity: velocityOver(blackHeight) };
+    }
+  }
+  for (let m = minMidi; m <= maxMidi; m++) {
+    if (isWhite(m) && within(m)) return { midi: m, velocity: velocityOver(kbHeight) };
+  }
+  return null;
+}
+
+/**
+ * canvas にポインタ操作をつなぎ、解除関数を返す
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *   hitTest: (x:number, y:number) => ({ midi:number, velocity:number } | null),
+ *   onNoteOn: (midi:number, velocity:number) => void,
+ *   onNoteOff: (midi:number) => void,
+ *   enabled?: () => boolean,
+ * }} handlers hitTest の座標は canvas 左上からの CSS px
+ */
+export function bindTouchKeyboard(canvas, { hitTest, onNoteOn, onNoteOff, enabled = () => true }) {
+  const pointers = new Map(); // pointerId -> midi | null（鍵盤の外）
+  const holders = new Map(); // midi -> 押している指の数（2 本の指で同じ鍵を押しても離すのは最後の 1 本）
+
+  const press = (midi, velocity) => {
+    const count = holders.get(midi) ?? 0;
+    holders.set(midi, count + 1);
+    if (count === 0) onNoteOn(midi, velocity);
+  };
+  const release = (midi) => {
+    const count = holders.get(midi) ?? 0;
+    if (count <= 1) {
+      holders.delete(midi);
+      if (count === 1) onNoteOff(midi);
+    } else {
+      holders.set(midi, count - 1);
+    }
+  };
+
+  const locate = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return hitTest(e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  const moveTo = (id, key) => {
+    const current = pointers.get(id) ?? null;
+    const next = key?.midi ?? null;
+    if (current === next) return;
+    if (current != null) release(current);
+    if (next != null) press(next, key.velocity);
+    pointers.set(id, next);
+  };
+
+  const onDown = (e) => {
+    if (!enabled()) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    const key = locate(e);
+    if (!key) return;
+    e.preventDefault();
+    canvas.setPointerCapture?.(e.pointerId);
+    moveTo(e.pointerId, key);
+  };
+  const onMove = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    e.preventDefault();
+    moveTo(e.pointerId, locate(e));
+  };
+  const onUp = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    moveTo(e.pointerId, null);
+    pointers.delete(e.pointerId);
+  };
+
+  canvas.addEventListener("pointerdown", onDown);
+  canvas.addEventListener("pointermove", onMove);
+  canvas.addEventListener("pointerup", onUp);
+  canvas.addEventListener("pointercancel", onUp);
+  canvas.addEventListener("lostpointercapture", onUp);
+
+  return () => {
+    canvas.removeEventListener("pointerdown", onDown);
+    canvas.removeEventListener("pointermove", onMove);
+    canvas.removeEventListener("pointerup", onUp);
+    canvas.removeEventListener("pointercancel", onUp);
+    canvas.removeEventListener("lostpointercapture", onUp);
+    for (const midi of holders.keys()) onNoteOff(midi);
+    holders.clear();
+    pointers.clear();
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * トラック情報と表示/ミュート/ソロ/色の状態
+ * - 各ノートは { track, trackName, channel, instrument } を持つ（loadMidiFromBytes で付与）
+ * - 状態は { [trackIndex]: { visible, muted, solo, color|null } } のプレーンオブジェクト
+ *   （color が null のときは従来の白鍵/黒鍵の配色）
+ */
+
+export const TRACK_PALETTE = ["#3aa6ff", "#ff5577", "#34d399", "#fbbf24", "#a78bfa", "#f97316", "#22d3ee", "#f472b6"];
+
+/** @tonejs/midi の Midi からトラック一覧（ノートを含むもの）を作る */
+export function summarizeTracks(midi, notes) {
+  const counts = new Map();
+  for (const n of notes) counts.set(n.track, (counts.get(n.track) ?? 0) + 1);
+  const out = [];
+  midi.tracks.forEach((tr, index) => {
+    const noteCount = counts.get(index) ?? 0;
+    if (!noteCount) return;
+    out.push({
+      index,
+      name: tr.name || `Track ${index + 1}`,
+      channel: tr.channel,
+      instrument: tr.instrument?.name || "",
+      noteCount,
+    });
+  });
+  return out;
+}
+
+export function defaultTrackState(tracks) {
+  const state = {};
+  for (const t of tracks) state[t.index] = { visible: true, muted: false, solo: false, color: null };
+  return state;
+}
+
+/** 保存していた状態を、いまの曲のトラックに当てはめる（無いトラック・不正な値は既定のまま） */
+export function restoreTrackState(base, saved) {
+  const out = { ...base };
+  for (const index of Object.keys(base)) {
+    const s = saved?.[index];
+    if (!s || typeof s !== "object") continue;
+    out[index] = {
+      visible: typeof s.visible === "boolean" ? s.visible : base[index].visible,
+      muted: typeof s.muted === "boolean" ? s.muted : base[index].muted,
+      solo: typeof s.solo === "boolean" ? s.solo : base[index].solo,
+      color: typeof s.color === "string" || s.color === null ? s.color : base[index].color,
+    };
+  }
+  return out;
+}
+
+const entry = (state, track) => state?.[track] ?? { visible: true, muted: false, solo: false, color: null };
+
+export function isTrackVisible(state, track) {
+  return entry(state, track).visible;
+}
+
+/** ソロが 1 つでもあればソロのトラックだけ、なければミュート以外が鳴る */
+export function isTrackAudible(state, track) {
+  const anySolo = Object.values(state ?? {}).some((s) => s.solo);
+  const e = entry(state, track);
+  return anySolo ? e.solo : !e.muted;
+}
+
+export function trackColor(state, track) {
+  return entry(state, track).color;
+}
+
+/** "#rrggbb" を白に寄せた色（点灯中のノート用）。alpha を渡すと半透明にする */
+export function lightenHex(hex, amount = 0.35, alpha = 1) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return hex;
+  const v = parseInt(m[1], 16);
+  const mix = (c) => Math.round(c + (255 - c) * amount);
+  const r = mix((v >> 16) & 255);
+  const g = mix((v >> 8) & 255);
+  const b = mix(v & 255);
+  return alpha < 1 ? `rgba(${r},${g},${b},${alpha})` : `rgb(${r},${g},${b})`;
+}
@@ -0,0 +1,83 @@
+/**
+ * 待機モード（"wait for me"）
+ * ノートが鍵盤ラインに着地したら、学習者が正しい鍵盤を押すまで再生ヘッドを止める。
+ *
+ * 時刻はすべて再生ヘッド基準。ノートの着地時刻 = note.start + lead
+ * （lead = 落下距離 / SPEED。App 側で canvas の高さから算出）。
+ */
+
+export const WAIT_EARLY_SEC = 0.35; // 着地より前に押しても受け付ける猶予
+export const WAIT_LATE_SEC = 0.2;   // 着地を過ぎてから押しても受け付ける猶予
+export const WAIT_CHORD_SEC = 0.05; // 同時に押すべき和音とみなす開始時刻の幅
+
+/** @returns {{ from:number, cursor:number, hits:Set<number> }} */
+export function createWaitState() {
+  return { from: 0, cursor: 0, hits: new Set() };
+}
+
+/** シーク・停止・ループ等で待機状態をやり直す（from より前に着地するノートは対象外） */
+export function resetWaitState(state, from = 0) {
+  state.from = from;
+  state.cursor = 0;
+  state.hits.clear();
+}
+
+/** 待つ必要のないノート（対象外・打鍵済み・開始位置より前）を読み飛ばす */
+function advanceCursor(state, notes, lead, isRequired) {
+  let i = state.cursor;
+  while (i < notes.length) {
+    const n = notes[i];
+    if (n.start + lead < state.from - 1e-6 || state.hits.has(n.i) || !isRequired(n)) {
+      i++;
+      continue;
+    }
+    break;
+  }
+  state.cursor = i;
+  return i;
+}
+
+/**
+ * t 時点で着地済みなのにまだ押されていない最初のノートと、その和音を返す。
+ * @returns {{ note:object, chord:object[] } | null}
+ */
+export function findWaitingNote(state, notes, t, lead, isRequired = () => true) {
+  const i = advanceCursor(state, notes, lead, isRequired);
+  if (i >= notes.length) return null;
+  const note = notes[i];
+  if (note.start + lead > t) return null;
+
+  const chord = [];
+  for (let j = i; j < notes.length && notes[j].start <= note.start + WAIT_CHORD_SEC; j++) {
+    const n = notes[j];
+    if (!state.hits.has(n.i) && isRequired(n)) chord.push(n);
+  }
+  return { note, chord };
+}
+
+/**
+ * 次に止まる着地時刻（まだ押されていない最初の対象ノート）。無ければ Infinity。
+ * 自動伴奏はこれより先を先行予約しない（止まっている間に鳴らさないため）。
+ */
+export function nextWaitLanding(state, notes, lead, isRequired = () => true) {
+  const i = advanceCursor(state, notes, lead, isRequired);
+  return i < notes.length ? notes[i].start + lead : Infinity;
+}
+
+/**
+ * 打鍵を待機中／直近のノートに照合し、一致したノートを打鍵済みにする。
+ * @returns {object|null} 一致したノート
+ */
+export function matchWaitInput(state, notes, midi, t, lead, isRequired = () => true) {
+  const start = advanceCursor(state, notes, lead, isRequired);
+  for (let i = start; i < notes.length; i++) {
+    const n = notes[i];
+    const landing = n.start + lead;
+    if (landing > t + WAIT_EARLY_SEC) break;
+    if (n.midi !== midi || state.hits.has(n.i) || !isRequired(n)) continue;
+    if (landing < state.from - 1e-6 || landing < t - WAIT_LATE_SEC) continue;
+    state.hits.add(n.i);
+    return n;
+  }
+  return null;
+}
@@ -0,0 +1,85 @@
+/**
+ * zip の読み取り（一括取り込み用の最小実装）
+ * - 中央ディレクトリから各ファイルを読む。圧縮は無圧縮（0）と deflate（8）のみ
+ * - deflate の展開はブラウザの DecompressionStream("deflate-raw") を使う
+ * - 暗号化・zip64・分割 zip は読めない（その旨の Error を投げる／そのファイルを failed にする）
+ */
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+function findEndOfCentralDirectory(view) {
+  // コメント（最大 65535 バイト）の分だけ後ろから探す
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let p = view.byteLength - 22; p >= stop; p--) {
+    if (view.getUint32(p, true) === EOCD_SIG) return p;
+  }
+  return -1;
+}
+
+function decodeName(bytes, utf8) {
+  // UTF-8 フラグが無くても、日本語の zip は実際には UTF-8 か Shift_JIS のことが多い
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    try {
+      if (!utf8) return new TextDecoder("shift_jis").decode(bytes);
+    } catch {
+      // shift_jis を持たない環境
+    }
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("この環境では圧縮された zip を展開できません");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * zip 内のファイル一覧（ディレクトリは除く）。展開は read() を呼んだときに行う
+ * @returns {{ name:string, size:number, read():Promise<Uint8Array> }[]}
+ */
+export function listZipEntries(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error("zip ファイルとして読めませんでした");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  if (p === 0xffffffff || count === 0xffff) throw new Error("zip64 形式には対応していません");
+
+  const entries = [];
+  for (let k = 0; k < count; k++) {
+    if (view.getUint32(p, true) !== CENTRAL_SIG) throw new Error("zip の目次が壊れています");
+    const flags = view.getUint16(p + 8, true);
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decodeName(new Uint8Array(arrayBuffer, p + 46, nameLength), Boolean(flags & 0x800));
+    p += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    entries.push({
+      name,
+      size,
+      async read() {
+        if (flags & 0x1) throw new Error("暗号化された zip には対応していません");
+        if (view.getUint32(localOffset, true) !== LOCAL_SIG) throw new Error("zip のデータが壊れています");
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = new Uint8Array(arrayBuffer, start, compressedSize);
+        if (method === 0) return raw.slice();
+        if (method === 8) return inflateRaw(raw);
+        throw new Error(`未対応の圧縮方式です（${method}）`);
+      },
+    });
+  }
+  return entries;
+}